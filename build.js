@@ -45,3 +45,32 @@ esbuild
   .then(() => {
     console.log("UMD dev build complete.");
   });
+
+// node builds, "usb" is an optional peer dependency and stays external
+const nodeOptions = {
+  ...sharedOptions,
+  entryPoints: ["src/node.js"],
+  platform: "node",
+  target: ["node18"],
+  external: ["usb"],
+};
+
+esbuild
+  .build({
+    ...nodeOptions,
+    format: "esm",
+    outfile: "dist/brickbridge.node.js",
+  })
+  .then(() => {
+    console.log("Node ESM build complete.");
+  });
+
+esbuild
+  .build({
+    ...nodeOptions,
+    format: "cjs",
+    outfile: "dist/brickbridge.node.cjs",
+  })
+  .then(() => {
+    console.log("Node CJS build complete.");
+  });
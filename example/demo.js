@@ -86,7 +86,7 @@ btnStopProgram.addEventListener("click", async () => {
     printToConsole("Program stopped");
     printToConsole();
   } catch (error) {
-    if (error.statusCode != 236) throw error;
+    if (error.code !== "NO_ACTIVE_PROGRAM") throw error;
     printToConsole("No program running");
     printToConsole();
   }
@@ -120,7 +120,7 @@ btnDeleteFile.addEventListener("click", async () => {
     printToConsole(`File "${fileName}" deleted`);
     printToConsole();
   } catch (error) {
-    if ((error.statusCode = 135)) {
+    if (error.code === "FILE_NOT_FOUND") {
       printToConsole("File not found.");
       printToConsole();
       return;
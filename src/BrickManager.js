@@ -0,0 +1,247 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { Nxt } from "./Nxt";
+import { NxtError, NxtStatus } from "./NxtError";
+
+/**
+ * Format a Bluetooth address like "00:16:53:0A:1B:2C"
+ *
+ * @param {Uint8Array} address
+ * @returns {string}
+ */
+const formatAddress = (address) =>
+  Array.from(address, (byte) =>
+    byte.toString(16).padStart(2, "0").toUpperCase()
+  ).join(":");
+
+/**
+ * Holds several connected bricks and runs operations on all of them
+ *
+ * Bricks are identified by their name or Bluetooth address, as reported by
+ * getDeviceInfo. Broadcast operations run on every brick at the same time
+ * and report a result per brick, a brick that fails doesn't stop the others:
+ *
+ *   [{ name, address, nxt, status: "fulfilled", value },
+ *    { name, address, nxt, status: "rejected", reason }]
+ */
+class BrickManager {
+  constructor() {
+    this.bricks = [];
+  }
+
+  /**
+   * Connect to a brick and add it
+   *
+   * Every call opens the chooser once, so call it again for each brick.
+   * When a brick that was already added is picked again, that brick is
+   * returned.
+   *
+   * @async
+   * @function connect
+   * @memberof BrickManager
+   * @param {string|NxtCommunication} type // see Nxt.connect
+   * @param {Object} [options] // see Nxt.connect
+   * @returns {Promise<Nxt>}
+   * @throws {NxtError}
+   */
+  async connect(type, options) {
+    const nxt = new Nxt();
+    await nxt.connect(type, options);
+
+    let brick;
+
+    try {
+      brick = await this._describe(nxt);
+    } catch (error) {
+      await nxt.disconnect().catch(() => {});
+      throw error;
+    }
+
+    const existing = this.bricks.find(
+      (other) => other.address === brick.address
+    );
+
+    // The duplicate shares its device with the added brick, so it lets go of
+    // the device without closing it
+    if (existing) {
+      nxt._detach();
+      return existing.nxt;
+    }
+
+    this.bricks.push(brick);
+
+    return nxt;
+  }
+
+  /**
+   * Add a brick that is already connected
+   *
+   * @async
+   * @function add
+   * @memberof BrickManager
+   * @param {Nxt} nxt
+   * @returns {Promise<Nxt>}
+   * @throws {NxtError}
+   */
+  async add(nxt) {
+    const brick = await this._describe(nxt);
+
+    if (this.bricks.some((other) => other.address === brick.address)) {
+      throw new NxtError(`Brick ${brick.address} is already added`);
+    }
+
+    this.bricks.push(brick);
+
+    return nxt;
+  }
+
+  /**
+   * Read the name and Bluetooth address of a brick
+   *
+   * @private
+   * @async
+   * @function _describe
+   * @memberof BrickManager
+   * @param {Nxt} nxt
+   * @returns {Promise<{ name: string, address: string, nxt: Nxt }>}
+   */
+  async _describe(nxt) {
+    const { nxtName, btAddress } = await nxt.getDeviceInfo();
+
+    return { name: nxtName, address: formatAddress(btAddress), nxt };
+  }
+
+  /**
+   * Disconnect from a brick and remove it
+   *
+   * @async
+   * @function remove
+   * @memberof BrickManager
+   * @param {string|Nxt} id // name, Bluetooth address or the Nxt itself
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async remove(id) {
+    const brick = this._find(id);
+
+    this.bricks = this.bricks.filter((other) => other !== brick);
+
+    await brick.nxt.disconnect();
+  }
+
+  /**
+   * Get a brick by name or Bluetooth address
+   *
+   * @function get
+   * @memberof BrickManager
+   * @param {string} id
+   * @returns {Nxt}
+   * @throws {NxtError}
+   */
+  get(id) {
+    return this._find(id).nxt;
+  }
+
+  /**
+   * Find the entry of a brick
+   *
+   * @private
+   * @function _find
+   * @memberof BrickManager
+   * @param {string|Nxt} id
+   * @returns {{ name: string, address: string, nxt: Nxt }}
+   * @throws {NxtError}
+   */
+  _find(id) {
+    const brick = this.bricks.find(
+      (brick) =>
+        brick.nxt === id ||
+        brick.name === id ||
+        brick.address === String(id).toUpperCase()
+    );
+
+    if (!brick) {
+      throw new NxtError(`No brick "${id}" found`);
+    }
+
+    return brick;
+  }
+
+  /**
+   * Run an operation on every brick
+   *
+   * @async
+   * @function broadcast
+   * @memberof BrickManager
+   * @param {function(Nxt, { name: string, address: string }): Promise<*>} operation
+   * @returns {Promise<Object[]>} // result per brick, see BrickManager
+   */
+  async broadcast(operation) {
+    const bricks = [...this.bricks];
+    const results = await Promise.allSettled(
+      bricks.map(async ({ nxt, name, address }) =>
+        operation(nxt, { name, address })
+      )
+    );
+
+    return results.map((result, index) => ({ ...bricks[index], ...result }));
+  }
+
+  /**
+   * Stop the running program on every brick
+   *
+   * A brick that isn't running a program counts as stopped.
+   *
+   * @async
+   * @function stopAllPrograms
+   * @memberof BrickManager
+   * @returns {Promise<Object[]>}
+   */
+  async stopAllPrograms() {
+    return this.broadcast(async (nxt) => {
+      try {
+        await nxt.stopProgram();
+      } catch (error) {
+        if (error.statusCode !== NxtStatus.NO_ACTIVE_PROGRAM) {
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * Upload a program to every brick
+   *
+   * @async
+   * @function uploadProgramToAll
+   * @memberof BrickManager
+   * @param {File} file
+   * @param {Object} [options] // see Nxt.uploadFile, onProgress also gets the brick
+   * @returns {Promise<Object[]>}
+   */
+  async uploadProgramToAll(file, { onProgress, ...options } = {}) {
+    return this.broadcast((nxt, brick) =>
+      nxt.uploadProgram(file, {
+        ...options,
+        onProgress: onProgress && ((progress) => onProgress(progress, brick)),
+      })
+    );
+  }
+
+  /**
+   * Disconnect from every brick and remove them
+   *
+   * @async
+   * @function disconnectAll
+   * @memberof BrickManager
+   * @returns {Promise<Object[]>}
+   */
+  async disconnectAll() {
+    const results = await this.broadcast((nxt) => nxt.disconnect());
+    this.bricks = [];
+
+    return results;
+  }
+}
+
+export default BrickManager;
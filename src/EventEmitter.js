@@ -0,0 +1,92 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+/**
+ * Minimal event emitter, works the same in the browser and in Node.js
+ */
+class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Add a listener for an event
+   *
+   * @function on
+   * @memberof EventEmitter
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {Function} // call to remove the listener again
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+
+    this.listeners.get(type).add(listener);
+
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Add a listener that is removed after the first event
+   *
+   * @function once
+   * @memberof EventEmitter
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {Function} // call to remove the listener again
+   */
+  once(type, listener) {
+    const off = this.on(type, (...args) => {
+      off();
+      listener(...args);
+    });
+
+    return off;
+  }
+
+  /**
+   * Remove a listener
+   *
+   * @function off
+   * @memberof EventEmitter
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {void}
+   */
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * Call all listeners of an event
+   *
+   * An error thrown by a listener doesn't stop the other listeners, and is
+   * reported asynchronously so it can't break the code emitting the event.
+   *
+   * @function emit
+   * @memberof EventEmitter
+   * @param {string} type
+   * @param {...any} args
+   * @returns {void}
+   */
+  emit(type, ...args) {
+    const listeners = this.listeners.get(type);
+
+    if (!listeners) {
+      return;
+    }
+
+    [...listeners].forEach((listener) => {
+      try {
+        listener(...args);
+      } catch (error) {
+        setTimeout(() => {
+          throw error;
+        });
+      }
+    });
+  }
+}
+
+export default EventEmitter;
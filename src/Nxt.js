@@ -1,528 +1,2149 @@
 // BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
 
 import NxtUsbCommunication from "./NxtUsbCommunication.js";
+import NxtBluetoothCommunication from "./NxtBluetoothCommunication.js";
+import NxtVirtualCommunication from "./NxtVirtualCommunication.js";
+import NxtCommunication from "./NxtCommunication.js";
+import { NxtMotor, OutputPort } from "./NxtMotor.js";
+import { NxtSensor, InputPort } from "./NxtSensor.js";
+import NxtLowSpeedBus from "./NxtLowSpeedBus.js";
+import NxtFileHandle from "./NxtFileHandle.js";
+import EventEmitter from "./EventEmitter.js";
+import NxtCommandQueue from "./NxtCommandQueue.js";
+import {
+  NxtCommand,
+  encodeCommand,
+  decodeReply,
+  replyMatches,
+} from "./NxtProtocol.js";
+import { sleep } from "./util.js";
+import { ToneLimit, playMelody } from "./NxtSound.js";
+import NxtPowerMonitor from "./NxtPowerMonitor.js";
+import { probeCapabilities } from "./NxtCapabilities.js";
+import {
+  Mailbox,
+  NxtMessage,
+  NxtMailboxSubscription,
+  encodeMessage,
+} from "./NxtMailbox.js";
+import { NxtTelemetry } from "./NxtTelemetry.js";
+import { inspectRxe } from "./NxtRxe.js";
+import { encodeRso } from "./NxtRso.js";
+import { encodeRic } from "./NxtRic.js";
+import { toBitmap } from "./NxtBitmap.js";
+import { NxtModule, IoMapDecoder } from "./NxtIoMap.js";
+import {
+  Button,
+  DisplayMap,
+  UiMap,
+  NxtScreenMirror,
+  decodeFramebuffer,
+} from "./NxtScreen.js";
+import {
+  NxtError,
+  NxtStatus,
+  NxtStatusError,
+  NxtTimeoutError,
+  NxtTransportError,
+  UnsupportedFeatureError,
+} from "./NxtError.js";
+
+// Communication classes by connection type, see Nxt.registerTransport
+const transports = new Map([
+  ["usb", NxtUsbCommunication],
+  ["bluetooth", NxtBluetoothCommunication],
+  ["virtual", NxtVirtualCommunication],
+]);
+
+// Amount of times to resend a command that only reads a value and timed out
+const READ_RETRIES = 2;
+
+// Bytes of an IO map that fit in a packet after the reply or command header
+const IO_MAP_READ_CHUNK = 64 - 9;
+const IO_MAP_WRITE_CHUNK = 64 - 10;
+
+/**
+ * Connection states, emitted with "connectionstatechange"
+ */
+export const ConnectionState = {
+  DISCONNECTED: "disconnected",
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting", // lost, waiting for the brick to come back
+};
 
 /**
  * Main class for interacting with the brick
  */
-export class Nxt {
+export class Nxt extends EventEmitter {
   constructor() {
+    super();
     this.connectedDevice;
+    this.commandQueue = null;
+
+    this.motors = {
+      A: new NxtMotor(this, OutputPort.A),
+      B: new NxtMotor(this, OutputPort.B),
+      C: new NxtMotor(this, OutputPort.C),
+    };
+
+    this.sensors = {
+      1: new NxtSensor(this, InputPort.S1),
+      2: new NxtSensor(this, InputPort.S2),
+      3: new NxtSensor(this, InputPort.S3),
+      4: new NxtSensor(this, InputPort.S4),
+    };
+
+    this.lowSpeedBuses = new Map();
+
+    // Cached result of getCapabilities, cleared on connect
+    this.capabilities = null;
+
+    // { name, startedAt } of the program startProgram started last
+    this.startedProgram = null;
+
+    // Keep-alive and battery scheduler, see startMonitoring
+    this.powerMonitor = null;
+    this.monitorOptions = null; // restored after an auto-reconnect
+
+    this.connectionState = ConnectionState.DISCONNECTED;
+    this.autoReconnect = false;
+    this.transportListeners = [];
+  }
+
+  /**
+   * Register the communication class to use for a connection type
+   *
+   * Replaces the class already registered for that type, if any.
+   *
+   * @static
+   * @function registerTransport
+   * @memberof Nxt
+   * @param {string} type
+   * @param {typeof NxtCommunication} communicationClass
+   * @returns {void}
+   */
+  static registerTransport(type, communicationClass) {
+    transports.set(type, communicationClass);
+  }
+
+  /**
+   * Connect to the nxt brick via USB or Bluetooth
+   *
+   * An NxtCommunication instance can be passed instead of a type, e.g. a
+   * configured NxtVirtualCommunication. With autoReconnect, a brick that
+   * gets disconnected is connected again as soon as it comes back, and the
+   * power monitor is restarted. Telemetry, mailbox subscriptions and screen
+   * mirroring stop when the connection is lost and have to be started again.
+   *
+   * @async
+   * @function connect
+   * @memberof Nxt
+   * @param {string|NxtCommunication} type // type can be "usb", "bluetooth", "virtual" or a registered transport
+   * @param {Object} [options]
+   * @param {boolean} [options.autoReconnect]
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async connect(type, { autoReconnect = false } = {}) {
+    await this._open(type, autoReconnect, (device) => device.connect());
+  }
+
+  /**
+   * Connect to a brick the user already chose before, without prompting
+   *
+   * Useful after a page reload, the browser remembers which bricks the user
+   * gave access to. Throws an NxtTransportError when there is none.
+   *
+   * @async
+   * @function reconnect
+   * @memberof Nxt
+   * @param {string|NxtCommunication} [type] // defaults to the last used connection
+   * @param {Object} [options]
+   * @param {boolean} [options.autoReconnect]
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async reconnect(
+    type = this.connectedDevice ?? "usb",
+    { autoReconnect = this.autoReconnect } = {}
+  ) {
+    await this._open(type, autoReconnect, (device) => device.reconnect());
+  }
+
+  /**
+   * Disconnect from the brick, releasing the connection
+   *
+   * Stops the power monitor and auto-reconnecting.
+   *
+   * @async
+   * @function disconnect
+   * @memberof Nxt
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.autoReconnect = false;
+
+    await this._close();
+
+    this._setConnectionState(ConnectionState.DISCONNECTED);
+  }
+
+  /**
+   * Open a connection with a communication interface
+   *
+   * @private
+   * @async
+   * @function _open
+   * @memberof Nxt
+   * @param {string|NxtCommunication} type
+   * @param {boolean} autoReconnect
+   * @param {function(NxtCommunication): Promise<void>} open
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async _open(type, autoReconnect, open) {
+    let device;
+
+    if (type instanceof NxtCommunication) {
+      device = type;
+    } else {
+      const CommunicationClass = transports.get(type);
+
+      if (!CommunicationClass) {
+        throw new NxtError("Invalid connection type");
+      }
+
+      device = new CommunicationClass();
+    }
+
+    await this._close();
+
+    this._setConnectionState(ConnectionState.CONNECTING);
+
+    try {
+      await open(device);
+    } catch (error) {
+      this._setConnectionState(ConnectionState.DISCONNECTED);
+      throw error;
+    }
+
+    this.connectedDevice = device;
+    this.commandQueue = new NxtCommandQueue(device);
+    this.capabilities = null;
+    this.autoReconnect = autoReconnect;
+
+    this.transportListeners = [
+      device.on("disconnect", () => this._handleConnectionLost()),
+      device.on("connect", () => this._handleBrickAvailable()),
+    ];
+
+    this._setConnectionState(ConnectionState.CONNECTED);
+  }
+
+  /**
+   * Release the current connection, without changing the connection state
+   *
+   * @private
+   * @async
+   * @function _close
+   * @memberof Nxt
+   * @returns {Promise<void>}
+   */
+  async _close() {
+    await this._release()?.disconnect();
+  }
+
+  /**
+   * Let go of a device that another Nxt uses as well, without closing it
+   *
+   * @private
+   * @function _detach
+   * @memberof Nxt
+   * @returns {void}
+   */
+  _detach() {
+    this.autoReconnect = false;
+    this._release();
+    this._setConnectionState(ConnectionState.DISCONNECTED);
+  }
+
+  /**
+   * Stop using the current device and stop listening to it
+   *
+   * @private
+   * @function _release
+   * @memberof Nxt
+   * @returns {NxtCommunication|null} // the device that was connected
+   */
+  _release() {
+    this.stopMonitoring();
+
+    this.transportListeners.forEach((off) => off());
+    this.transportListeners = [];
+
+    const device = this.connectedDevice;
+    this.connectedDevice = null;
+    this.commandQueue = null;
+
+    return device;
+  }
+
+  /**
+   * Update the connection state and emit "connectionstatechange"
+   *
+   * @private
+   * @function _setConnectionState
+   * @memberof Nxt
+   * @param {string} state // ConnectionState
+   * @returns {void}
+   */
+  _setConnectionState(state) {
+    const previousState = this.connectionState;
+
+    if (state !== previousState) {
+      this.connectionState = state;
+      this.emit("connectionstatechange", { state, previousState });
+    }
+  }
+
+  /**
+   * Handle the communication interface losing the brick
+   *
+   * @private
+   * @function _handleConnectionLost
+   * @memberof Nxt
+   * @returns {void}
+   */
+  _handleConnectionLost() {
+    // Keep the options, so the monitor can be restarted after reconnecting
+    this.powerMonitor?.stop();
+    this.powerMonitor = null;
+
+    this._setConnectionState(
+      this.autoReconnect
+        ? ConnectionState.RECONNECTING
+        : ConnectionState.DISCONNECTED
+    );
+  }
+
+  /**
+   * Reconnect when a lost brick becomes available again
+   *
+   * @private
+   * @async
+   * @function _handleBrickAvailable
+   * @memberof Nxt
+   * @returns {Promise<void>}
+   */
+  async _handleBrickAvailable() {
+    if (this.connectionState !== ConnectionState.RECONNECTING) {
+      return;
+    }
+
+    const device = this.connectedDevice;
+    const monitorOptions = this.monitorOptions;
+
+    this._setConnectionState(ConnectionState.CONNECTING);
+
+    // The device and its listeners stay attached, so a failed attempt is
+    // tried again the next time the brick comes back
+    try {
+      await device.reconnect();
+    } catch (error) {
+      this._setConnectionState(ConnectionState.RECONNECTING);
+      this.emit("reconnecterror", error);
+      return;
+    }
+
+    this.commandQueue = new NxtCommandQueue(device);
+    this.capabilities = null;
+
+    this._setConnectionState(ConnectionState.CONNECTED);
+
+    if (monitorOptions) {
+      this.startMonitoring(monitorOptions);
+    }
+  }
+
+  /**
+   * Send a command through the command queue and return the reply
+   *
+   * Commands never interleave, so concurrent calls each get their own reply.
+   * Resolves with undefined for commands that don't require a reply, and
+   * throws an NxtStatusError when the brick replies with an error status.
+   *
+   * @private
+   * @async
+   * @function _transact
+   * @memberof Nxt
+   * @param {Uint8Array} command
+   * @param {{ timeout?: number, retries?: number, accept?: function(Uint8Array): boolean }} [options]
+   * @returns {Promise<Uint8Array|undefined>}
+   * @throws {NxtError}
+   */
+  async _transact(command, options) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const data = await this.commandQueue.request(command, options);
+
+    if (data && data[2] !== NxtStatus.SUCCESS) {
+      throw new NxtStatusError(data[2], command[1]);
+    }
+
+    return data;
+  }
+
+  /**
+   * Encode a command, send it and decode the reply
+   *
+   * @private
+   * @async
+   * @function _request
+   * @memberof Nxt
+   * @param {Object} command // one of NxtCommand
+   * @param {Object} [values] // request fields by name
+   * @param {{ requireReply?: boolean, timeout?: number, retries?: number }} [options]
+   * @returns {Promise<Object|undefined>} // reply fields by name
+   * @throws {NxtError}
+   */
+  async _request(
+    command,
+    values = {},
+    { requireReply = true, ...options } = {}
+  ) {
+    const data = await this._transact(
+      encodeCommand(command, values, { requireReply }),
+      { ...options, accept: (reply) => replyMatches(command, values, reply) }
+    );
+
+    return data && decodeReply(command, data);
+  }
+
+  /**
+   * Get firmware and protocol version of connected brick
+   *
+   * @async
+   * @function getFirmwareVersion
+   * @memberof Nxt
+   * @returns {Promise<{ minorProtocol: number, majorProtocol: number, minorFirmware: number, majorFirmware: number}>}
+   * @throws {NxtError}
+   */
+  async getFirmwareVersion() {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const { minorProtocol, majorProtocol, minorFirmware, majorFirmware } =
+      await this._request(
+        NxtCommand.GET_FIRMWARE_VERSION,
+        {},
+        {
+          retries: READ_RETRIES,
+        }
+      );
+
+    return { minorProtocol, majorProtocol, minorFirmware, majorFirmware };
+  }
+
+  /**
+   * Check connection using the getFirmwareVersion command. Returns a boolean
+   *
+   * @async
+   * @function checkConnection
+   * @memberof Nxt
+   * @returns {Promise<boolean>}
+   * @throws {NxtError}
+   */
+  async checkConnection() {
+    try {
+      if (!this.connectedDevice) {
+        throw new NxtTransportError("No device connected");
+      }
+      await this.getFirmwareVersion();
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Get capabilities of the firmware on the connected brick
+   *
+   * Identifies the firmware flavour (standard LEGO or enhanced NBC/NXC) and
+   * which features it supports. The result is cached until the next connect.
+   *
+   * @async
+   * @function getCapabilities
+   * @memberof Nxt
+   * @param {boolean} [refresh] // probe again instead of using the cache
+   * @returns {Promise<{ flavour: string, firmwareVersion: string, protocolVersion: string, features: { fileSystem: boolean, enhancedCommands: boolean } }>}
+   * @throws {NxtError}
+   */
+  async getCapabilities(refresh = false) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (!this.capabilities || refresh) {
+      this.capabilities = await probeCapabilities(this);
+    }
+
+    return this.capabilities;
+  }
+
+  /**
+   * Throw an UnsupportedFeatureError if the firmware lacks a feature
+   *
+   * @async
+   * @function requireFeature
+   * @memberof Nxt
+   * @param {"fileSystem"|"enhancedCommands"} feature
+   * @returns {Promise<void>}
+   * @throws {UnsupportedFeatureError}
+   */
+  async requireFeature(feature) {
+    const capabilities = await this.getCapabilities();
+
+    if (!capabilities.features[feature]) {
+      throw new UnsupportedFeatureError(feature, capabilities);
+    }
+  }
+
+  /**
+   * Get the state of the VM running the program
+   *
+   * Only the enhanced NBC/NXC firmware knows this command, other firmware
+   * throws an UnsupportedFeatureError.
+   *
+   * @async
+   * @function getVmState
+   * @memberof Nxt
+   * @returns {Promise<{ state: number, clump: number, programCounter: number }>}
+   * @throws {NxtError}
+   */
+  async getVmState() {
+    await this.requireFeature("enhancedCommands");
+
+    const { state, clump, programCounter } = await this._request(
+      NxtCommand.GET_VM_STATE,
+      {},
+      { retries: READ_RETRIES }
+    );
+
+    return { state, clump, programCounter };
+  }
+
+  /**
+   * Get device info of connected brick
+   *
+   * @async
+   * @function getDeviceInfo
+   * @memberof Nxt
+   * @returns {Promise<{ nxtName: string, btAddress: string, btSignalStrength: number, freeUserFlash: number }>}
+   * @throws {NxtError}
+   */
+  async getDeviceInfo() {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const { nxtName, btAddress, btSignalStrength, freeUserFlash } =
+      await this._request(
+        NxtCommand.GET_DEVICE_INFO,
+        {},
+        {
+          retries: READ_RETRIES,
+        }
+      );
+
+    return {
+      nxtName,
+      btAddress: btAddress.slice(0, 6), // The last byte is always 0
+      btSignalStrength,
+      freeUserFlash,
+    };
+  }
+
+  /**
+   * Reboot the brick into firmware update mode, USB only
+   *
+   * The brick stops running the NXT firmware and starts the SAM-BA
+   * bootloader, which stays active until new firmware is written with
+   * NxtFirmwareUpdater. The connection is closed afterwards.
+   *
+   * @async
+   * @function enterFirmwareUpdateMode
+   * @memberof Nxt
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async enterFirmwareUpdateMode() {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (this.connectedDevice instanceof NxtBluetoothCommunication) {
+      throw new NxtError("Firmware update mode can only be entered over USB");
+    }
+
+    await this._request(NxtCommand.BOOT_COMMAND, {
+      command: "Let's dance: SAMBA",
+    });
+    await this.disconnect();
+  }
+
+  /**
+   * Set brick name, max 15 chars
+   *
+   * @async
+   * @function setBrickName
+   * @memberof Nxt
+   * @param {string} name
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async setBrickName(name) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (!(await this.checkConnection())) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (name.length > 15) {
+      throw new NxtError("Name must be 15 characters or less");
+    }
+
+    await this._request(NxtCommand.SET_BRICK_NAME, { name });
+  }
+
+  /**
+   * Open linear write
+   *
+   * Returns the handle number
+   *
+   * @private
+   * @async
+   * @function _openLinearWrite
+   * @memberof Nxt
+   * @param {string} name
+   * @param {number} size
+   * @returns {Promise<number>}
+   */
+  async _openLinearWrite(name, size) {
+    const { handle } = await this._request(NxtCommand.OPEN_WRITE_LINEAR, {
+      fileName: name,
+      fileSize: size,
+    });
+
+    return handle;
+  }
+
+  /**
+   * Write data to brick
+   *
+   * @private
+   * @async
+   * @function _write
+   * @memberof Nxt
+   * @param {number} handle
+   * @param {Uint8Array} data
+   * @param {boolean} requireResponse
+   * @returns {Promise<Uint8Array|undefined>} // the reply, if required
+   * @throws {NxtError}
+   */
+  async _write(handle, data, requireResponse = false) {
+    if (data.length > 64 - 3) {
+      throw new NxtError("Data too long");
+    }
+
+    return this._request(
+      NxtCommand.WRITE,
+      { handle, data },
+      { requireReply: requireResponse }
+    );
+  }
+
+  /**
+   * Send a system command that opens a file and return the reply
+   *
+   * @private
+   * @async
+   * @function _openFile
+   * @memberof Nxt
+   * @param {Object} command // one of the open commands of NxtCommand
+   * @param {string} name
+   * @param {number} [size] // file size for commands that create a file
+   * @returns {Promise<{ handle: number, fileSize?: number, availableSize?: number }>}
+   * @throws {NxtError}
+   */
+  async _openFile(command, name, size) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    await this.requireFeature("fileSystem");
+
+    return this._request(command, { fileName: name, fileSize: size });
+  }
+
+  /**
+   * Open a file for reading
+   *
+   * Throws an NxtStatusError with code "FILE_NOT_FOUND" if the file isn't found.
+   *
+   * @async
+   * @function openRead
+   * @memberof Nxt
+   * @param {string} name
+   * @returns {Promise<NxtFileHandle>}
+   * @throws {NxtError}
+   */
+  async openRead(name) {
+    const { handle, fileSize } = await this._openFile(
+      NxtCommand.OPEN_READ,
+      name
+    );
+
+    return new NxtFileHandle(this, handle, name, fileSize, "read");
+  }
+
+  /**
+   * Open a new file for writing
+   *
+   * The file has a fixed size and must be written completely.
+   *
+   * @async
+   * @function openWrite
+   * @memberof Nxt
+   * @param {string} name
+   * @param {number} size
+   * @returns {Promise<NxtFileHandle>}
+   * @throws {NxtError}
+   */
+  async openWrite(name, size) {
+    const { handle } = await this._openFile(NxtCommand.OPEN_WRITE, name, size);
+    return new NxtFileHandle(this, handle, name, size, "write");
+  }
+
+  /**
+   * Open a new data file for writing
+   *
+   * The size is the maximum size, the file is cut off at what is written when
+   * it is closed.
+   *
+   * @async
+   * @function openWriteData
+   * @memberof Nxt
+   * @param {string} name
+   * @param {number} size
+   * @returns {Promise<NxtFileHandle>}
+   * @throws {NxtError}
+   */
+  async openWriteData(name, size) {
+    const { handle } = await this._openFile(
+      NxtCommand.OPEN_WRITE_DATA,
+      name,
+      size
+    );
+    return new NxtFileHandle(this, handle, name, size, "writeData");
+  }
+
+  /**
+   * Open an existing data file to append to it
+   *
+   * @async
+   * @function openAppendData
+   * @memberof Nxt
+   * @param {string} name
+   * @returns {Promise<NxtFileHandle>}
+   * @throws {NxtError}
+   */
+  async openAppendData(name) {
+    const { handle, availableSize } = await this._openFile(
+      NxtCommand.OPEN_APPEND_DATA,
+      name
+    );
+
+    return new NxtFileHandle(this, handle, name, availableSize, "appendData");
+  }
+
+  /**
+   * Read data from brick
+   *
+   * @private
+   * @async
+   * @function _read
+   * @memberof Nxt
+   * @param {number} handle
+   * @param {number} length // max 58 bytes
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
+   */
+  async _read(handle, length) {
+    if (length > 64 - 6) {
+      throw new NxtError("Length too long");
+    }
+
+    const { data } = await this._request(NxtCommand.READ, {
+      handle,
+      bytesToRead: length,
+    });
+
+    return data;
+  }
+
+  /**
+   * Close a handle
+   *
+   * @private
+   * @async
+   * @function _closeHandle
+   * @memberof Nxt
+   * @param {number} handle
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async _closeHandle(handle) {
+    await this._request(NxtCommand.CLOSE, { handle });
+  }
+
+  /**
+   * Download a file from the brick
+   *
+   * Throws an NxtStatusError with code "FILE_NOT_FOUND" if the file isn't found.
+   *
+   * @async
+   * @function downloadFile
+   * @memberof Nxt
+   * @param {string} name
+   * @returns {Promise<Blob>}
+   * @throws {NxtError}
+   */
+  async downloadFile(name) {
+    const file = await this.openRead(name);
+
+    try {
+      const data = await file.read();
+      return new Blob([data]);
+    } finally {
+      await file.close();
+    }
+  }
+
+  /**
+   * Open a file on the brick as a stream
+   *
+   * The handle is closed when the stream ends or is cancelled.
+   *
+   * @async
+   * @function openReadStream
+   * @memberof Nxt
+   * @param {string} name
+   * @returns {Promise<ReadableStream<Uint8Array>>}
+   * @throws {NxtError}
+   */
+  async openReadStream(name) {
+    const file = await this.openRead(name);
+
+    return new ReadableStream({
+      async pull(controller) {
+        try {
+          const chunk = file.remaining > 0 ? await file.read(64 - 6) : null;
+
+          if (!chunk || chunk.length === 0) {
+            await file.close();
+            controller.close();
+            return;
+          }
+
+          controller.enqueue(chunk);
+        } catch (error) {
+          await file.close().catch(() => {});
+          controller.error(error);
+        }
+      },
+      async cancel() {
+        await file.close();
+      },
+    });
+  }
+
+  /**
+   * Upload file
+   *
+   * Will delete the file if it already exists. Emits "uploadprogress" events
+   * with { name, loaded, total } while writing. When the upload is aborted
+   * or fails halfway, the partial file is removed from the brick.
+   *
+   * @async
+   * @function uploadFile
+   * @memberof Nxt
+   * @param {File} file
+   * @param {Object|boolean} [options] // a boolean sets options.stopProgram
+   * @param {boolean} [options.stopProgram] // stop the running program first
+   * @param {string} [options.name] // name on the brick, defaults to file.name
+   * @param {AbortSignal} [options.signal]
+   * @param {function({ name: string, loaded: number, total: number }): void} [options.onProgress]
+   * @param {boolean} [options.verify] // check the file list afterwards
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async uploadFile(file, options = {}) {
+    if (typeof options === "boolean") {
+      options = { stopProgram: options };
+    }
+
+    const {
+      stopProgram = false,
+      name = file?.name,
+      signal,
+      onProgress,
+      verify = true,
+    } = options;
+
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (!(await this.checkConnection())) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (!file) {
+      throw new NxtError("No file selected");
+    }
+
+    // The last byte of a file name is always null
+    if (name.length > 19) {
+      throw new NxtError("Filename too long, max 19 characters");
+    }
+
+    const arrayBuffer = await file.arrayBuffer();
+    const data = new Uint8Array(arrayBuffer);
+
+    await this.requireFeature("fileSystem");
+
+    signal?.throwIfAborted();
+
+    // Checked before anything changes on the brick, an old version of the
+    // file is deleted first and frees up its space
+    const { freeUserFlash } = await this.getDeviceInfo();
+    const existing = (await this.listFiles()).find(
+      (entry) => entry.name === name
+    );
+    const available = freeUserFlash + (existing?.size ?? 0);
+
+    if (data.length > available) {
+      throw new NxtError(
+        `Not enough free flash, file is ${data.length} bytes but only ${available} bytes are free`
+      );
+    }
+
+    if (stopProgram) {
+      try {
+        await this.stopProgram();
+      } catch (error) {
+        if (error.statusCode !== NxtStatus.NO_ACTIVE_PROGRAM) {
+          throw error;
+        }
+      }
+    }
+
+    try {
+      await this.deleteFile(name);
+    } catch (error) {
+      if (error.statusCode !== NxtStatus.FILE_NOT_FOUND) {
+        throw error;
+      }
+    }
+
+    signal?.throwIfAborted();
+
+    const handle = await this._openLinearWrite(name, data.length);
+    const fileHandle = new NxtFileHandle(
+      this,
+      handle,
+      name,
+      data.length,
+      "write"
+    );
+
+    const reportProgress = (loaded) => {
+      const progress = { name, loaded, total: data.length };
+      onProgress?.(progress);
+      this.emit("uploadprogress", progress);
+    };
+
+    try {
+      reportProgress(0);
+
+      for (let i = 0; i < data.length; i += 64 - 3) {
+        signal?.throwIfAborted();
+
+        await fileHandle.write(data.slice(i, i + 64 - 3));
+        reportProgress(fileHandle.position);
+      }
+
+      await fileHandle.close();
+    } catch (error) {
+      // Clean up the partial file, the original error is the one that matters
+      await fileHandle.close().catch(() => {});
+      await this.deleteFile(name).catch(() => {});
+      throw error;
+    }
+
+    if (verify) {
+      const files = await this.listFiles();
+      const uploaded = files.find((entry) => entry.name === name);
+
+      if (!uploaded || uploaded.size !== data.length) {
+        throw new NxtError(
+          `Upload verification failed, "${name}" is missing or incomplete`
+        );
+      }
+    }
+  }
+
+  /**
+   * Upload program
+   *
+   * Takes the same options as uploadFile, the running program is always
+   * stopped.
+   *
+   * @async
+   * @function uploadProgram
+   * @memberof Nxt
+   * @param {File} file
+   * @param {Object} [options]
+   * @returns {Promise<void>}
+   */
+  async uploadProgram(file, options = {}) {
+    if (!file) {
+      throw new NxtError("No file selected");
+    }
+
+    if (!file.name.toLowerCase().endsWith(".rxe")) {
+      throw new NxtError("Invalid file format; file doesn't end with .rxe");
+    }
+
+    // Check the whole file before anything is sent, the upload itself
+    // would succeed and only starting the program would fail
+    const data = new Uint8Array(await file.arrayBuffer());
+    const { flavour } = await this.getCapabilities();
+    const { valid, issues } = inspectRxe(data, { flavour });
+
+    if (!valid) {
+      throw new NxtError(
+        `Invalid program: ${issues.map((issue) => issue.message).join(", ")}`
+      );
+    }
+
+    try {
+      await this.uploadFile(file, { ...options, stopProgram: true });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Stop program
+   *
+   * Emits "programstop" with { name, duration }, both null when the program
+   * wasn't started with startProgram or runProgram.
+   *
+   * @async
+   * @function stopProgram
+   * @memberof Nxt
+   * @returns {Promise<void>}
+   */
+  async stopProgram() {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (!(await this.checkConnection())) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    await this._request(NxtCommand.STOP_PROGRAM);
+
+    this._programStopped();
+  }
+
+  /**
+   * Emit "programstop" for the program that was started last
+   *
+   * @private
+   * @function _programStopped
+   * @memberof Nxt
+   * @returns {{ name: string|null, duration: number|null }} // duration in ms
+   */
+  _programStopped() {
+    const { name = null, startedAt = null } = this.startedProgram ?? {};
+    const stop = {
+      name,
+      duration: startedAt === null ? null : Date.now() - startedAt,
+    };
+
+    this.startedProgram = null;
+    this.emit("programstop", stop);
+
+    return stop;
+  }
+
+  /**
+   * Start a program that is on the brick
+   *
+   * A running program is replaced. Emits "programstart" with { name }.
+   *
+   * @async
+   * @function startProgram
+   * @memberof Nxt
+   * @param {string} name // e.g. "Program.rxe"
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async startProgram(name) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    await this._request(NxtCommand.START_PROGRAM, { fileName: name });
+    this.startedProgram = { name, startedAt: Date.now() };
+
+    this.emit("programstart", { name });
+  }
+
+  /**
+   * Get the name of the running program
+   *
+   * @async
+   * @function getCurrentProgramName
+   * @memberof Nxt
+   * @returns {Promise<string|null>} // null when no program runs
+   * @throws {NxtError}
+   */
+  async getCurrentProgramName() {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    try {
+      const { fileName } = await this._request(
+        NxtCommand.GET_CURRENT_PROGRAM_NAME,
+        {},
+        { retries: READ_RETRIES }
+      );
+
+      return fileName;
+    } catch (error) {
+      if (error.statusCode === NxtStatus.NO_ACTIVE_PROGRAM) {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Run a program, uploading it first if the brick doesn't have it
+   *
+   * Pass a file to upload it when it's missing on the brick or has a
+   * different size, or a name to run a program that is already there. By
+   * default waits for the program to exit, and emits "programstop" with
+   * { name, duration } when it does. Without waiting, "programstop" is only
+   * emitted when stopProgram stops it. A program still running after the
+   * timeout is stopped, and an NxtTimeoutError is thrown.
+   *
+   * @async
+   * @function runProgram
+   * @memberof Nxt
+   * @param {File|string} program
+   * @param {Object} [options]
+   * @param {boolean} [options.wait] // wait for the program to exit
+   * @param {number} [options.timeout] // time in ms to wait, Infinity to wait forever
+   * @param {number} [options.pollInterval] // time in ms between checks
+   * @param {AbortSignal} [options.signal] // stops the program when aborted
+   * @returns {Promise<{ name: string, duration: number|null }>} // duration in ms, null when not waiting
+   * @throws {NxtError}
+   */
+  async runProgram(
+    program,
+    { wait = true, timeout = Infinity, pollInterval = 250, signal } = {}
+  ) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const name = typeof program === "string" ? program : program.name;
+
+    if (typeof program !== "string") {
+      const onBrick = (await this.listFiles()).find(
+        (file) => file.name === name
+      );
+
+      if (!onBrick || onBrick.size !== program.size) {
+        await this.uploadProgram(program, { signal });
+      }
+    }
+
+    signal?.throwIfAborted();
+
+    await this.startProgram(name);
+    const startedAt = Date.now();
+
+    if (!wait) {
+      return { name, duration: null };
+    }
+
+    while ((await this.getCurrentProgramName()) === name) {
+      if (signal?.aborted || Date.now() - startedAt >= timeout) {
+        // The run ends here even when the stop command fails
+        await this._request(NxtCommand.STOP_PROGRAM).catch(() => {});
+        this._programStopped();
+
+        signal?.throwIfAborted();
+        throw new NxtTimeoutError(
+          `Program "${name}" still running after ${timeout} ms`
+        );
+      }
+
+      await sleep(pollInterval);
+    }
+
+    const { duration } = this._programStopped();
+
+    return { name, duration };
+  }
+
+  /**
+   * Play a tone
+   *
+   * Returns right away, a new tone replaces the one that is playing.
+   *
+   * @async
+   * @function playTone
+   * @memberof Nxt
+   * @param {number} frequency // 200-14000 Hz
+   * @param {number} duration // ms
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async playTone(frequency, duration) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (
+      frequency < ToneLimit.MIN_FREQUENCY ||
+      frequency > ToneLimit.MAX_FREQUENCY
+    ) {
+      throw new NxtError(
+        `Frequency must be between ${ToneLimit.MIN_FREQUENCY} and ${ToneLimit.MAX_FREQUENCY} Hz`
+      );
+    }
+
+    if (duration < 0 || duration > ToneLimit.MAX_DURATION) {
+      throw new NxtError(
+        `Duration must be between 0 and ${ToneLimit.MAX_DURATION} ms`
+      );
+    }
+
+    await this._request(NxtCommand.PLAY_TONE, {
+      frequency: Math.round(frequency),
+      duration: Math.round(duration),
+    });
+  }
+
+  /**
+   * Play a sound file (.rso) that is on the brick
+   *
+   * @async
+   * @function playSoundFile
+   * @memberof Nxt
+   * @param {string} name // e.g. "Woops.rso"
+   * @param {boolean} [loop] // repeat until stopSoundPlayback is called
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async playSoundFile(name, loop = false) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    await this._request(NxtCommand.PLAY_SOUND_FILE, { loop, fileName: name });
+  }
+
+  /**
+   * Convert a sound to RSO and upload it
+   *
+   * Takes a WAV file, an AudioBuffer or raw PCM, see encodeRso. Like
+   * uploadFile, fails when the sound doesn't fit in the free flash.
+   *
+   * @async
+   * @function uploadSound
+   * @memberof Nxt
+   * @param {Uint8Array|ArrayBuffer|Blob|AudioBuffer|Object} sound
+   * @param {string} name // e.g. "Hello.rso"
+   * @param {Object} [options]
+   * @param {number} [options.sampleRate] // Hz, 2000-16000
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async uploadSound(sound, name, { sampleRate, ...options } = {}) {
+    if (!name?.toLowerCase().endsWith(".rso")) {
+      throw new NxtError("Invalid file name; sound files end with .rso");
+    }
+
+    // A WAV File from a file input
+    if (typeof Blob !== "undefined" && sound instanceof Blob) {
+      sound = await sound.arrayBuffer();
+    }
+
+    const rso = encodeRso(sound, { sampleRate });
+
+    await this.uploadFile(new Blob([rso]), { ...options, name });
+  }
+
+  /**
+   * Convert an image to RIC and upload it
+   *
+   * Programs draw the image with GraphicOut in NXC.
+   *
+   * @async
+   * @function uploadImage
+   * @memberof Nxt
+   * @param {ImageData|HTMLCanvasElement|Object} image // see toBitmap
+   * @param {string} name // e.g. "Smiley.ric"
+   * @param {Object} [options]
+   * @param {number} [options.threshold] // brightness below which a pixel is black, 0-255
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async uploadImage(image, name, { threshold, ...options } = {}) {
+    if (!name?.toLowerCase().endsWith(".ric")) {
+      throw new NxtError("Invalid file name; image files end with .ric");
+    }
+
+    const ric = encodeRic(toBitmap(image, { threshold }));
+
+    await this.uploadFile(new Blob([ric]), { ...options, name });
+  }
+
+  /**
+   * Stop the tone or sound file that is playing
+   *
+   * @async
+   * @function stopSoundPlayback
+   * @memberof Nxt
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async stopSoundPlayback() {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    await this._request(NxtCommand.STOP_SOUND_PLAYBACK);
+  }
+
+  /**
+   * Play a melody, e.g. "C4 8, E4 8, G4 4"
+   *
+   * See parseMelody for the notation. Resolves when the melody is done,
+   * aborting the signal stops it.
+   *
+   * @async
+   * @function playMelody
+   * @memberof Nxt
+   * @param {string|Array} melody
+   * @param {{ tempo?: number, gap?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async playMelody(melody, options) {
+    await playMelody(this, melody, options);
+  }
+
+  /**
+   * Get the battery voltage
+   *
+   * @async
+   * @function getBatteryLevel
+   * @memberof Nxt
+   * @returns {Promise<number>} // mV
+   * @throws {NxtError}
+   */
+  async getBatteryLevel() {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const { voltage } = await this._request(
+      NxtCommand.GET_BATTERY_LEVEL,
+      {},
+      { retries: READ_RETRIES }
+    );
+
+    return voltage;
+  }
+
+  /**
+   * Reset the sleep timer of the brick
+   *
+   * @async
+   * @function keepAlive
+   * @memberof Nxt
+   * @returns {Promise<number>} // sleep time limit in ms, 0 when the brick never sleeps
+   * @throws {NxtError}
+   */
+  async keepAlive() {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const { sleepTimeLimit } = await this._request(
+      NxtCommand.KEEP_ALIVE,
+      {},
+      { retries: READ_RETRIES }
+    );
+
+    return sleepTimeLimit;
+  }
+
+  /**
+   * Keep the brick awake and watch its battery in the background
+   *
+   * Replaces the monitor that is running, if any. Emits "battery",
+   * "lowbattery" and "monitorerror" events, see NxtPowerMonitor. The monitor
+   * stops on stopMonitoring, when connecting again or when the connection
+   * fails.
+   *
+   * @function startMonitoring
+   * @memberof Nxt
+   * @param {Object} [options]
+   * @param {boolean} [options.keepAlive] // send keep-alives before the sleep timer runs out
+   * @param {number|null} [options.batteryInterval] // time in ms between battery samples, null to not sample
+   * @param {number} [options.lowBatteryThreshold] // mV
+   * @returns {NxtPowerMonitor}
+   */
+  startMonitoring(options) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    this.stopMonitoring();
+
+    this.monitorOptions = options ?? {};
+    this.powerMonitor = new NxtPowerMonitor(this, options);
+    this.powerMonitor.start();
+
+    return this.powerMonitor;
+  }
+
+  /**
+   * Stop the keep-alive and battery monitor
+   *
+   * @function stopMonitoring
+   * @memberof Nxt
+   * @returns {void}
+   */
+  stopMonitoring() {
+    this.powerMonitor?.stop();
+    this.powerMonitor = null;
+    this.monitorOptions = null;
+  }
+
+  /**
+   * Set output state of a motor port
+   *
+   * Fields that are left out default to 0.
+   *
+   * @async
+   * @function setOutputState
+   * @memberof Nxt
+   * @param {number} port // 0-2 for A-C, 0xFF for all ports
+   * @param {{ power?: number, mode?: number, regulationMode?: number, turnRatio?: number, runState?: number, tachoLimit?: number }} state
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async setOutputState(
+    port,
+    {
+      power = 0,
+      mode = 0,
+      regulationMode = 0,
+      turnRatio = 0,
+      runState = 0,
+      tachoLimit = 0,
+    }
+  ) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (power < -100 || power > 100) {
+      throw new NxtError("Power must be between -100 and 100");
+    }
+
+    if (turnRatio < -100 || turnRatio > 100) {
+      throw new NxtError("Turn ratio must be between -100 and 100");
+    }
+
+    await this._request(NxtCommand.SET_OUTPUT_STATE, {
+      port,
+      power,
+      mode,
+      regulationMode,
+      turnRatio,
+      runState,
+      tachoLimit,
+    });
+  }
+
+  /**
+   * Get output state of a motor port
+   *
+   * @async
+   * @function getOutputState
+   * @memberof Nxt
+   * @param {number} port // 0-2 for A-C
+   * @returns {Promise<{ port: number, power: number, mode: number, regulationMode: number, turnRatio: number, runState: number, tachoLimit: number, tachoCount: number, blockTachoCount: number, rotationCount: number }>}
+   * @throws {NxtError}
+   */
+  async getOutputState(port) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const { status, ...state } = await this._request(
+      NxtCommand.GET_OUTPUT_STATE,
+      { port },
+      { retries: READ_RETRIES }
+    );
+
+    return state;
+  }
+
+  /**
+   * Reset motor position
+   *
+   * @async
+   * @function resetMotorPosition
+   * @memberof Nxt
+   * @param {number} port // 0-2 for A-C
+   * @param {boolean} relative // true resets the position relative to the last movement, false the absolute position
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async resetMotorPosition(port, relative) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    await this._request(NxtCommand.RESET_MOTOR_POSITION, { port, relative });
+  }
+
+  /**
+   * Set input mode of a sensor port
+   *
+   * @async
+   * @function setInputMode
+   * @memberof Nxt
+   * @param {number} port // 0-3 for sensor port 1-4
+   * @param {number} type // SensorType
+   * @param {number} mode // SensorMode
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async setInputMode(port, type, mode) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    await this._request(NxtCommand.SET_INPUT_MODE, { port, type, mode });
+  }
+
+  /**
+   * Get input values of a sensor port
+   *
+   * @async
+   * @function getInputValues
+   * @memberof Nxt
+   * @param {number} port // 0-3 for sensor port 1-4
+   * @returns {Promise<{ port: number, valid: boolean, calibrated: boolean, type: number, mode: number, rawValue: number, normalizedValue: number, scaledValue: number, calibratedValue: number }>}
+   * @throws {NxtError}
+   */
+  async getInputValues(port) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const { status, ...values } = await this._request(
+      NxtCommand.GET_INPUT_VALUES,
+      { port },
+      { retries: READ_RETRIES }
+    );
+
+    return values;
   }
 
   /**
-   * Connect to the nxt brick via USB or Bluetooth
+   * Reset the scaled value of a sensor port
    *
    * @async
-   * @function connect
+   * @function resetInputScaledValue
    * @memberof Nxt
-   * @param {string} type // type can be "usb" or "bluetooth"
+   * @param {number} port // 0-3 for sensor port 1-4
    * @returns {Promise<void>}
+   * @throws {NxtError}
    */
-  async connect(type) {
-    switch (type) {
-      case "usb":
-        this.connectedDevice = new NxtUsbCommunication();
-        break;
-      case "bluetooth":
-        throw new Error("Bluetooth not implemented");
-      default:
-        throw new Error("Invalid connection type");
+  async resetInputScaledValue(port) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
     }
 
-    await this.connectedDevice.connect();
+    await this._request(NxtCommand.RESET_INPUT_SCALED_VALUE, { port });
   }
 
   /**
-   * Get firmware and protocol version of connected brick
+   * Write data to a low speed (I2C) sensor
+   *
+   * The transaction runs in the background, use lsGetStatus to check when the
+   * reply is ready. Throws an NxtStatusError with code "CHANNEL_BUSY" when
+   * the port is busy or not configured.
    *
    * @async
-   * @function getFirmwareVersion
+   * @function lsWrite
    * @memberof Nxt
-   * @returns {Promise<{ minorProtocol: number, majorProtocol: number, minorFirmware: number, majorFirmware: number}>}
-   * @throws {Error}
+   * @param {number} port // 0-3 for sensor port 1-4
+   * @param {Uint8Array} txData // max 16 bytes, starting with the I2C address
+   * @param {number} rxLength // amount of bytes to read back, max 16
+   * @returns {Promise<void>}
+   * @throws {NxtError}
    */
-  async getFirmwareVersion() {
+  async lsWrite(port, txData, rxLength) {
     if (!this.connectedDevice) {
-      throw new Error("No device connected");
+      throw new NxtTransportError("No device connected");
     }
 
-    await this.connectedDevice.sendCommand(new Uint8Array([0x01, 0x88])); // Get firmware version
-
-    // Expected output:
-    // 0: 0x02
-    // 1: 0x88
-    // 2: status, 0 equals success, otherwise indicates error message
-    // 3: minor version of protocol
-    // 4: major version of protocol
-    // 5: minor version of firmware
-    // 6: major version of firmware
+    if (txData.length > 16 || rxLength > 16) {
+      throw new NxtError("Low speed data can't be longer than 16 bytes");
+    }
 
-    const data = await this.connectedDevice.receiveData();
-    return {
-      minorProtocol: data[3],
-      majorProtocol: data[4],
-      minorFirmware: data[5],
-      majorFirmware: data[6],
-    };
+    await this._request(NxtCommand.LS_WRITE, { port, txData, rxLength });
   }
 
   /**
-   * Check connection using the getFirmwareVersion command. Returns a boolean
+   * Get the amount of bytes ready to be read from a low speed (I2C) sensor
+   *
+   * Throws an NxtStatusError with code "PENDING_COMMUNICATION" while the
+   * transaction is still pending and "BUS_ERROR" on a bus error.
    *
    * @async
-   * @function checkConnection
+   * @function lsGetStatus
    * @memberof Nxt
-   * @returns {Promise<boolean>}
-   * @throws {Error}
+   * @param {number} port // 0-3 for sensor port 1-4
+   * @returns {Promise<number>}
+   * @throws {NxtError}
    */
-  async checkConnection() {
-    try {
-      if (!this.connectedDevice) {
-        throw new Error("No device connected");
-      }
-      await this.getFirmwareVersion();
-      return true;
-    } catch (e) {
-      return false;
+  async lsGetStatus(port) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
     }
+
+    const { bytesReady } = await this._request(NxtCommand.LS_GET_STATUS, {
+      port,
+    });
+
+    return bytesReady;
   }
 
   /**
-   * Get device info of connected brick
+   * Read the reply of a low speed (I2C) sensor
    *
    * @async
-   * @function getDeviceInfo
+   * @function lsRead
    * @memberof Nxt
-   * @returns {Promise<{ nxtName: string, btAddress: string, btSignalStrength: number, freeUserFlash: number }>}
-   * @throws {Error}
+   * @param {number} port // 0-3 for sensor port 1-4
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
    */
-  async getDeviceInfo() {
+  async lsRead(port) {
     if (!this.connectedDevice) {
-      throw new Error("No device connected");
+      throw new NxtTransportError("No device connected");
     }
 
-    await this.connectedDevice.sendCommand(new Uint8Array([0x01, 0x9b])); // Get device info
-
-    // Expected output:
-    // 0: 0x02
-    // 1: 0x9B
-    // 2: status, 0 equals success, otherwise indicates error message
-    // 3-17: NXT name
-    // 18-24: BT address
-    // 25: lsb of BT signal strength
-    // 28: msb of BT signal strength
-    // 29: lsb of free user flash
-    // 32: msb of free user flash
-
-    const data = await this.connectedDevice.receiveData();
-
-    const rawName = String.fromCharCode(...data.slice(3, 18));
-    const nxtName = rawName.replace(/\u0000/g, ""); // Remove null characters
+    const { bytesRead, rxData } = await this._request(NxtCommand.LS_READ, {
+      port,
+    });
 
-    const btAddress = data.slice(18, 24);
-
-    // untested
-    const btSignalStrength =
-      data[25] | (data[26] << 8) | (data[27] << 16) | (data[28] << 24);
+    return rxData.slice(0, bytesRead);
+  }
 
-    const freeUserFlash =
-      data[29] | (data[30] << 8) | (data[31] << 16) | (data[32] << 24);
+  /**
+   * Get the low speed (I2C) bus of a sensor port
+   *
+   * The bus is shared by everything on the port, so its transactions don't
+   * interleave.
+   *
+   * @function getLowSpeedBus
+   * @memberof Nxt
+   * @param {number} port // 0-3 for sensor port 1-4
+   * @returns {NxtLowSpeedBus}
+   */
+  getLowSpeedBus(port) {
+    if (!this.lowSpeedBuses.has(port)) {
+      this.lowSpeedBuses.set(port, new NxtLowSpeedBus(this, port));
+    }
 
-    return {
-      nxtName,
-      btAddress,
-      btSignalStrength,
-      freeUserFlash,
-    };
+    return this.lowSpeedBuses.get(port);
   }
 
   /**
-   * Set brick name, max 15 chars
+   * List files
    *
    * @async
-   * @function setBrickName
+   * @function listFiles
    * @memberof Nxt
-   * @param {string} name
-   * @returns {Promise<void>}
-   * @throws {Error}
+   * @returns {Promise<{ name: string, size: number }[]>}
    */
-  async setBrickName(name) {
+  async listFiles() {
     if (!this.connectedDevice) {
-      throw new Error("No device connected");
+      throw new NxtTransportError("No device connected");
     }
 
     if (!(await this.checkConnection())) {
-      throw new Error("No device connected");
+      throw new NxtTransportError("No device connected");
     }
 
-    if (name.length > 15) {
-      throw new Error("Name must be 15 characters or less");
-    }
+    const files = [];
 
-    const nameArray = new Uint8Array(15);
-    nameArray.set(name.split("").map((char) => char.charCodeAt(0)));
+    let fileInfo;
 
-    await this.connectedDevice.sendCommand(
-      new Uint8Array([0x01, 0x98, ...nameArray])
-    );
+    try {
+      // Search for wildcard *.*
+      fileInfo = await this._request(NxtCommand.FIND_FIRST, {
+        fileName: "*.*",
+      });
+    } catch (error) {
+      // No files on the brick at all
+      if (error.statusCode === NxtStatus.FILE_NOT_FOUND) {
+        return files;
+      }
+
+      throw error;
+    }
+
+    const handle = fileInfo.handle;
 
-    const data = await this.connectedDevice.receiveData();
+    files.push({ name: fileInfo.fileName, size: fileInfo.fileSize });
 
-    if (data[2] !== 0) {
-      throw new Error(`Failed to set brick name, error code ${data[2]}`);
+    try {
+      while (true) {
+        fileInfo = await this._request(NxtCommand.FIND_NEXT, { handle });
+        files.push({ name: fileInfo.fileName, size: fileInfo.fileSize });
+      }
+    } catch (error) {
+      // The brick replies with one of these after the last file
+      if (
+        error.statusCode !== NxtStatus.FILE_NOT_FOUND &&
+        error.statusCode !== NxtStatus.NO_MORE_FILES
+      ) {
+        await this._closeHandle(handle).catch(() => {});
+        throw error;
+      }
     }
+
+    await this._closeHandle(handle);
+
+    return files;
   }
 
   /**
-   * Open linear write
+   * Delete file
    *
-   * Returns the handle number
+   * Throws an NxtStatusError with code "FILE_NOT_FOUND" if the file isn't found.
    *
-   * @private
    * @async
-   * @function _openLinearWrite
+   * @function deleteFile
    * @memberof Nxt
-   * @param {string} name
-   * @param {number} size
-   * @returns {Promise<number>}
+   * @param {string} fileName
+   * @returns {Promise<void>}
+   * @throws {NxtError}
    */
-  async _openLinearWrite(name, size) {
-    if (name.length > 20) {
-      throw new Error("Filesize too long");
+  async deleteFile(fileName) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
     }
 
-    const nameArray = new Uint8Array(20);
-    nameArray.set(name.split("").map((char) => char.charCodeAt(0)));
-
-    // Filesize in bytes, 4 bytes, least to most significant
-    const sizeArray = new Uint8Array([
-      size & 0xff,
-      (size >> 8) & 0xff,
-      (size >> 16) & 0xff,
-      (size >> 24) & 0xff,
-    ]);
+    if (!(await this.checkConnection())) {
+      throw new NxtTransportError("No device connected");
+    }
 
-    await this.connectedDevice.sendCommand(
-      new Uint8Array([0x01, 0x89, ...nameArray, ...sizeArray])
-    );
+    await this._request(NxtCommand.DELETE, { fileName });
+  }
 
-    const data = await this.connectedDevice.receiveData();
+  /**
+   * Send a message to an inbox of the running program
+   *
+   * A string is sent as its characters, bytes as they are, both followed by
+   * a null terminator. Messages can be at most 58 bytes.
+   *
+   * @async
+   * @function sendMessage
+   * @memberof Nxt
+   * @param {number} box // inbox 0-9
+   * @param {string|Uint8Array} message
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async sendMessage(box, message) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
+    }
 
-    if (data[2] !== 0) {
-      throw new Error(`Failed to open linear write, error code ${data[2]}`);
+    if (box < 0 || box >= Mailbox.INBOXES) {
+      throw new NxtError(`Inbox must be between 0 and ${Mailbox.INBOXES - 1}`);
     }
 
-    return data[3];
+    await this._request(NxtCommand.MESSAGE_WRITE, {
+      inbox: box,
+      message: encodeMessage(message),
+    });
   }
 
   /**
-   * Write data to brick
+   * Read a message from a mailbox of the running program
+   *
+   * Programs write their replies to the response mailboxes 10-19. Resolves
+   * with null when the mailbox is empty.
    *
-   * @private
    * @async
-   * @function _write
+   * @function readMessage
    * @memberof Nxt
-   * @param {number} handle
-   * @param {Uint8Array} data
-   * @param {boolean} requireResponse
-   * @returns {Promise<void>}
-   * @throws {Error}
+   * @param {number} remoteBox // mailbox 0-19 to read from
+   * @param {number} [localBox] // inbox 0-9 the reply is addressed to
+   * @param {boolean} [remove] // remove the message from the mailbox
+   * @returns {Promise<NxtMessage|null>}
+   * @throws {NxtError}
    */
-  async _write(handle, data, requireResponse = false) {
-    if (data.length > 64 - 3) {
-      throw new Error("Data too long");
+  async readMessage(
+    remoteBox,
+    localBox = remoteBox % Mailbox.INBOXES,
+    remove = true
+  ) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
     }
 
-    await this.connectedDevice.sendCommand(
-      new Uint8Array([requireResponse ? 0x01 : 0x81, 0x83, handle, ...data])
-    );
+    if (remoteBox < 0 || remoteBox >= Mailbox.INBOXES * 2) {
+      throw new NxtError(
+        `Mailbox must be between 0 and ${Mailbox.INBOXES * 2 - 1}`
+      );
+    }
 
-    if (requireResponse) {
-      const response = await this.connectedDevice.receiveData();
+    let reply;
 
-      if (response[2] !== 0) {
-        throw new Error(`Failed to write data, error code ${response[2]}`);
+    try {
+      reply = await this._request(NxtCommand.MESSAGE_READ, {
+        remoteInbox: remoteBox,
+        localInbox: localBox,
+        remove,
+      });
+    } catch (error) {
+      if (error.statusCode === NxtStatus.MAILBOX_EMPTY) {
+        return null;
       }
 
-      return response;
+      throw error;
     }
+
+    // The size includes the null terminator
+    const length = Math.max(reply.messageSize - 1, 0);
+
+    return new NxtMessage(remoteBox, reply.message.slice(0, length));
   }
 
   /**
-   * Upload file
+   * Poll mailboxes for messages
    *
-   * Will delete the file if it already exists.
+   * Defaults to the response mailboxes 10-19 programs reply on. See
+   * NxtMailboxSubscription for the events, call stop() on the result when
+   * done.
    *
-   * @async
-   * @function uploadFile
+   * @function subscribeMessages
    * @memberof Nxt
-   * @param {File} file
-   * @param {Boolean} stopProgram
-   * @returns {Promise<void>}
+   * @param {Object} [options]
+   * @param {number[]} [options.boxes] // mailboxes to poll, 0-19
+   * @param {number} [options.interval] // time in ms between polls
+   * @returns {NxtMailboxSubscription}
+   */
+  subscribeMessages({
+    boxes = Array.from(
+      { length: Mailbox.INBOXES },
+      (_, box) => box + Mailbox.RESPONSE_OFFSET
+    ),
+    interval,
+  } = {}) {
+    return new NxtMailboxSubscription(this, boxes, { interval });
+  }
+
+  /**
+   * Poll sensors, motors and the battery at a target rate
+   *
+   * Sources are "battery", input ports "S1"-"S4" and output ports "A"-"C".
+   * See NxtTelemetry for the events and samples, call stop() on the result
+   * when done.
+   *
+   * @function startTelemetry
+   * @memberof Nxt
+   * @param {Array<string|Object>} sources
+   * @param {Object} [options]
+   * @param {number} [options.rate] // target samples per second
+   * @param {number} [options.bufferSize] // samples an async iterator buffers before polling pauses
+   * @returns {NxtTelemetry}
+   * @throws {NxtError}
    */
-  async uploadFile(file, stopProgram) {
+  startTelemetry(sources, options) {
     if (!this.connectedDevice) {
-      throw new Error("No device connected");
+      throw new NxtTransportError("No device connected");
     }
 
-    if (!(await this.checkConnection())) {
-      throw new Error("No device connected");
-    }
+    return new NxtTelemetry(this, sources, options);
+  }
 
-    if (!file) {
-      throw new Error("No file selected");
+  /**
+   * List the firmware modules
+   *
+   * @async
+   * @function listModules
+   * @memberof Nxt
+   * @param {string} [pattern] // e.g. "*.mod" or "Display.mod"
+   * @returns {Promise<{ name: string, id: number, size: number, ioMapSize: number }[]>}
+   * @throws {NxtError}
+   */
+  async listModules(pattern = "*.*") {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
     }
 
-    const arrayBuffer = await file.arrayBuffer();
-    const data = new Uint8Array(arrayBuffer);
-    const packetChunkSize = 64;
+    const modules = [];
+    const toModule = ({ moduleName, moduleId, moduleSize, ioMapSize }) => ({
+      name: moduleName,
+      id: moduleId,
+      size: moduleSize,
+      ioMapSize,
+    });
 
-    const firmwareVersion = await this.getFirmwareVersion();
-    if (firmwareVersion.majorFirmware != 1) {
-      throw new Error("Cannot verify firmware");
-    }
+    let moduleInfo;
 
-    if (stopProgram) {
-      try {
-        await this.stopProgram();
-      } catch (error) {
-        console.log(error.statusCode);
-        if (error.statusCode != 236) {
-          throw error;
-        }
+    try {
+      moduleInfo = await this._request(NxtCommand.REQUEST_FIRST_MODULE, {
+        moduleName: pattern,
+      });
+    } catch (error) {
+      if (error.statusCode === NxtStatus.MODULE_NOT_FOUND) {
+        return modules;
       }
+
+      throw error;
     }
 
+    const handle = moduleInfo.handle;
+
+    modules.push(toModule(moduleInfo));
+
     try {
-      await this.deleteFile(file.name);
+      while (true) {
+        moduleInfo = await this._request(NxtCommand.REQUEST_NEXT_MODULE, {
+          handle,
+        });
+        modules.push(toModule(moduleInfo));
+      }
     } catch (error) {
-      if (error.statusCode != 135) {
+      // The brick replies with this after the last module
+      if (error.statusCode !== NxtStatus.MODULE_NOT_FOUND) {
+        await this._request(NxtCommand.CLOSE_MODULE_HANDLE, { handle }).catch(
+          () => {}
+        );
         throw error;
       }
     }
 
-    const handle = await this._openLinearWrite("Untitled1.rxe", 244);
+    await this._request(NxtCommand.CLOSE_MODULE_HANDLE, { handle });
 
-    let response;
+    return modules;
+  }
 
-    for (let i = 0; i < data.length; i += packetChunkSize - 3) {
-      const chunk = data.slice(i, i + packetChunkSize - 3);
-      const isLastChunk = i + packetChunkSize - 3 >= data.length;
-      response = await this._write(handle, chunk, isLastChunk);
-    }
+  /**
+   * Read and decode the IO map of a common module
+   *
+   * Decoders exist for the command, output, input, UI and sound modules,
+   * see IoMapDecoder. Output and input give an object per port.
+   *
+   * @async
+   * @function readModule
+   * @memberof Nxt
+   * @param {number} moduleId // e.g. NxtModule.OUTPUT
+   * @returns {Promise<Object|Object[]>}
+   * @throws {NxtError}
+   */
+  async readModule(moduleId) {
+    const decoder = IoMapDecoder[moduleId];
 
-    if (response[2] !== 0) {
-      throw new Error(`Failed to upload file, error code ${response[2]}`);
+    if (!decoder) {
+      throw new NxtError(
+        `No decoder for module 0x${moduleId.toString(16).padStart(8, "0")}`
+      );
     }
 
-    // Close handle
-    await this.connectedDevice.sendCommand(
-      new Uint8Array([0x01, 0x84, handle])
-    );
+    return decoder.decode(await this.readIoMap(moduleId, 0, decoder.length));
   }
 
   /**
-   * Upload program
+   * Read part of the IO map of a firmware module
+   *
+   * Reads larger than a packet are split up. Chunks aren't resent on a
+   * timeout, the reply doesn't tell which offset it belongs to, so a late
+   * reply could be taken for the next chunk.
    *
    * @async
-   * @function uploadProgram
+   * @function readIoMap
    * @memberof Nxt
-   * @param {File} file
-   * @returns {Promise<void>}
+   * @param {number} moduleId // e.g. NxtModule.DISPLAY
+   * @param {number} offset
+   * @param {number} length // bytes
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
    */
-  async uploadProgram(file) {
-    if (!file) {
-      throw new Error("No file selected");
+  async readIoMap(moduleId, offset, length) {
+    if (!this.connectedDevice) {
+      throw new NxtTransportError("No device connected");
     }
 
-    if (!file.name.toLowerCase().endsWith(".rxe")) {
-      throw new Error("Invalid file format; file doesn't end with .rxe");
-    }
+    const data = new Uint8Array(length);
 
-    // Verify file is an NXT executable by ensuring it starts with exactly the following:
-    // 4D 69 6E 64 73 74 6F 72 6D 73 4E 58 54
-    // There are three bytes after that which indicate the version. These can change so they are not taken into consideration
-    const expectedHeader = new Uint8Array([
-      0x4d, 0x69, 0x6e, 0x64, 0x73, 0x74, 0x6f, 0x72, 0x6d, 0x73, 0x4e, 0x58,
-      0x54,
-    ]);
+    for (let position = 0; position < length; ) {
+      const { bytesRead, data: chunk } = await this._request(
+        NxtCommand.READ_IO_MAP,
+        {
+          moduleId,
+          offset: offset + position,
+          bytesToRead: Math.min(length - position, IO_MAP_READ_CHUNK),
+        }
+      );
 
-    const headerLength = expectedHeader.length;
-    const fileSlice = file.slice(0, headerLength);
-    const arrayBuffer = await fileSlice.arrayBuffer();
-    const header = new Uint8Array(arrayBuffer);
+      if (bytesRead === 0) {
+        throw new NxtStatusError(NxtStatus.OUT_OF_BOUNDARY, 0x94);
+      }
 
-    // Compare expected header vs header from file
-    if (!header.every((value, index) => value === expectedHeader[index])) {
-      throw new Error("Invalid file format");
+      data.set(chunk.slice(0, bytesRead), position);
+      position += bytesRead;
     }
 
-    try {
-      await this.uploadFile(file, true);
-    } catch (error) {
-      throw error;
-    }
+    return data;
   }
 
   /**
-   * Stop program
+   * Write part of the IO map of a firmware module
+   *
+   * Writes larger than a packet are split up.
    *
    * @async
-   * @function stopProgram
+   * @function writeIoMap
    * @memberof Nxt
+   * @param {number} moduleId // e.g. NxtModule.UI
+   * @param {number} offset
+   * @param {Uint8Array|number[]} data
    * @returns {Promise<void>}
+   * @throws {NxtError}
    */
-  async stopProgram() {
+  async writeIoMap(moduleId, offset, data) {
     if (!this.connectedDevice) {
-      throw new Error("No device connected");
-    }
-
-    if (!(await this.checkConnection())) {
-      throw new Error("No device connected");
+      throw new NxtTransportError("No device connected");
     }
 
-    await this.connectedDevice.sendCommand(new Uint8Array([0x00, 0x01])); // Direct command: Stop program
+    for (let position = 0; position < data.length; ) {
+      const chunk = Uint8Array.from(
+        data.slice(position, position + IO_MAP_WRITE_CHUNK)
+      );
 
-    const data = await this.connectedDevice.receiveData();
+      const { bytesWritten } = await this._request(NxtCommand.WRITE_IO_MAP, {
+        moduleId,
+        offset: offset + position,
+        data: chunk,
+      });
 
-    const status = data[2];
+      if (bytesWritten === 0) {
+        throw new NxtStatusError(NxtStatus.OUT_OF_BOUNDARY, 0x95);
+      }
 
-    if (status !== 0) {
-      const error = new Error(`Failed to stop program, error code ${status}`);
-      error.statusCode = status;
-      throw error;
+      position += bytesWritten;
     }
   }
 
-  /** Handle find return packet. returns something like {name: "<filename>", size: <int>}
+  /**
+   * Read what the display shows
    *
-   * @private
-   * @function _handleFindReturnPacket
+   * Convert the bitmap with bitmapToImageData or bitmapToPng.
+   *
+   * @async
+   * @function captureScreen
    * @memberof Nxt
-   * @param {Uint8Array} data
-   * @returns {{ handle: number, name: string, size: number }}
+   * @returns {Promise<{ width: number, height: number, pixels: Uint8Array }>}
+   * @throws {NxtError}
    */
-  _handleFindReturnPacket(data) {
-    const name = String.fromCharCode(...data.slice(4, 23)).replace(
-      /\u0000/g,
-      ""
+  async captureScreen() {
+    const data = await this.readIoMap(
+      NxtModule.DISPLAY,
+      DisplayMap.NORMAL_OFFSET,
+      DisplayMap.SIZE
     );
 
-    // byte 24 to 27 is the filesize from least significant bit to most significant
-    const fileSize =
-      data[24] | (data[25] << 8) | (data[26] << 16) | (data[27] << 24);
-
-    return {
-      handle: data[3],
-      name,
-      fileSize,
-    };
+    return decodeFramebuffer(data);
   }
 
   /**
-   * List files
+   * Poll the display, see NxtScreenMirror for the events
    *
-   * @async
-   * @function listFiles
+   * Call stop() on the result when done.
+   *
+   * @function mirrorScreen
    * @memberof Nxt
-   * @returns {Promise<{ name: string, size: number }[]>}
+   * @param {Object} [options]
+   * @param {number} [options.interval] // time in ms between reads
+   * @returns {NxtScreenMirror}
+   * @throws {NxtError}
    */
-  async listFiles() {
+  mirrorScreen(options) {
     if (!this.connectedDevice) {
-      throw new Error("No device connected");
-    }
-
-    if (!(await this.checkConnection())) {
-      throw new Error("No device connected");
-    }
-
-    let data;
-    let fileInfo;
-    const files = [];
-
-    // Search for wildcard *.*
-    const fileName = new Uint8Array([
-      0x2a, 0x2e, 0x2a, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
-      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
-    ]);
-
-    await this.connectedDevice.sendCommand(
-      new Uint8Array([0x01, 0x86, ...fileName]) // System command: Find first
-    );
-
-    data = await this.connectedDevice.receiveData();
-    fileInfo = this._handleFindReturnPacket(data);
-
-    const handle = fileInfo.handle;
-
-    files.push({ name: fileInfo.name, size: fileInfo.fileSize });
-
-    let lastFile = false;
-
-    while (!lastFile) {
-      await this.connectedDevice.sendCommand(
-        new Uint8Array([0x01, 0x87, handle]) // System command: Find next
-      );
-
-      data = await this.connectedDevice.receiveData();
-
-      if (data[2] === 0) {
-        fileInfo = this._handleFindReturnPacket(data);
-        files.push({ name: fileInfo.name, size: fileInfo.fileSize });
-      } else {
-        lastFile = true;
-      }
-    }
-
-    // Close the handle
-    await this.connectedDevice.sendCommand(
-      new Uint8Array([0x01, 0x84, handle]) // System command: Close
-    );
-
-    data = await this.connectedDevice.receiveData();
-
-    if (data[2] !== 0) {
-      throw new Error(`Failed to close handle, error code ${data[2]}`);
+      throw new NxtTransportError("No device connected");
     }
 
-    return files;
+    return new NxtScreenMirror(this, options);
   }
 
   /**
-   * Delete file
-   *
-   * Throws an error with error.statusCode = 135 if the file isn't found.
+   * Press a button of the brick, as if it was pressed by hand
    *
    * @async
-   * @function deleteFile
+   * @function pressButton
    * @memberof Nxt
-   * @param {string} fileName
+   * @param {number} button // Button.LEFT, ENTER, RIGHT or EXIT
    * @returns {Promise<void>}
-   * @throws {Error}
+   * @throws {NxtError}
    */
-  async deleteFile(fileName) {
-    if (!this.connectedDevice) {
-      throw new Error("No device connected");
-    }
-
-    if (!(await this.checkConnection())) {
-      throw new Error("No device connected");
+  async pressButton(button) {
+    if (!Object.values(Button).includes(button)) {
+      throw new NxtError("Invalid button");
     }
 
-    const fileNameArray = new Uint8Array(20);
-    fileNameArray.set(fileName.split("").map((char) => char.charCodeAt(0)));
-
-    await this.connectedDevice.sendCommand(
-      new Uint8Array([0x01, 0x85, ...fileNameArray]) // System command: Delete
-    );
-
-    const data = await this.connectedDevice.receiveData();
-
-    if (data[2] !== 0) {
-      const error = new Error(`Failed to delete file, error code ${data[2]}`);
-      error.statusCode = data[2];
-      throw error;
-    }
+    await this.writeIoMap(NxtModule.UI, UiMap.BUTTON_OFFSET, [button]);
   }
 }
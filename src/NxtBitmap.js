@@ -0,0 +1,233 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtError } from "./NxtError";
+
+/**
+ * Size of the brick's display
+ */
+export const Display = {
+  WIDTH: 100,
+  HEIGHT: 64,
+};
+
+/**
+ * Create an empty 1-bit bitmap
+ *
+ * Pixels are stored row by row from the top left, 1 for a black pixel.
+ *
+ * @function createBitmap
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ width: number, height: number, pixels: Uint8Array }}
+ */
+export const createBitmap = (width, height) => ({
+  width,
+  height,
+  pixels: new Uint8Array(width * height),
+});
+
+/**
+ * Convert an image to a 1-bit bitmap
+ *
+ * Takes an ImageData, a canvas, or { width, height, pixels } with a truthy
+ * pixel for black, row by row from the top left. Colour pixels darker than
+ * the threshold become black, transparent pixels white.
+ *
+ * @function toBitmap
+ * @param {ImageData|HTMLCanvasElement|OffscreenCanvas|{ width: number, height: number, pixels: ArrayLike }} image
+ * @param {Object} [options]
+ * @param {number} [options.threshold] // brightness 0-255
+ * @returns {{ width: number, height: number, pixels: Uint8Array }}
+ * @throws {NxtError}
+ */
+export const toBitmap = (image, { threshold = 128 } = {}) => {
+  if (typeof image?.getContext === "function") {
+    image = image
+      .getContext("2d")
+      .getImageData(0, 0, image.width, image.height);
+  }
+
+  const { width, height } = image ?? {};
+
+  if (!(width > 0 && height > 0)) {
+    throw new NxtError(
+      "Invalid image, expected an ImageData, canvas or bitmap"
+    );
+  }
+
+  const bitmap = createBitmap(width, height);
+
+  if (image.pixels) {
+    for (let i = 0; i < bitmap.pixels.length; i++) {
+      bitmap.pixels[i] = image.pixels[i] ? 1 : 0;
+    }
+
+    return bitmap;
+  }
+
+  const { data } = image;
+
+  if (!data || data.length < width * height * 4) {
+    throw new NxtError("Invalid image data");
+  }
+
+  for (let i = 0; i < bitmap.pixels.length; i++) {
+    const [red, green, blue, alpha] = data.subarray(i * 4, i * 4 + 4);
+    const brightness = 0.299 * red + 0.587 * green + 0.114 * blue;
+
+    bitmap.pixels[i] = alpha >= 128 && brightness < threshold ? 1 : 0;
+  }
+
+  return bitmap;
+};
+
+/**
+ * Convert a 1-bit bitmap to ImageData to draw on a canvas
+ *
+ * Outside the browser a plain object with the same properties is returned.
+ *
+ * @function bitmapToImageData
+ * @param {{ width: number, height: number, pixels: Uint8Array }} bitmap
+ * @param {Object} [options]
+ * @param {number[]} [options.foreground] // RGBA of black pixels
+ * @param {number[]} [options.background] // RGBA of white pixels
+ * @returns {ImageData|{ width: number, height: number, data: Uint8ClampedArray }}
+ */
+export const bitmapToImageData = (
+  { width, height, pixels },
+  { foreground = [0, 0, 0, 255], background = [255, 255, 255, 255] } = {}
+) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  pixels.forEach((pixel, i) => {
+    data.set(pixel ? foreground : background, i * 4);
+  });
+
+  return typeof ImageData !== "undefined"
+    ? new ImageData(data, width, height)
+    : { width, height, data };
+};
+
+// CRC-32 lookup table of the PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+
+  return c >>> 0;
+});
+
+/**
+ * Calculate the CRC-32 of bytes
+ *
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Wrap bytes in an uncompressed zlib stream
+ *
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const zlibStore = (data) => {
+  const BLOCK_SIZE = 0xffff;
+  const blocks = Math.max(Math.ceil(data.length / BLOCK_SIZE), 1);
+  const output = new Uint8Array(2 + blocks * 5 + data.length + 4);
+  const view = new DataView(output.buffer);
+
+  output.set([0x78, 0x01]);
+
+  let offset = 2;
+  let a = 1;
+  let b = 0;
+
+  for (let block = 0; block < blocks; block++) {
+    const chunk = data.subarray(block * BLOCK_SIZE, (block + 1) * BLOCK_SIZE);
+
+    output[offset] = block === blocks - 1 ? 1 : 0;
+    view.setUint16(offset + 1, chunk.length, true);
+    view.setUint16(offset + 3, ~chunk.length & 0xffff, true);
+    output.set(chunk, offset + 5);
+    offset += 5 + chunk.length;
+  }
+
+  for (const byte of data) {
+    a = (a + byte) % 65521;
+    b = (b + a) % 65521;
+  }
+
+  view.setUint32(offset, ((b << 16) | a) >>> 0, false);
+
+  return output;
+};
+
+/**
+ * Encode a 1-bit bitmap as a black and white PNG image
+ *
+ * @function bitmapToPng
+ * @param {{ width: number, height: number, pixels: Uint8Array }} bitmap
+ * @returns {Uint8Array}
+ */
+export const bitmapToPng = ({ width, height, pixels }) => {
+  // Every row starts with filter type 0, a set bit is a white pixel
+  const rowBytes = Math.ceil(width / 8);
+  const raw = new Uint8Array((rowBytes + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!pixels[y * width + x]) {
+        raw[y * (rowBytes + 1) + 1 + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header.set([1, 0, 0, 0, 0], 8); // bit depth 1, grayscale, no interlace
+
+  const chunks = [
+    ["IHDR", header],
+    ["IDAT", zlibStore(raw)],
+    ["IEND", new Uint8Array(0)],
+  ].map(([type, data]) => {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length);
+    chunk.set(
+      type.split("").map((char) => char.charCodeAt(0)),
+      4
+    );
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+    return chunk;
+  });
+
+  const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+  const png = new Uint8Array(
+    chunks.reduce((length, chunk) => length + chunk.length, signature.length)
+  );
+
+  png.set(signature);
+  chunks.reduce((offset, chunk) => {
+    png.set(chunk, offset);
+    return offset + chunk.length;
+  }, signature.length);
+
+  return png;
+};
@@ -0,0 +1,265 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import NxtCommunication from "./NxtCommunication";
+import { NxtTimeoutError, NxtTransportError } from "./NxtError";
+
+/**
+ * Represents the Bluetooth interface
+ *
+ * The brick is reached through the serial port of a paired RFCOMM/SPP
+ * connection, using Web Serial. Every packet sent over Bluetooth is prefixed
+ * with a 2-byte little-endian length header, which is added and removed here
+ * so packets look the same as over USB.
+ *
+ * @extends NxtCommunication
+ */
+class NxtBluetoothCommunication extends NxtCommunication {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] // time in ms to wait for a reply
+   */
+  constructor({ timeout = 5000 } = {}) {
+    super();
+    this.port = null;
+    this.reader = null;
+    this.writer = null;
+    this.timeout = timeout;
+
+    // Bytes read from the port that are not part of a returned packet yet
+    this.buffer = new Uint8Array(0);
+
+    // A read that timed out is kept so its bytes aren't lost on the next call
+    this.pendingRead = null;
+
+    this._onSerialConnect = this._onSerialConnect.bind(this);
+    this._onSerialDisconnect = this._onSerialDisconnect.bind(this);
+  }
+
+  /**
+   * Connect to the nxt brick via Bluetooth
+   *
+   * @async
+   * @function connect
+   * @memberof NxtBluetoothCommunication
+   * @returns {Promise<void>}
+   * @throws {NxtTransportError}
+   */
+  async connect() {
+    if (!("serial" in navigator)) {
+      throw new NxtTransportError("Web Serial is not supported");
+    }
+
+    await this._open(await navigator.serial.requestPort());
+  }
+
+  /**
+   * Connect to a port that was chosen before, without prompting the user
+   *
+   * Prefers the port that was connected last.
+   *
+   * @async
+   * @function reconnect
+   * @memberof NxtBluetoothCommunication
+   * @returns {Promise<void>}
+   * @throws {NxtTransportError}
+   */
+  async reconnect() {
+    if (!("serial" in navigator)) {
+      throw new NxtTransportError("Web Serial is not supported");
+    }
+
+    const ports = await navigator.serial.getPorts();
+    const port = ports.includes(this.port) ? this.port : ports[0];
+
+    if (!port) {
+      throw new NxtTransportError("No previously connected brick found");
+    }
+
+    await this._open(port);
+  }
+
+  /**
+   * Release the streams and close the port
+   *
+   * @async
+   * @function disconnect
+   * @memberof NxtBluetoothCommunication
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    navigator.serial.removeEventListener("connect", this._onSerialConnect);
+    navigator.serial.removeEventListener(
+      "disconnect",
+      this._onSerialDisconnect
+    );
+
+    const { port, reader, writer } = this;
+    this.reader = null;
+    this.writer = null;
+
+    // The port may be gone already, e.g. when the brick was turned off
+    await reader?.cancel().catch(() => {});
+    reader?.releaseLock();
+    writer?.releaseLock();
+    await port?.close().catch(() => {});
+  }
+
+  /**
+   * Open a port and listen for it disconnecting and connecting again
+   *
+   * @private
+   * @async
+   * @function _open
+   * @memberof NxtBluetoothCommunication
+   * @param {SerialPort} port
+   * @returns {Promise<void>}
+   */
+  async _open(port) {
+    // The baud rate is ignored by RFCOMM, but Web Serial requires one
+    await port.open({ baudRate: 115200 });
+
+    this.port = port;
+    this.reader = port.readable.getReader();
+    this.writer = port.writable.getWriter();
+    this.buffer = new Uint8Array(0);
+    this.pendingRead = null;
+
+    navigator.serial.addEventListener("connect", this._onSerialConnect);
+    navigator.serial.addEventListener("disconnect", this._onSerialDisconnect);
+  }
+
+  /**
+   * Emit "connect" when the port connects again while disconnected
+   *
+   * @private
+   * @function _onSerialConnect
+   * @memberof NxtBluetoothCommunication
+   * @param {Event} event
+   * @returns {void}
+   */
+  _onSerialConnect(event) {
+    if (!this.reader && event.target === this.port) {
+      this.emit("connect", event.target);
+    }
+  }
+
+  /**
+   * Emit "disconnect" when the connected port disconnects
+   *
+   * @private
+   * @function _onSerialDisconnect
+   * @memberof NxtBluetoothCommunication
+   * @param {Event} event
+   * @returns {void}
+   */
+  _onSerialDisconnect(event) {
+    if (this.reader && event.target === this.port) {
+      this.reader = null;
+      this.writer = null;
+      this.emit("disconnect");
+    }
+  }
+
+  /**
+   * Send a command to the nxt brick
+   *
+   * @async
+   * @function sendCommand
+   * @memberof NxtBluetoothCommunication
+   * @param {Uint8Array} command
+   * @returns {Promise<void>}
+   * @throws {NxtTransportError}
+   */
+  async sendCommand(command) {
+    if (!this.writer) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const packet = new Uint8Array(command.length + 2);
+    packet[0] = command.length & 0xff;
+    packet[1] = (command.length >> 8) & 0xff;
+    packet.set(command, 2);
+
+    await this.writer.write(packet);
+  }
+
+  /**
+   * Receive data from the nxt brick
+   *
+   * @async
+   * @function receiveData
+   * @memberof NxtBluetoothCommunication
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtTransportError}
+   */
+  async receiveData() {
+    if (!this.reader) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const deadline = Date.now() + this.timeout;
+
+    await this._fillBuffer(2, deadline);
+    const length = this.buffer[0] | (this.buffer[1] << 8);
+
+    await this._fillBuffer(length + 2, deadline);
+    const data = this.buffer.slice(2, length + 2);
+    this.buffer = this.buffer.slice(length + 2);
+
+    return data;
+  }
+
+  /**
+   * Read from the port until the buffer holds at least the requested amount
+   * of bytes
+   *
+   * @private
+   * @async
+   * @function _fillBuffer
+   * @memberof NxtBluetoothCommunication
+   * @param {number} size
+   * @param {number} deadline // timestamp in ms after which reading fails
+   * @returns {Promise<void>}
+   * @throws {NxtTransportError}
+   */
+  async _fillBuffer(size, deadline) {
+    while (this.buffer.length < size) {
+      if (!this.pendingRead) {
+        this.pendingRead = this.reader.read();
+      }
+
+      let timer;
+      const timeout = new Promise((resolve) => {
+        timer = setTimeout(resolve, Math.max(deadline - Date.now(), 0));
+      });
+
+      let result;
+      try {
+        result = await Promise.race([this.pendingRead, timeout]);
+      } catch (error) {
+        // A failed read is not retried, the next call starts a new one
+        this.pendingRead = null;
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (!result) {
+        throw new NxtTimeoutError("Timed out waiting for data");
+      }
+
+      this.pendingRead = null;
+
+      if (result.done) {
+        throw new NxtTransportError("Connection closed");
+      }
+
+      const buffer = new Uint8Array(this.buffer.length + result.value.length);
+      buffer.set(this.buffer);
+      buffer.set(result.value, this.buffer.length);
+      this.buffer = buffer;
+    }
+  }
+}
+
+export default NxtBluetoothCommunication;
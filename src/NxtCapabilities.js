@@ -0,0 +1,61 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtStatus } from "./NxtError";
+import { NxtCommand } from "./NxtProtocol";
+
+/**
+ * Firmware flavours
+ */
+export const FirmwareFlavour = {
+  LEGO: "lego", // standard LEGO firmware
+  ENHANCED: "enhanced", // NBC/NXC enhanced firmware
+  UNKNOWN: "unknown", // not an NXT 1.x firmware, e.g. a replacement firmware
+};
+
+/**
+ * Probe the firmware of a brick and determine what it supports
+ *
+ * @async
+ * @function probeCapabilities
+ * @param {Nxt} nxt
+ * @returns {Promise<{ flavour: string, firmwareVersion: string, protocolVersion: string, features: { fileSystem: boolean, enhancedCommands: boolean } }>}
+ * @throws {NxtError}
+ */
+export const probeCapabilities = async (nxt) => {
+  const version = await nxt.getFirmwareVersion();
+
+  let flavour = FirmwareFlavour.UNKNOWN;
+
+  if (version.majorFirmware === 1) {
+    // Get VM state is only known by the enhanced firmware. The NBC/NXC
+    // headers list the VM state and breakpoint commands (0x22-0x25) of its
+    // debugger as enhanced firmware only, the LEGO firmware replies to them
+    // with UNKNOWN_COMMAND. Get property (0x20) can't be used, the LEGO
+    // firmware has it since 1.28 too.
+    try {
+      await nxt._request(NxtCommand.GET_VM_STATE);
+      flavour = FirmwareFlavour.ENHANCED;
+    } catch (error) {
+      if (error.statusCode !== NxtStatus.UNKNOWN_COMMAND) {
+        throw error;
+      }
+
+      flavour = FirmwareFlavour.LEGO;
+    }
+  }
+
+  return {
+    flavour,
+    // Formatted like the brick shows it, e.g. 1.05 and 1.31
+    firmwareVersion: `${version.majorFirmware}.${String(
+      version.minorFirmware
+    ).padStart(2, "0")}`,
+    protocolVersion: `${version.majorProtocol}.${version.minorProtocol}`,
+    features: {
+      // The file system commands depend on the 1.x firmware flash layout
+      fileSystem: version.majorFirmware === 1,
+      // Extra direct commands of the enhanced firmware
+      enhancedCommands: flavour === FirmwareFlavour.ENHANCED,
+    },
+  };
+};
@@ -0,0 +1,177 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtError, NxtTimeoutError, NxtTransportError } from "./NxtError";
+
+// First byte of every reply packet
+const REPLY = 0x02;
+
+/**
+ * Runs commands on a communication interface one transaction at a time
+ *
+ * A transaction sends a command and, unless the command doesn't require a
+ * reply (0x80 or 0x81 as first byte), waits for the reply with a matching
+ * opcode that the accept option accepts. Replies that don't match, e.g. a
+ * late reply to a command that timed out, are discarded.
+ */
+class NxtCommandQueue {
+  /**
+   * @param {NxtCommunication} communication
+   * @param {Object} [options]
+   * @param {number} [options.timeout] // default time in ms to wait for a reply
+   * @param {number} [options.retries] // default amount of times to resend a command that timed out
+   */
+  constructor(communication, { timeout = 2000, retries = 0 } = {}) {
+    this.communication = communication;
+    this.timeout = timeout;
+    this.retries = retries;
+
+    // Resolves when the last queued transaction is done
+    this.queue = Promise.resolve();
+
+    // A receive that timed out is kept, so its reply isn't lost on the transport
+    this.pendingReceive = null;
+  }
+
+  /**
+   * Queue a command and resolve with its reply
+   *
+   * Only retry commands that are safe to send twice, like reading a value.
+   *
+   * @async
+   * @function request
+   * @memberof NxtCommandQueue
+   * @param {Uint8Array} command
+   * @param {Object} [options]
+   * @param {number} [options.timeout] // time in ms to wait for the reply
+   * @param {number} [options.retries] // amount of times to resend on a timeout
+   * @param {function(Uint8Array): boolean} [options.accept] // check a reply with a matching opcode, e.g. its port
+   * @returns {Promise<Uint8Array|undefined>} // undefined for commands without a reply
+   * @throws {NxtTransportError}
+   */
+  async request(
+    command,
+    { timeout = this.timeout, retries = this.retries, accept = () => true } = {}
+  ) {
+    const transaction = this.queue.then(() =>
+      this._transaction(command, timeout, retries, accept)
+    );
+
+    // Keep the queue going when a transaction fails
+    this.queue = transaction.catch(() => {});
+
+    return transaction;
+  }
+
+  /**
+   * Send a command and wait for its reply, resending on a timeout
+   *
+   * @private
+   * @async
+   * @function _transaction
+   * @memberof NxtCommandQueue
+   * @param {Uint8Array} command
+   * @param {number} timeout
+   * @param {number} retries
+   * @param {function(Uint8Array): boolean} accept
+   * @returns {Promise<Uint8Array|undefined>}
+   * @throws {NxtTransportError}
+   */
+  async _transaction(command, timeout, retries, accept) {
+    const requiresReply = !(command[0] & 0x80);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.communication.sendCommand(command);
+      } catch (error) {
+        throw this._wrapError(error);
+      }
+
+      if (!requiresReply) {
+        return undefined;
+      }
+
+      const reply = await this._receiveReply(command[1], timeout, accept);
+
+      if (reply) {
+        return reply;
+      }
+
+      if (attempt >= retries) {
+        throw new NxtTimeoutError(
+          `Timed out waiting for reply to command 0x${command[1]
+            .toString(16)
+            .padStart(2, "0")}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Receive packets until one is the reply to the given opcode
+   *
+   * @private
+   * @async
+   * @function _receiveReply
+   * @memberof NxtCommandQueue
+   * @param {number} opcode
+   * @param {number} timeout
+   * @param {function(Uint8Array): boolean} accept
+   * @returns {Promise<Uint8Array|null>} // null on a timeout
+   * @throws {NxtTransportError}
+   */
+  async _receiveReply(opcode, timeout, accept) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      if (!this.pendingReceive) {
+        this.pendingReceive = this.communication.receiveData();
+      }
+
+      let timer;
+      const timedOut = new Promise((resolve) => {
+        timer = setTimeout(resolve, Math.max(deadline - Date.now(), 0));
+      });
+
+      let data;
+      try {
+        data = await Promise.race([this.pendingReceive, timedOut]);
+      } catch (error) {
+        this.pendingReceive = null;
+        throw this._wrapError(error);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (!data) {
+        return null;
+      }
+
+      this.pendingReceive = null;
+
+      if (data[0] === REPLY && data[1] === opcode && accept(data)) {
+        return data;
+      }
+    }
+  }
+
+  /**
+   * Wrap an error of the communication interface in an NxtTransportError
+   *
+   * @private
+   * @function _wrapError
+   * @memberof NxtCommandQueue
+   * @param {any} error
+   * @returns {NxtError}
+   */
+  _wrapError(error) {
+    if (error instanceof NxtError) {
+      return error;
+    }
+
+    return new NxtTransportError(`Communication failed: ${error?.message}`, {
+      cause: error,
+    });
+  }
+}
+
+export default NxtCommandQueue;
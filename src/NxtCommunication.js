@@ -1,9 +1,18 @@
 // BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
 
+import EventEmitter from "./EventEmitter";
+import { NxtTransportError } from "./NxtError";
+
 /**
  * Communication interface for interacting with NXT
+ *
+ * Implementations emit "disconnect" when the connection is lost, and
+ * "connect" when a brick becomes available again, e.g. when it's plugged
+ * back in.
+ *
+ * @extends EventEmitter
  */
-class NxtCommunication {
+class NxtCommunication extends EventEmitter {
   async connect() {
     throw new Error("Not implemented");
   }
@@ -15,6 +24,14 @@ class NxtCommunication {
   async receiveData() {
     throw new Error("Not implemented");
   }
+
+  // Release the connection, nothing to release by default
+  async disconnect() {}
+
+  // Connect to a brick the user already chose before, without prompting
+  async reconnect() {
+    throw new NxtTransportError("Reconnecting is not supported");
+  }
 }
 
 export default NxtCommunication;
@@ -0,0 +1,181 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+/**
+ * Status codes the brick replies with
+ */
+export const NxtStatus = {
+  SUCCESS: 0x00,
+
+  // Direct commands
+  PENDING_COMMUNICATION: 0x20,
+  MAILBOX_EMPTY: 0x40,
+  REQUEST_FAILED: 0xbd,
+  UNKNOWN_COMMAND: 0xbe,
+  INSANE_PACKET: 0xbf,
+  OUT_OF_RANGE: 0xc0,
+  BUS_ERROR: 0xdd,
+  BUFFER_FULL: 0xde,
+  INVALID_CHANNEL: 0xdf,
+  CHANNEL_BUSY: 0xe0,
+  NO_ACTIVE_PROGRAM: 0xec,
+  ILLEGAL_SIZE: 0xed,
+  ILLEGAL_MAILBOX: 0xee,
+  INVALID_FIELD: 0xef,
+  BAD_INPUT_OUTPUT: 0xf0,
+  INSUFFICIENT_MEMORY: 0xfb,
+  BAD_ARGUMENTS: 0xff,
+
+  // System commands
+  NO_MORE_HANDLES: 0x81,
+  NO_SPACE: 0x82,
+  NO_MORE_FILES: 0x83,
+  END_OF_FILE_EXPECTED: 0x84,
+  END_OF_FILE: 0x85,
+  NOT_A_LINEAR_FILE: 0x86,
+  FILE_NOT_FOUND: 0x87,
+  HANDLE_ALREADY_CLOSED: 0x88,
+  NO_LINEAR_SPACE: 0x89,
+  UNDEFINED_ERROR: 0x8a,
+  FILE_BUSY: 0x8b,
+  NO_WRITE_BUFFERS: 0x8c,
+  APPEND_NOT_POSSIBLE: 0x8d,
+  FILE_FULL: 0x8e,
+  FILE_EXISTS: 0x8f,
+  MODULE_NOT_FOUND: 0x90,
+  OUT_OF_BOUNDARY: 0x91,
+  ILLEGAL_FILE_NAME: 0x92,
+  ILLEGAL_HANDLE: 0x93,
+};
+
+// Descriptions from the LEGO MINDSTORMS NXT communication protocol
+const STATUS_MESSAGES = {
+  [NxtStatus.PENDING_COMMUNICATION]:
+    "Pending communication transaction in progress",
+  [NxtStatus.MAILBOX_EMPTY]: "Specified mailbox queue is empty",
+  [NxtStatus.REQUEST_FAILED]: "Request failed",
+  [NxtStatus.UNKNOWN_COMMAND]: "Unknown command opcode",
+  [NxtStatus.INSANE_PACKET]: "Insane packet",
+  [NxtStatus.OUT_OF_RANGE]: "Data contains out-of-range values",
+  [NxtStatus.BUS_ERROR]: "Communication bus error",
+  [NxtStatus.BUFFER_FULL]: "No free memory in communication buffer",
+  [NxtStatus.INVALID_CHANNEL]: "Specified channel/connection is not valid",
+  [NxtStatus.CHANNEL_BUSY]:
+    "Specified channel/connection not configured or busy",
+  [NxtStatus.NO_ACTIVE_PROGRAM]: "No active program",
+  [NxtStatus.ILLEGAL_SIZE]: "Illegal size specified",
+  [NxtStatus.ILLEGAL_MAILBOX]: "Illegal mailbox queue ID specified",
+  [NxtStatus.INVALID_FIELD]: "Attempted to access invalid field of a structure",
+  [NxtStatus.BAD_INPUT_OUTPUT]: "Bad input or output specified",
+  [NxtStatus.INSUFFICIENT_MEMORY]: "Insufficient memory available",
+  [NxtStatus.BAD_ARGUMENTS]: "Bad arguments",
+  [NxtStatus.NO_MORE_HANDLES]: "No more handles",
+  [NxtStatus.NO_SPACE]: "No space",
+  [NxtStatus.NO_MORE_FILES]: "No more files",
+  [NxtStatus.END_OF_FILE_EXPECTED]: "End of file expected",
+  [NxtStatus.END_OF_FILE]: "End of file",
+  [NxtStatus.NOT_A_LINEAR_FILE]: "Not a linear file",
+  [NxtStatus.FILE_NOT_FOUND]: "File not found",
+  [NxtStatus.HANDLE_ALREADY_CLOSED]: "Handle already closed",
+  [NxtStatus.NO_LINEAR_SPACE]: "No linear space",
+  [NxtStatus.UNDEFINED_ERROR]: "Undefined error",
+  [NxtStatus.FILE_BUSY]: "File is busy",
+  [NxtStatus.NO_WRITE_BUFFERS]: "No write buffers",
+  [NxtStatus.APPEND_NOT_POSSIBLE]: "Append not possible",
+  [NxtStatus.FILE_FULL]: "File is full",
+  [NxtStatus.FILE_EXISTS]: "File exists",
+  [NxtStatus.MODULE_NOT_FOUND]: "Module not found",
+  [NxtStatus.OUT_OF_BOUNDARY]: "Out of boundary",
+  [NxtStatus.ILLEGAL_FILE_NAME]: "Illegal file name",
+  [NxtStatus.ILLEGAL_HANDLE]: "Illegal handle",
+};
+
+/**
+ * Base class of all errors thrown by BrickBridge
+ *
+ * @extends Error
+ */
+export class NxtError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ cause?: any }} [options]
+   */
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = "NxtError";
+
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Thrown when the brick replies with a status other than success
+ *
+ * @extends NxtError
+ */
+export class NxtStatusError extends NxtError {
+  /**
+   * @param {number} statusCode
+   * @param {number} opcode // opcode of the command that failed
+   */
+  constructor(statusCode, opcode) {
+    const description = STATUS_MESSAGES[statusCode] ?? "Unknown status";
+    const command = `0x${opcode.toString(16).padStart(2, "0")}`;
+
+    super(`${description} (error code ${statusCode}, command ${command})`);
+    this.name = "NxtStatusError";
+    this.statusCode = statusCode;
+    this.opcode = opcode;
+
+    // Symbolic name of the status, e.g. "FILE_NOT_FOUND"
+    this.code =
+      Object.keys(NxtStatus).find((key) => NxtStatus[key] === statusCode) ??
+      "UNKNOWN";
+  }
+}
+
+/**
+ * Thrown when the connection to the brick fails, e.g. when nothing is
+ * connected or the transport reports an error
+ *
+ * @extends NxtError
+ */
+export class NxtTransportError extends NxtError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NxtTransportError";
+  }
+}
+
+/**
+ * Thrown when the brick doesn't reply in time
+ *
+ * @extends NxtTransportError
+ */
+export class NxtTimeoutError extends NxtTransportError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NxtTimeoutError";
+  }
+}
+
+/**
+ * Thrown when a feature isn't supported by the firmware of the brick
+ *
+ * @extends NxtError
+ */
+export class UnsupportedFeatureError extends NxtError {
+  /**
+   * @param {string} feature
+   * @param {{ flavour: string, firmwareVersion: string }} capabilities
+   */
+  constructor(feature, capabilities) {
+    super(
+      `"${feature}" is not supported by ${capabilities.flavour} firmware ${capabilities.firmwareVersion}`
+    );
+    this.name = "UnsupportedFeatureError";
+    this.feature = feature;
+    this.capabilities = capabilities;
+  }
+}
@@ -0,0 +1,149 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtError, NxtStatus, NxtStatusError } from "./NxtError";
+
+// Max payload of a read or write packet, what remains of 64 bytes after the header
+const READ_CHUNK_SIZE = 64 - 6;
+const WRITE_CHUNK_SIZE = 64 - 3;
+
+/**
+ * Represents an open file on the brick
+ *
+ * Returned by Nxt.openRead, openWrite, openWriteData and openAppendData.
+ * The brick only has a few handles, so always close the file when done.
+ */
+class NxtFileHandle {
+  /**
+   * @param {Nxt} nxt
+   * @param {number} handle
+   * @param {string} name
+   * @param {number} size // file size when reading, space left when writing
+   * @param {"read"|"write"|"writeData"|"appendData"} mode
+   */
+  constructor(nxt, handle, name, size, mode) {
+    this.nxt = nxt;
+    this.handle = handle;
+    this.name = name;
+    this.size = size;
+    this.mode = mode;
+    this.position = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Amount of bytes left to read or write
+   *
+   * @type {number}
+   */
+  get remaining() {
+    return this.size - this.position;
+  }
+
+  /**
+   * Read bytes from the file
+   *
+   * @async
+   * @function read
+   * @memberof NxtFileHandle
+   * @param {number} [length] // defaults to the rest of the file
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
+   */
+  async read(length = this.remaining) {
+    this._assertOpen("read");
+
+    length = Math.min(length, this.remaining);
+    const data = new Uint8Array(length);
+    let offset = 0;
+
+    while (offset < length) {
+      const chunk = await this.nxt._read(
+        this.handle,
+        Math.min(READ_CHUNK_SIZE, length - offset)
+      );
+
+      if (chunk.length === 0) {
+        break;
+      }
+
+      data.set(chunk, offset);
+      offset += chunk.length;
+      this.position += chunk.length;
+    }
+
+    return data.slice(0, offset);
+  }
+
+  /**
+   * Write bytes to the file, in chunks of 61 bytes
+   *
+   * @async
+   * @function write
+   * @memberof NxtFileHandle
+   * @param {Uint8Array} data
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async write(data) {
+    this._assertOpen("write");
+
+    if (data.length > this.remaining) {
+      throw new NxtError("Not enough space left in file");
+    }
+
+    for (let i = 0; i < data.length; i += WRITE_CHUNK_SIZE) {
+      const chunk = data.slice(i, i + WRITE_CHUNK_SIZE);
+      const { bytesWritten } = await this.nxt._write(this.handle, chunk, true);
+      this.position += bytesWritten;
+
+      if (bytesWritten !== chunk.length) {
+        throw new NxtStatusError(NxtStatus.FILE_FULL, 0x83); // Write
+      }
+    }
+  }
+
+  /**
+   * Close the file
+   *
+   * Closing a file that is already closed does nothing.
+   *
+   * @async
+   * @function close
+   * @memberof NxtFileHandle
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async close() {
+    if (this.closed) {
+      return;
+    }
+
+    // Mark as closed first, a failed close leaves the handle unusable anyway
+    this.closed = true;
+    await this.nxt._closeHandle(this.handle);
+  }
+
+  /**
+   * Throw if the file is closed or opened for something else
+   *
+   * @private
+   * @function _assertOpen
+   * @memberof NxtFileHandle
+   * @param {"read"|"write"} operation
+   * @returns {void}
+   * @throws {NxtError}
+   */
+  _assertOpen(operation) {
+    if (this.closed) {
+      throw new NxtError("File is closed");
+    }
+
+    if ((operation === "read") !== (this.mode === "read")) {
+      throw new NxtError(
+        `File is not opened for ${operation === "read" ? "reading" : "writing"}`
+      );
+    }
+  }
+}
+
+export default NxtFileHandle;
@@ -0,0 +1,417 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import EventEmitter from "./EventEmitter";
+import { NxtError, NxtTimeoutError } from "./NxtError";
+
+/**
+ * Flash memory of the AT91SAM7S256 in the brick
+ */
+export const FlashMemory = {
+  START: 0x00100000,
+  SIZE: 256 * 1024, // bytes
+  PAGE_SIZE: 256, // bytes
+  PAGES_PER_LOCK_REGION: 64,
+};
+
+/**
+ * Registers and commands of the embedded flash controller
+ *
+ * A command is written to MC_FCR as KEY << 24 | page << 8 | command.
+ */
+export const FlashController = {
+  MC_FMR: 0xffffff60, // mode register
+  MC_FCR: 0xffffff64, // command register
+  MC_FSR: 0xffffff68, // status register
+  KEY: 0x5a,
+  WRITE_PAGE: 0x01,
+  UNLOCK: 0x04,
+  FRDY: 1 << 0, // ready for the next command
+  LOCKE: 1 << 2, // a locked region was written
+  PROGE: 1 << 3, // invalid command
+};
+
+// Flash timing for the clock the bootloader runs at, 1 wait state
+const FLASH_MODE = 0x00050100;
+
+/**
+ * Format a number as the 8 hex digits SAM-BA expects
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+const hex = (value) =>
+  (value >>> 0).toString(16).toUpperCase().padStart(8, "0");
+
+/**
+ * Writes a firmware image with the SAM-BA bootloader
+ *
+ * Talks to a brick in firmware update mode through an NxtSamBaCommunication,
+ * or an NxtVirtualSamBa in tests. Emits "progress" with { page, pages,
+ * loaded, total } after every page.
+ *
+ *   const samba = new NxtSamBaCommunication();
+ *   await samba.connect();
+ *   await new NxtFirmwareUpdater(samba).flash(image);
+ */
+class NxtFirmwareUpdater extends EventEmitter {
+  /**
+   * @param {NxtCommunication} communication
+   * @param {Object} [options]
+   * @param {number} [options.timeout] // time in ms to wait for a reply or the flash controller
+   */
+  constructor(communication, { timeout = 1000 } = {}) {
+    super();
+    this.communication = communication;
+    this.timeout = timeout;
+
+    // A receive that timed out is kept, so there's never more than one
+    // transfer waiting on the transport
+    this.pendingReceive = null;
+  }
+
+  /**
+   * Write a firmware image to the flash, verify it and start it
+   *
+   * The image is an .rfw file, written from the start of the flash. Pages are
+   * read back after writing them when verify is on.
+   *
+   * @async
+   * @function flash
+   * @memberof NxtFirmwareUpdater
+   * @param {Uint8Array|ArrayBuffer} image
+   * @param {Object} [options]
+   * @param {boolean} [options.verify] // read every page back
+   * @param {boolean} [options.jump] // start the new firmware when done
+   * @param {AbortSignal} [options.signal]
+   * @param {function({ page: number, pages: number, loaded: number, total: number }): void} [options.onProgress]
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async flash(image, { verify = true, jump = true, signal, onProgress } = {}) {
+    const data = image instanceof Uint8Array ? image : new Uint8Array(image);
+
+    if (data.length === 0 || data.length > FlashMemory.SIZE) {
+      throw new NxtError(
+        `Invalid firmware image, size must be between 1 and ${FlashMemory.SIZE} bytes`
+      );
+    }
+
+    const pages = Math.ceil(data.length / FlashMemory.PAGE_SIZE);
+
+    await this.handshake();
+    await this.writeWord(FlashController.MC_FMR, FLASH_MODE);
+
+    for (
+      let page = 0;
+      page < pages;
+      page += FlashMemory.PAGES_PER_LOCK_REGION
+    ) {
+      await this._flashCommand(FlashController.UNLOCK, page);
+    }
+
+    for (let page = 0; page < pages; page++) {
+      signal?.throwIfAborted();
+
+      const address = FlashMemory.START + page * FlashMemory.PAGE_SIZE;
+      // The last page is padded like erased flash
+      const pageData = new Uint8Array(FlashMemory.PAGE_SIZE).fill(0xff);
+      pageData.set(
+        data.subarray(
+          page * FlashMemory.PAGE_SIZE,
+          (page + 1) * FlashMemory.PAGE_SIZE
+        )
+      );
+
+      // Writing to the flash fills the page buffer of the controller
+      await this.sendBytes(address, pageData);
+
+      await this._flashCommand(FlashController.WRITE_PAGE, page);
+
+      if (verify) {
+        const written = await this.readBytes(address, FlashMemory.PAGE_SIZE);
+
+        if (written.some((byte, i) => byte !== pageData[i])) {
+          throw new NxtError(`Verification of flash page ${page} failed`);
+        }
+      }
+
+      const progress = {
+        page: page + 1,
+        pages,
+        loaded: Math.min((page + 1) * FlashMemory.PAGE_SIZE, data.length),
+        total: data.length,
+      };
+      onProgress?.(progress);
+      this.emit("progress", progress);
+    }
+
+    if (jump) {
+      await this.go(FlashMemory.START);
+    }
+  }
+
+  /**
+   * Switch the bootloader to binary replies
+   *
+   * @async
+   * @function handshake
+   * @memberof NxtFirmwareUpdater
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async handshake() {
+    await this._send("N#");
+    await this._receive(2); // "\n\r"
+  }
+
+  /**
+   * Get the version of the bootloader
+   *
+   * @async
+   * @function getVersion
+   * @memberof NxtFirmwareUpdater
+   * @returns {Promise<string>}
+   * @throws {NxtError}
+   */
+  async getVersion() {
+    await this._send("V#");
+    const reply = await this._receive();
+
+    return String.fromCharCode(...reply).trim();
+  }
+
+  /**
+   * Write a 32-bit word to memory or a register
+   *
+   * @async
+   * @function writeWord
+   * @memberof NxtFirmwareUpdater
+   * @param {number} address
+   * @param {number} value
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async writeWord(address, value) {
+    await this._send(`W${hex(address)},${hex(value)}#`);
+  }
+
+  /**
+   * Read a 32-bit word from memory or a register
+   *
+   * @async
+   * @function readWord
+   * @memberof NxtFirmwareUpdater
+   * @param {number} address
+   * @returns {Promise<number>}
+   * @throws {NxtError}
+   */
+  async readWord(address) {
+    await this._send(`w${hex(address)},4#`);
+    const reply = await this._receive(4);
+
+    return new DataView(reply.buffer).getUint32(0, true);
+  }
+
+  /**
+   * Write bytes to memory
+   *
+   * @async
+   * @function sendBytes
+   * @memberof NxtFirmwareUpdater
+   * @param {number} address
+   * @param {Uint8Array} data
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async sendBytes(address, data) {
+    await this._send(`S${hex(address)},${hex(data.length)}#`);
+
+    for (let offset = 0; offset < data.length; offset += 64) {
+      await this.communication.sendCommand(data.slice(offset, offset + 64));
+    }
+  }
+
+  /**
+   * Read bytes from memory
+   *
+   * @async
+   * @function readBytes
+   * @memberof NxtFirmwareUpdater
+   * @param {number} address
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
+   */
+  async readBytes(address, length) {
+    await this._send(`R${hex(address)},${hex(length)}#`);
+
+    return this._receive(length);
+  }
+
+  /**
+   * Jump to code, the bootloader doesn't reply anymore afterwards
+   *
+   * @async
+   * @function go
+   * @memberof NxtFirmwareUpdater
+   * @param {number} address
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async go(address) {
+    await this._send(`G${hex(address)}#`);
+  }
+
+  /**
+   * Run a flash controller command and wait until it's done
+   *
+   * @private
+   * @async
+   * @function _flashCommand
+   * @memberof NxtFirmwareUpdater
+   * @param {number} command // FlashController.WRITE_PAGE or UNLOCK
+   * @param {number} page
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async _flashCommand(command, page) {
+    await this._waitUntilReady();
+    await this.writeWord(
+      FlashController.MC_FCR,
+      (FlashController.KEY << 24) | (page << 8) | command
+    );
+
+    const status = await this._waitUntilReady();
+
+    if (status & (FlashController.LOCKE | FlashController.PROGE)) {
+      const action =
+        command === FlashController.UNLOCK ? "Unlocking" : "Writing";
+      const reason =
+        status & FlashController.LOCKE ? "page is locked" : "invalid command";
+
+      throw new NxtError(`${action} flash page ${page} failed, ${reason}`);
+    }
+  }
+
+  /**
+   * Poll the flash controller until it's ready
+   *
+   * @private
+   * @async
+   * @function _waitUntilReady
+   * @memberof NxtFirmwareUpdater
+   * @returns {Promise<number>} // the status register
+   * @throws {NxtError}
+   */
+  async _waitUntilReady() {
+    const deadline = Date.now() + this.timeout;
+
+    for (;;) {
+      const status = await this.readWord(FlashController.MC_FSR);
+
+      if (status & FlashController.FRDY) {
+        return status;
+      }
+
+      if (Date.now() > deadline) {
+        throw new NxtTimeoutError("Flash controller didn't become ready");
+      }
+    }
+  }
+
+  /**
+   * Send a text command
+   *
+   * @private
+   * @async
+   * @function _send
+   * @memberof NxtFirmwareUpdater
+   * @param {string} command
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async _send(command) {
+    await this.communication.sendCommand(
+      Uint8Array.from(command, (char) => char.charCodeAt(0))
+    );
+  }
+
+  /**
+   * Receive a reply
+   *
+   * A reply that arrives after its receive timed out is skipped, so it isn't
+   * taken for the reply of the next command.
+   *
+   * @private
+   * @async
+   * @function _receive
+   * @memberof NxtFirmwareUpdater
+   * @param {number} [length] // bytes to wait for, a single packet when omitted
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
+   */
+  async _receive(length) {
+    if (this.pendingReceive) {
+      await this._receivePacket();
+    }
+
+    const chunks = [];
+    let received = 0;
+
+    do {
+      const chunk = await this._receivePacket();
+
+      chunks.push(chunk);
+      received += chunk.length;
+    } while (length !== undefined && received < length);
+
+    const reply = new Uint8Array(received);
+    chunks.reduce((offset, chunk) => {
+      reply.set(chunk, offset);
+      return offset + chunk.length;
+    }, 0);
+
+    return length === undefined ? reply : reply.slice(0, length);
+  }
+
+  /**
+   * Receive a single packet, continuing a receive that timed out
+   *
+   * @private
+   * @async
+   * @function _receivePacket
+   * @memberof NxtFirmwareUpdater
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
+   */
+  async _receivePacket() {
+    if (!this.pendingReceive) {
+      this.pendingReceive = this.communication.receiveData();
+    }
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(resolve, this.timeout);
+    });
+
+    let packet;
+    try {
+      packet = await Promise.race([this.pendingReceive, timedOut]);
+    } catch (error) {
+      this.pendingReceive = null;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!packet) {
+      throw new NxtTimeoutError("No reply from the bootloader");
+    }
+
+    this.pendingReceive = null;
+
+    return packet;
+  }
+}
+
+export default NxtFirmwareUpdater;
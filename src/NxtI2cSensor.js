@@ -0,0 +1,318 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { SensorType, SensorMode } from "./NxtSensor";
+import { sleep } from "./util";
+import { NxtError } from "./NxtError";
+
+/**
+ * Decode a null padded string register
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const decodeString = (bytes) =>
+  String.fromCharCode(...bytes).replace(/\u0000.*$/, "");
+
+/**
+ * Registers every NXT I2C sensor is expected to have
+ */
+const COMMON_REGISTERS = {
+  version: { register: 0x00, length: 8, decode: decodeString },
+  productId: { register: 0x08, length: 8, decode: decodeString },
+  sensorType: { register: 0x10, length: 8, decode: decodeString },
+};
+
+/**
+ * Represents a digital sensor on the low speed (I2C) bus
+ *
+ * Registers are described by name in a register map, e.g.
+ * `{ distance: { register: 0x42, length: 1 } }`, and read with `read(name)`.
+ * Registers of one byte decode to a number, longer ones to a Uint8Array,
+ * unless they have their own decode or encode function.
+ */
+export class I2cSensor {
+  /**
+   * @param {Nxt} nxt
+   * @param {number} port // InputPort.S1 to S4
+   * @param {Object} [options]
+   * @param {number} [options.address] // I2C address, shifted left as the NXT expects
+   * @param {Object<string, { register: number, length: number, decode?: Function, encode?: Function }>} [options.registers]
+   * @param {number} [options.type] // SensorType.LOWSPEED_9V or LOWSPEED
+   */
+  constructor(
+    nxt,
+    port,
+    { address = 0x02, registers = {}, type = SensorType.LOWSPEED_9V } = {}
+  ) {
+    this.nxt = nxt;
+    this.port = port;
+    this.address = address;
+    this.registers = { ...COMMON_REGISTERS, ...registers };
+    this.type = type;
+    this.bus = nxt.getLowSpeedBus(port);
+    this.isSetUp = false;
+  }
+
+  /**
+   * Configure the input port for I2C
+   *
+   * Called automatically on the first read or write.
+   *
+   * @async
+   * @function setup
+   * @memberof I2cSensor
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async setup() {
+    await this.nxt.setInputMode(this.port, this.type, SensorMode.RAW);
+    this.isSetUp = true;
+  }
+
+  /**
+   * Read bytes starting at a register
+   *
+   * @async
+   * @function readRegister
+   * @memberof I2cSensor
+   * @param {number} register
+   * @param {number} length // max 16
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
+   */
+  async readRegister(register, length) {
+    if (!this.isSetUp) {
+      await this.setup();
+    }
+
+    return this.bus.transaction(
+      new Uint8Array([this.address, register]),
+      length
+    );
+  }
+
+  /**
+   * Write bytes starting at a register
+   *
+   * @async
+   * @function writeRegister
+   * @memberof I2cSensor
+   * @param {number} register
+   * @param {Uint8Array|number[]} data // max 14 bytes
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async writeRegister(register, data) {
+    if (!this.isSetUp) {
+      await this.setup();
+    }
+
+    await this.bus.transaction(
+      new Uint8Array([this.address, register, ...data])
+    );
+  }
+
+  /**
+   * Read a register by name
+   *
+   * @async
+   * @function read
+   * @memberof I2cSensor
+   * @param {string} name
+   * @returns {Promise<any>}
+   * @throws {NxtError}
+   */
+  async read(name) {
+    const definition = this._getRegister(name);
+    const bytes = await this.readRegister(
+      definition.register,
+      definition.length
+    );
+
+    if (definition.decode) {
+      return definition.decode(bytes);
+    }
+
+    return definition.length === 1 ? bytes[0] : bytes;
+  }
+
+  /**
+   * Write a register by name
+   *
+   * @async
+   * @function write
+   * @memberof I2cSensor
+   * @param {string} name
+   * @param {any} value
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async write(name, value) {
+    const definition = this._getRegister(name);
+
+    let bytes;
+    if (definition.encode) {
+      bytes = definition.encode(value);
+    } else {
+      bytes = typeof value === "number" ? [value] : value;
+    }
+
+    await this.writeRegister(definition.register, bytes);
+  }
+
+  /**
+   * Get the definition of a named register
+   *
+   * @private
+   * @function _getRegister
+   * @memberof I2cSensor
+   * @param {string} name
+   * @returns {{ register: number, length: number, decode?: Function, encode?: Function }}
+   * @throws {NxtError}
+   */
+  _getRegister(name) {
+    const definition = this.registers[name];
+
+    if (!definition) {
+      throw new NxtError(`Unknown register "${name}"`);
+    }
+
+    return definition;
+  }
+}
+
+/**
+ * Commands of the ultrasonic sensor, written to the command register
+ */
+export const UltrasonicCommand = {
+  OFF: 0x00,
+  SINGLE_SHOT: 0x01,
+  CONTINUOUS: 0x02,
+  RESET: 0x04,
+};
+
+/**
+ * Represents the LEGO ultrasonic sensor
+ *
+ * @extends I2cSensor
+ */
+export class UltrasonicSensor extends I2cSensor {
+  /**
+   * @param {Nxt} nxt
+   * @param {number} port // InputPort.S1 to S4
+   */
+  constructor(nxt, port) {
+    super(nxt, port, {
+      address: 0x02,
+      registers: {
+        command: { register: 0x41, length: 1 },
+        distance: { register: 0x42, length: 1 },
+        distances: { register: 0x42, length: 8 }, // echoes of a single shot
+      },
+    });
+
+    this.command = UltrasonicCommand.CONTINUOUS;
+  }
+
+  /**
+   * Get the distance in cm, 255 if nothing is in range
+   *
+   * Switches the sensor to continuous measurement if needed.
+   *
+   * @async
+   * @function getDistance
+   * @memberof UltrasonicSensor
+   * @returns {Promise<number>}
+   * @throws {NxtError}
+   */
+  async getDistance() {
+    if (this.command !== UltrasonicCommand.CONTINUOUS) {
+      await this.setCommand(UltrasonicCommand.CONTINUOUS);
+    }
+
+    return this.read("distance");
+  }
+
+  /**
+   * Do a single measurement and get the distances of up to 8 echoes in cm
+   *
+   * @async
+   * @function singleShot
+   * @memberof UltrasonicSensor
+   * @param {number} [measureTime] // time in ms to wait for the echoes
+   * @returns {Promise<number[]>}
+   * @throws {NxtError}
+   */
+  async singleShot(measureTime = 50) {
+    await this.setCommand(UltrasonicCommand.SINGLE_SHOT);
+    await sleep(measureTime);
+
+    return Array.from(await this.read("distances"));
+  }
+
+  /**
+   * Send a command to the sensor
+   *
+   * @async
+   * @function setCommand
+   * @memberof UltrasonicSensor
+   * @param {number} command // UltrasonicCommand
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async setCommand(command) {
+    await this.write("command", command);
+    this.command = command;
+  }
+}
+
+// Registered drivers by name, see registerI2cDriver
+const drivers = new Map([["ultrasonic", UltrasonicSensor]]);
+
+/**
+ * Register a driver for an I2C sensor
+ *
+ * The driver is either a class extending I2cSensor, or a definition of the
+ * address and register map, e.g.
+ * `{ address: 0x02, registers: { heading: { register: 0x42, length: 2 } } }`.
+ *
+ * @function registerI2cDriver
+ * @param {string} name
+ * @param {typeof I2cSensor|{ address?: number, registers: Object, type?: number }} driver
+ * @returns {void}
+ */
+export const registerI2cDriver = (name, driver) => {
+  if (typeof driver === "function") {
+    drivers.set(name, driver);
+    return;
+  }
+
+  drivers.set(
+    name,
+    class extends I2cSensor {
+      constructor(nxt, port) {
+        super(nxt, port, driver);
+      }
+    }
+  );
+};
+
+/**
+ * Create a sensor using a registered driver
+ *
+ * @function createI2cSensor
+ * @param {Nxt} nxt
+ * @param {number} port // InputPort.S1 to S4
+ * @param {string} name
+ * @returns {I2cSensor}
+ * @throws {NxtError}
+ */
+export const createI2cSensor = (nxt, port, name) => {
+  const Driver = drivers.get(name);
+
+  if (!Driver) {
+    throw new NxtError(`No I2C driver registered for "${name}"`);
+  }
+
+  return new Driver(nxt, port);
+};
@@ -0,0 +1,184 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+/**
+ * IDs of the firmware modules, to access their IO maps
+ */
+export const NxtModule = {
+  COMMAND: 0x00010001,
+  OUTPUT: 0x00020001,
+  INPUT: 0x00030001,
+  BUTTON: 0x00040001,
+  COMM: 0x00050001,
+  IO_CTRL: 0x00060001,
+  SOUND: 0x00080001,
+  LOADER: 0x00090001,
+  DISPLAY: 0x000a0001,
+  LOW_SPEED: 0x000b0001,
+  UI: 0x000c0001,
+};
+
+/**
+ * Read the fields of a layout from an IO map
+ *
+ * A field is [name, offset, type] with the type "uint8", "int8", "uint16",
+ * "int16", "uint32", "int32" or "string" with its length as the fourth
+ * item. Numbers are little endian.
+ *
+ * @param {Array[]} layout
+ * @param {Uint8Array} data
+ * @param {number} [base] // offset of the layout in the data
+ * @returns {Object}
+ */
+const readFields = (layout, data, base = 0) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  return Object.fromEntries(
+    layout.map(([name, offset, type, length]) => {
+      const at = base + offset;
+
+      switch (type) {
+        case "uint8":
+          return [name, view.getUint8(at)];
+        case "int8":
+          return [name, view.getInt8(at)];
+        case "uint16":
+          return [name, view.getUint16(at, true)];
+        case "int16":
+          return [name, view.getInt16(at, true)];
+        case "uint32":
+          return [name, view.getUint32(at, true)];
+        case "int32":
+          return [name, view.getInt32(at, true)];
+        default: {
+          const bytes = data.slice(at, at + length);
+          const end = bytes.indexOf(0);
+          return [
+            name,
+            String.fromCharCode(...(end === -1 ? bytes : bytes.slice(0, end))),
+          ];
+        }
+      }
+    })
+  );
+};
+
+// Fields of one output port, the ports follow each other
+const OUTPUT_PORT_SIZE = 32;
+const OUTPUT_PORT_LAYOUT = [
+  ["tachoCount", 0, "int32"],
+  ["blockTachoCount", 4, "int32"],
+  ["rotationCount", 8, "int32"],
+  ["tachoLimit", 12, "uint32"],
+  ["motorRpm", 16, "int16"],
+  ["flags", 18, "uint8"], // pending updates
+  ["mode", 19, "uint8"],
+  ["speed", 20, "int8"], // power that was set
+  ["actualSpeed", 21, "int8"], // power the regulation applies
+  ["regPParameter", 22, "uint8"],
+  ["regIParameter", 23, "uint8"],
+  ["regDParameter", 24, "uint8"],
+  ["runState", 25, "uint8"],
+  ["regulationMode", 26, "uint8"],
+  ["overloaded", 27, "uint8"],
+  ["syncTurnParameter", 28, "int8"],
+];
+
+// Fields of one input port, the ports follow each other
+const INPUT_PORT_SIZE = 20;
+const INPUT_PORT_LAYOUT = [
+  ["customZeroOffset", 0, "uint16"],
+  ["adRaw", 2, "uint16"],
+  ["sensorRaw", 4, "uint16"],
+  ["sensorValue", 6, "int16"],
+  ["sensorType", 8, "uint8"],
+  ["sensorMode", 9, "uint8"],
+  ["sensorBoolean", 10, "uint8"],
+  ["digiPinsDirection", 11, "uint8"],
+  ["digiPinsIn", 12, "uint8"],
+  ["digiPinsOut", 13, "uint8"],
+  ["customPercentFullScale", 14, "uint8"],
+  ["customActiveStatus", 15, "uint8"],
+  ["invalidData", 16, "uint8"],
+];
+
+/**
+ * Decoders of the IO maps of common modules
+ *
+ * Each has the amount of bytes to read from the start of the IO map and a
+ * function that decodes them, see Nxt.readModule.
+ */
+export const IoMapDecoder = {
+  [NxtModule.COMMAND]: {
+    length: 52,
+    decode: (data) =>
+      readFields(
+        [
+          ["formatString", 0, "string", 16],
+          ["tick", 20, "uint32"], // ms since the brick started
+          ["programStatus", 28, "uint8"],
+          ["awake", 29, "uint8"],
+          ["activateFlag", 30, "uint8"],
+          ["deactivateFlag", 31, "uint8"],
+          ["fileName", 32, "string", 20], // running program
+        ],
+        data
+      ),
+  },
+  [NxtModule.OUTPUT]: {
+    length: OUTPUT_PORT_SIZE * 3,
+    decode: (data) =>
+      [0, 1, 2].map((port) =>
+        readFields(OUTPUT_PORT_LAYOUT, data, port * OUTPUT_PORT_SIZE)
+      ),
+  },
+  [NxtModule.INPUT]: {
+    length: INPUT_PORT_SIZE * 4,
+    decode: (data) =>
+      [0, 1, 2, 3].map((port) =>
+        readFields(INPUT_PORT_LAYOUT, data, port * INPUT_PORT_SIZE)
+      ),
+  },
+  [NxtModule.UI]: {
+    length: 41,
+    decode: (data) =>
+      readFields(
+        [
+          ["batteryVoltage", 4, "uint16"], // mV
+          ["lmsFileName", 6, "string", 20],
+          ["flags", 26, "uint8"],
+          ["state", 27, "uint8"],
+          ["button", 28, "uint8"],
+          ["runState", 29, "uint8"],
+          ["batteryState", 30, "uint8"],
+          ["bluetoothState", 31, "uint8"],
+          ["usbState", 32, "uint8"],
+          ["sleepTimeout", 33, "uint8"], // minutes
+          ["sleepTimer", 34, "uint8"],
+          ["rechargeable", 35, "uint8"],
+          ["volume", 36, "uint8"],
+          ["error", 37, "uint8"],
+          ["obpPointer", 38, "uint8"],
+          ["forceOff", 39, "uint8"],
+          ["abortFlag", 40, "uint8"],
+        ],
+        data
+      ),
+  },
+  [NxtModule.SOUND]: {
+    length: 30,
+    decode: (data) =>
+      readFields(
+        [
+          ["frequency", 0, "uint16"], // Hz
+          ["duration", 2, "uint16"], // ms
+          ["sampleRate", 4, "uint16"],
+          ["fileName", 6, "string", 20],
+          ["flags", 26, "uint8"],
+          ["state", 27, "uint8"],
+          ["mode", 28, "uint8"],
+          ["volume", 29, "uint8"],
+        ],
+        data
+      ),
+  },
+};
@@ -0,0 +1,135 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { sleep } from "./util";
+import { NxtStatus, NxtTimeoutError } from "./NxtError";
+
+/**
+ * Represents the low speed (I2C) bus of a sensor port
+ *
+ * Wraps LSWRITE, LSGETSTATUS and LSREAD into transactions. Transactions on
+ * the same bus run one after the other, and are retried on bus errors.
+ *
+ * Use Nxt.getLowSpeedBus to get the bus of a port.
+ */
+class NxtLowSpeedBus {
+  /**
+   * @param {Nxt} nxt
+   * @param {number} port // 0-3 for sensor port 1-4
+   */
+  constructor(nxt, port) {
+    this.nxt = nxt;
+    this.port = port;
+
+    // Resolves when the last queued transaction is done
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Write data to the bus and read the reply
+   *
+   * @async
+   * @function transaction
+   * @memberof NxtLowSpeedBus
+   * @param {Uint8Array} txData // max 16 bytes, starting with the I2C address
+   * @param {number} [rxLength] // amount of bytes to read back, max 16
+   * @param {Object} [options]
+   * @param {number} [options.retries] // amount of times to retry on a bus error
+   * @param {number} [options.timeout] // time in ms to wait for the reply
+   * @param {number} [options.pollInterval] // time in ms between status checks
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
+   */
+  async transaction(
+    txData,
+    rxLength = 0,
+    { retries = 3, timeout = 1000, pollInterval = 5 } = {}
+  ) {
+    const transaction = this.queue.then(() =>
+      this._transaction(txData, rxLength, retries, timeout, pollInterval)
+    );
+
+    // Keep the queue going when a transaction fails
+    this.queue = transaction.catch(() => {});
+
+    return transaction;
+  }
+
+  /**
+   * Run a transaction, retrying on bus errors
+   *
+   * @private
+   * @async
+   * @function _transaction
+   * @memberof NxtLowSpeedBus
+   * @param {Uint8Array} txData
+   * @param {number} rxLength
+   * @param {number} retries
+   * @param {number} timeout
+   * @param {number} pollInterval
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtError}
+   */
+  async _transaction(txData, rxLength, retries, timeout, pollInterval) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.nxt.lsWrite(this.port, txData, rxLength);
+        await this._waitForBytes(rxLength, timeout, pollInterval);
+
+        if (rxLength === 0) {
+          return new Uint8Array(0);
+        }
+
+        return await this.nxt.lsRead(this.port);
+      } catch (error) {
+        const isBusError =
+          error.statusCode === NxtStatus.BUS_ERROR ||
+          error.statusCode === NxtStatus.CHANNEL_BUSY;
+
+        if (!isBusError || attempt >= retries) {
+          throw error;
+        }
+
+        await sleep(pollInterval);
+      }
+    }
+  }
+
+  /**
+   * Poll the status until the requested amount of bytes is ready
+   *
+   * @private
+   * @async
+   * @function _waitForBytes
+   * @memberof NxtLowSpeedBus
+   * @param {number} rxLength
+   * @param {number} timeout
+   * @param {number} pollInterval
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async _waitForBytes(rxLength, timeout, pollInterval) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      try {
+        const bytesReady = await this.nxt.lsGetStatus(this.port);
+
+        if (bytesReady >= rxLength) {
+          return;
+        }
+      } catch (error) {
+        if (error.statusCode !== NxtStatus.PENDING_COMMUNICATION) {
+          throw error;
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        throw new NxtTimeoutError("Timed out waiting for low speed data");
+      }
+
+      await sleep(pollInterval);
+    }
+  }
+}
+
+export default NxtLowSpeedBus;
@@ -0,0 +1,223 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import EventEmitter from "./EventEmitter";
+import { NxtError, NxtTransportError } from "./NxtError";
+
+/**
+ * Mailbox numbers
+ *
+ * A program reads messages sent to the inboxes 0-9, and writes replies to the
+ * response mailboxes 10-19, which the host reads.
+ */
+export const Mailbox = {
+  INBOXES: 10,
+  RESPONSE_OFFSET: 10, // response mailbox of inbox n is n + 10
+  MAX_MESSAGE_LENGTH: 58, // bytes, without the null terminator
+};
+
+/**
+ * A message read from a mailbox
+ */
+export class NxtMessage {
+  /**
+   * @param {number} box // mailbox the message was read from
+   * @param {Uint8Array} data // without the null terminator
+   */
+  constructor(box, data) {
+    this.box = box;
+    this.data = data;
+  }
+
+  /**
+   * The message as text, like a string sent with SendResponseString in NXC
+   *
+   * @type {string}
+   */
+  get text() {
+    return String.fromCharCode(...this.data);
+  }
+}
+
+/**
+ * Polls mailboxes and emits the messages that come in
+ *
+ * Emits "message" with an NxtMessage and "error" when reading fails. Polling
+ * continues after an error the brick reports, e.g. when no program runs, and
+ * stops after a transport error. Can also be used as an async iterator:
+ *
+ *   for await (const message of subscription) { ... }
+ *
+ * Breaking out of the loop only ends that iterator, polling goes on for the
+ * other iterators and listeners until stop is called.
+ */
+export class NxtMailboxSubscription extends EventEmitter {
+  /**
+   * @param {Nxt} nxt
+   * @param {number[]} boxes // mailboxes to poll, 0-19
+   * @param {Object} [options]
+   * @param {number} [options.interval] // time in ms between polls
+   */
+  constructor(nxt, boxes, { interval = 100 } = {}) {
+    super();
+    this.nxt = nxt;
+    this.boxes = boxes;
+    this.interval = interval;
+    this.stopped = false;
+    this.timer = null;
+
+    this._poll();
+  }
+
+  /**
+   * Stop polling, ends the async iterator
+   *
+   * @function stop
+   * @memberof NxtMailboxSubscription
+   * @returns {void}
+   */
+  stop() {
+    if (this.stopped) {
+      return;
+    }
+
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.emit("stop");
+  }
+
+  /**
+   * Read all boxes until they're empty, then schedule the next poll
+   *
+   * @private
+   * @async
+   * @function _poll
+   * @memberof NxtMailboxSubscription
+   * @returns {Promise<void>}
+   */
+  async _poll() {
+    for (const box of this.boxes) {
+      try {
+        let message;
+
+        while (
+          !this.stopped &&
+          (message = await this.nxt.readMessage(box, box % Mailbox.INBOXES))
+        ) {
+          this.emit("message", message);
+        }
+      } catch (error) {
+        this.emit("error", error);
+
+        if (error instanceof NxtTransportError) {
+          this.stop();
+        }
+      }
+    }
+
+    if (!this.stopped) {
+      this.timer = setTimeout(() => this._poll(), this.interval);
+    }
+  }
+
+  /**
+   * Iterate over incoming messages until the subscription stops
+   *
+   * Messages that come in between iterations are buffered. A transport
+   * error is thrown from the iterator.
+   *
+   * @function [Symbol.asyncIterator]
+   * @memberof NxtMailboxSubscription
+   * @returns {AsyncIterator<NxtMessage>}
+   */
+  [Symbol.asyncIterator]() {
+    const buffer = [];
+    let waiting = null;
+    let failure = null;
+    let finished = false;
+
+    const wake = () => {
+      if (waiting) {
+        const resolve = waiting;
+        waiting = null;
+        resolve();
+      }
+    };
+
+    const unsubscribe = [
+      this.on("message", (message) => {
+        buffer.push(message);
+        wake();
+      }),
+      this.on("error", (error) => {
+        if (error instanceof NxtTransportError) {
+          failure = error;
+        }
+      }),
+      this.on("stop", wake),
+    ];
+
+    const done = () => {
+      if (!finished) {
+        finished = true;
+        buffer.length = 0;
+        unsubscribe.forEach((off) => off());
+        wake();
+      }
+
+      return { value: undefined, done: true };
+    };
+
+    return {
+      next: async () => {
+        if (finished) {
+          return done();
+        }
+
+        while (buffer.length === 0 && !this.stopped && !finished) {
+          await new Promise((resolve) => {
+            waiting = resolve;
+          });
+        }
+
+        if (buffer.length > 0) {
+          return { value: buffer.shift(), done: false };
+        }
+
+        if (failure) {
+          done();
+          throw failure;
+        }
+
+        return done();
+      },
+      // Only this iterator ends, polling goes on for the others
+      return: async () => done(),
+    };
+  }
+}
+
+/**
+ * Encode a message for a mailbox, adding the null terminator
+ *
+ * @function encodeMessage
+ * @param {string|Uint8Array} message
+ * @returns {Uint8Array}
+ * @throws {NxtError}
+ */
+export const encodeMessage = (message) => {
+  const data =
+    typeof message === "string"
+      ? new Uint8Array(message.split("").map((char) => char.charCodeAt(0)))
+      : message;
+
+  if (data.length > Mailbox.MAX_MESSAGE_LENGTH) {
+    throw new NxtError(
+      `Message too long, max ${Mailbox.MAX_MESSAGE_LENGTH} bytes`
+    );
+  }
+
+  const encoded = new Uint8Array(data.length + 1);
+  encoded.set(data);
+
+  return encoded;
+};
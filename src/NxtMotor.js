@@ -0,0 +1,245 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { sleep } from "./util";
+import { NxtError, NxtTimeoutError } from "./NxtError";
+
+/**
+ * Output ports, 0xFF addresses all ports at once
+ */
+export const OutputPort = {
+  A: 0x00,
+  B: 0x01,
+  C: 0x02,
+  ALL: 0xff,
+};
+
+/**
+ * Mode flags, can be combined
+ */
+export const OutputMode = {
+  MOTORON: 0x01, // turn on the motor
+  BRAKE: 0x02, // use run/brake instead of run/float
+  REGULATED: 0x04, // turn on regulation
+};
+
+/**
+ * Regulation modes, used together with OutputMode.REGULATED
+ */
+export const RegulationMode = {
+  IDLE: 0x00, // no regulation
+  MOTOR_SPEED: 0x01, // keep the speed constant under load
+  MOTOR_SYNC: 0x02, // keep two motors in sync, set on both motors
+};
+
+/**
+ * Run states
+ */
+export const RunState = {
+  IDLE: 0x00, // output will be idle
+  RAMPUP: 0x10, // output will ramp-up
+  RUNNING: 0x20, // output will be running
+  RAMPDOWN: 0x40, // output will ramp-down
+};
+
+/**
+ * Represents a motor connected to one of the output ports
+ */
+export class NxtMotor {
+  /**
+   * @param {Nxt} nxt
+   * @param {number} port // OutputPort.A, B or C
+   */
+  constructor(nxt, port) {
+    this.nxt = nxt;
+    this.port = port;
+  }
+
+  /**
+   * Set the output state of the motor
+   *
+   * @async
+   * @function setOutputState
+   * @memberof NxtMotor
+   * @param {{ power?: number, mode?: number, regulationMode?: number, turnRatio?: number, runState?: number, tachoLimit?: number }} state
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async setOutputState(state) {
+    await this.nxt.setOutputState(this.port, state);
+  }
+
+  /**
+   * Get the output state of the motor, including the tacho counters
+   *
+   * @async
+   * @function getOutputState
+   * @memberof NxtMotor
+   * @returns {Promise<{ port: number, power: number, mode: number, regulationMode: number, turnRatio: number, runState: number, tachoLimit: number, tachoCount: number, blockTachoCount: number, rotationCount: number }>}
+   * @throws {NxtError}
+   */
+  async getOutputState() {
+    return this.nxt.getOutputState(this.port);
+  }
+
+  /**
+   * Run the motor at the given power (-100 to 100)
+   *
+   * Speed regulation is on by default. Use RegulationMode.MOTOR_SYNC and a
+   * turn ratio on two motors to drive them in sync.
+   *
+   * @async
+   * @function run
+   * @memberof NxtMotor
+   * @param {number} power
+   * @param {Object} [options]
+   * @param {number} [options.regulationMode]
+   * @param {number} [options.turnRatio] // -100 to 100, only used when synced
+   * @param {number} [options.tachoLimit] // degrees to run, 0 runs forever
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async run(
+    power,
+    {
+      regulationMode = RegulationMode.MOTOR_SPEED,
+      turnRatio = 0,
+      tachoLimit = 0,
+    } = {}
+  ) {
+    let mode = OutputMode.MOTORON | OutputMode.BRAKE;
+    if (regulationMode !== RegulationMode.IDLE) {
+      mode |= OutputMode.REGULATED;
+    }
+
+    await this.setOutputState({
+      power,
+      mode,
+      regulationMode,
+      turnRatio,
+      runState: RunState.RUNNING,
+      tachoLimit,
+    });
+  }
+
+  /**
+   * Stop the motor
+   *
+   * @async
+   * @function stop
+   * @memberof NxtMotor
+   * @param {boolean} [brake] // brake the motor instead of letting it float
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async stop(brake = true) {
+    await this.setOutputState({
+      power: 0,
+      mode: brake ? OutputMode.MOTORON | OutputMode.BRAKE : 0,
+      regulationMode: RegulationMode.IDLE,
+      turnRatio: 0,
+      runState: brake ? RunState.RUNNING : RunState.IDLE,
+      tachoLimit: 0,
+    });
+  }
+
+  /**
+   * Rotate the motor by an amount of degrees
+   *
+   * Resolves when the motor has finished the move. Negative degrees or power
+   * rotate backwards. A motor that is still moving after the timeout, e.g.
+   * because it's blocked, is stopped and an NxtTimeoutError is thrown.
+   *
+   * @async
+   * @function rotate
+   * @memberof NxtMotor
+   * @param {number} degrees
+   * @param {number} [power]
+   * @param {Object} [options]
+   * @param {boolean} [options.brake] // hold the position after the move
+   * @param {number} [options.pollInterval] // time in ms between state checks
+   * @param {number} [options.timeout] // time in ms to wait, Infinity to wait forever
+   * @param {AbortSignal} [options.signal] // stops the motor when aborted
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async rotate(
+    degrees,
+    power = 75,
+    { brake = true, pollInterval = 50, timeout = Infinity, signal } = {}
+  ) {
+    if (degrees === 0 || power === 0) {
+      throw new NxtError("Degrees and power must not be 0");
+    }
+
+    signal?.throwIfAborted();
+
+    const direction = Math.sign(degrees) * Math.sign(power);
+
+    await this.run(Math.abs(power) * direction, {
+      tachoLimit: Math.abs(degrees),
+    });
+
+    const startedAt = Date.now();
+
+    // The firmware sets the run state to idle once the tacho limit is reached
+    let state;
+    do {
+      if (signal?.aborted || Date.now() - startedAt >= timeout) {
+        await this.stop(brake).catch(() => {});
+
+        signal?.throwIfAborted();
+        throw new NxtTimeoutError(`Motor still rotating after ${timeout} ms`);
+      }
+
+      await sleep(pollInterval);
+      state = await this.getOutputState();
+    } while (state.runState !== RunState.IDLE);
+
+    await this.stop(brake);
+  }
+
+  /**
+   * Get the tacho count, the amount of degrees the motor has turned
+   *
+   * The firmware uses this count to track the tacho limit.
+   *
+   * @async
+   * @function getTachoCount
+   * @memberof NxtMotor
+   * @returns {Promise<number>}
+   * @throws {NxtError}
+   */
+  async getTachoCount() {
+    const state = await this.getOutputState();
+    return state.tachoCount;
+  }
+
+  /**
+   * Get the rotation count, the position in degrees since the last absolute
+   * reset
+   *
+   * @async
+   * @function getRotationCount
+   * @memberof NxtMotor
+   * @returns {Promise<number>}
+   * @throws {NxtError}
+   */
+  async getRotationCount() {
+    const state = await this.getOutputState();
+    return state.rotationCount;
+  }
+
+  /**
+   * Reset the motor position
+   *
+   * @async
+   * @function resetPosition
+   * @memberof NxtMotor
+   * @param {boolean} [relative] // reset the position relative to the last movement instead of the absolute position
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async resetPosition(relative = false) {
+    await this.nxt.resetMotorPosition(this.port, relative);
+  }
+}
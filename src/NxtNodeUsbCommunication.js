@@ -0,0 +1,46 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import NxtUsbCommunication from "./NxtUsbCommunication";
+import { NxtTransportError } from "./NxtError";
+
+/**
+ * Represents the USB interface when running in Node.js
+ *
+ * Uses the WebUSB implementation of the `usb` package, which talks to the
+ * brick through libusb. The first connected NXT is picked, as there is no
+ * chooser outside the browser.
+ *
+ * `usb` is an optional peer dependency, so it is only loaded on connect.
+ *
+ * @extends NxtUsbCommunication
+ */
+class NxtNodeUsbCommunication extends NxtUsbCommunication {
+  /**
+   * Get the libusb backed WebUSB implementation
+   *
+   * @protected
+   * @async
+   * @function _getUsb
+   * @memberof NxtNodeUsbCommunication
+   * @returns {Promise<USB>}
+   * @throws {NxtTransportError}
+   */
+  async _getUsb() {
+    let WebUSB;
+
+    try {
+      ({ WebUSB } = await import("usb"));
+    } catch (error) {
+      throw new NxtTransportError(
+        'The "usb" package is required to connect via USB in Node.js',
+        { cause: error }
+      );
+    }
+
+    return new WebUSB({
+      allowedDevices: [{ vendorId: 0x0694, productId: 0x0002 }], // LEGO NXT
+    });
+  }
+}
+
+export default NxtNodeUsbCommunication;
@@ -0,0 +1,180 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtTransportError } from "./NxtError";
+
+// Time in ms between keep-alives when the brick never sleeps, in case the
+// sleep timer is turned on from the brick's menu
+const NEVER_SLEEP_INTERVAL = 60000;
+
+/**
+ * Keeps a brick awake and watches its battery in the background
+ *
+ * Sends a keep-alive when half of the sleep timer has run out, and samples
+ * the battery voltage at a fixed interval. Events are emitted on the Nxt:
+ *
+ * - "battery" with { voltage } for every sample, in mV
+ * - "lowbattery" with { voltage, threshold } when the voltage drops below
+ *   the threshold, once until it rises above it again
+ * - "monitorerror" with the error when a command fails
+ *
+ * Stops by itself when the connection fails.
+ */
+class NxtPowerMonitor {
+  /**
+   * @param {Nxt} nxt
+   * @param {Object} [options]
+   * @param {boolean} [options.keepAlive] // send keep-alives
+   * @param {number|null} [options.batteryInterval] // time in ms between battery samples, null to not sample
+   * @param {number} [options.lowBatteryThreshold] // mV
+   */
+  constructor(
+    nxt,
+    {
+      keepAlive = true,
+      batteryInterval = 60000,
+      lowBatteryThreshold = 6500,
+    } = {}
+  ) {
+    this.nxt = nxt;
+    this.keepAlive = keepAlive;
+    this.batteryInterval = batteryInterval;
+    this.lowBatteryThreshold = lowBatteryThreshold;
+
+    this.running = false;
+    this.timers = new Set();
+    this.sleepTimeLimit = null; // ms, 0 when the brick never sleeps
+    this.voltage = null; // last sample in mV
+    this.lowBattery = false;
+  }
+
+  /**
+   * Start the background tasks
+   *
+   * @function start
+   * @memberof NxtPowerMonitor
+   * @returns {void}
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    if (this.keepAlive) {
+      this._schedule(() => this._sendKeepAlive(), 0);
+    }
+
+    if (this.batteryInterval !== null) {
+      this._schedule(() => this._sampleBattery(), 0);
+    }
+  }
+
+  /**
+   * Stop the background tasks
+   *
+   * @function stop
+   * @memberof NxtPowerMonitor
+   * @returns {void}
+   */
+  stop() {
+    this.running = false;
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Run a task after a delay, unless the monitor stopped by then
+   *
+   * @private
+   * @function _schedule
+   * @memberof NxtPowerMonitor
+   * @param {Function} task
+   * @param {number} delay // ms
+   * @returns {void}
+   */
+  _schedule(task, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+
+      if (this.running) {
+        task();
+      }
+    }, delay);
+
+    this.timers.add(timer);
+  }
+
+  /**
+   * Send a keep-alive and schedule the next one
+   *
+   * @private
+   * @async
+   * @function _sendKeepAlive
+   * @memberof NxtPowerMonitor
+   * @returns {Promise<void>}
+   */
+  async _sendKeepAlive() {
+    try {
+      this.sleepTimeLimit = await this.nxt.keepAlive();
+    } catch (error) {
+      this._handleError(error);
+    }
+
+    const delay =
+      this.sleepTimeLimit > 0 ? this.sleepTimeLimit / 2 : NEVER_SLEEP_INTERVAL;
+
+    this._schedule(() => this._sendKeepAlive(), delay);
+  }
+
+  /**
+   * Sample the battery voltage and schedule the next sample
+   *
+   * @private
+   * @async
+   * @function _sampleBattery
+   * @memberof NxtPowerMonitor
+   * @returns {Promise<void>}
+   */
+  async _sampleBattery() {
+    try {
+      const voltage = await this.nxt.getBatteryLevel();
+      this.voltage = voltage;
+
+      this.nxt.emit("battery", { voltage });
+
+      if (voltage < this.lowBatteryThreshold && !this.lowBattery) {
+        this.lowBattery = true;
+        this.nxt.emit("lowbattery", {
+          voltage,
+          threshold: this.lowBatteryThreshold,
+        });
+      } else if (voltage >= this.lowBatteryThreshold) {
+        this.lowBattery = false;
+      }
+    } catch (error) {
+      this._handleError(error);
+    }
+
+    this._schedule(() => this._sampleBattery(), this.batteryInterval);
+  }
+
+  /**
+   * Report an error, stopping when the connection failed
+   *
+   * @private
+   * @function _handleError
+   * @memberof NxtPowerMonitor
+   * @param {Error} error
+   * @returns {void}
+   */
+  _handleError(error) {
+    this.nxt.emit("monitorerror", error);
+
+    if (error instanceof NxtTransportError) {
+      this.stop();
+    }
+  }
+}
+
+export default NxtPowerMonitor;
@@ -0,0 +1,624 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtError } from "./NxtError";
+
+/**
+ * First byte of a packet, the telegram type
+ */
+export const TelegramType = {
+  DIRECT_COMMAND: 0x00,
+  SYSTEM_COMMAND: 0x01,
+  REPLY: 0x02,
+  NO_REPLY: 0x80, // added to a command type when no reply is needed
+};
+
+/**
+ * Field types of command and reply packets, all multi-byte numbers are
+ * little endian
+ */
+export const FieldType = {
+  UINT8: "uint8",
+  INT8: "int8",
+  UINT16: "uint16",
+  INT16: "int16",
+  UINT32: "uint32",
+  INT32: "int32",
+  BOOLEAN: "boolean",
+  STRING: "string", // null terminated, padded with null bytes to its length
+  BYTES: "bytes",
+};
+
+const FIELD_SIZES = {
+  [FieldType.UINT8]: 1,
+  [FieldType.INT8]: 1,
+  [FieldType.UINT16]: 2,
+  [FieldType.INT16]: 2,
+  [FieldType.UINT32]: 4,
+  [FieldType.INT32]: 4,
+  [FieldType.BOOLEAN]: 1,
+};
+
+// Field definitions. The length of a string or bytes field is a number, the
+// name of an earlier field holding the length, or undefined for the rest of
+// the packet.
+const uint8 = (name) => ({ name, type: FieldType.UINT8 });
+const int8 = (name) => ({ name, type: FieldType.INT8 });
+const uint16 = (name) => ({ name, type: FieldType.UINT16 });
+const int16 = (name) => ({ name, type: FieldType.INT16 });
+const uint32 = (name) => ({ name, type: FieldType.UINT32 });
+const int32 = (name) => ({ name, type: FieldType.INT32 });
+const boolean = (name) => ({ name, type: FieldType.BOOLEAN });
+const string = (name, length) => ({ name, type: FieldType.STRING, length });
+const bytes = (name, length) => ({ name, type: FieldType.BYTES, length });
+
+// A file name is 15.3 characters and a null byte, padded to 20 bytes
+const fileName = (name = "fileName") => string(name, 20);
+
+// Echo lists the reply fields that repeat a request field, like a port or
+// handle, which tell the replies of requests with the same opcode apart
+const direct = (opcode, request, reply = [], echo = []) => ({
+  type: TelegramType.DIRECT_COMMAND,
+  opcode,
+  request,
+  reply,
+  echo,
+});
+
+const system = (opcode, request, reply = [], echo = []) => ({
+  type: TelegramType.SYSTEM_COMMAND,
+  opcode,
+  request,
+  reply,
+  echo,
+});
+
+const moduleInfo = [
+  uint8("handle"),
+  fileName("moduleName"),
+  uint32("moduleId"),
+  uint32("moduleSize"),
+  uint16("ioMapSize"),
+];
+
+/**
+ * Direct and system commands with the fields of their request and reply
+ *
+ * Replies always start with the telegram type, opcode and status, the
+ * fields describe what follows.
+ */
+export const NxtCommand = {
+  // Direct commands
+  START_PROGRAM: direct(0x00, [fileName()]),
+  STOP_PROGRAM: direct(0x01, []),
+  PLAY_SOUND_FILE: direct(0x02, [boolean("loop"), fileName()]),
+  PLAY_TONE: direct(0x03, [uint16("frequency"), uint16("duration")]),
+  SET_OUTPUT_STATE: direct(0x04, [
+    uint8("port"),
+    int8("power"),
+    uint8("mode"),
+    uint8("regulationMode"),
+    int8("turnRatio"),
+    uint8("runState"),
+    uint32("tachoLimit"),
+  ]),
+  SET_INPUT_MODE: direct(0x05, [uint8("port"), uint8("type"), uint8("mode")]),
+  GET_OUTPUT_STATE: direct(
+    0x06,
+    [uint8("port")],
+    [
+      uint8("port"),
+      int8("power"),
+      uint8("mode"),
+      uint8("regulationMode"),
+      int8("turnRatio"),
+      uint8("runState"),
+      uint32("tachoLimit"),
+      int32("tachoCount"),
+      int32("blockTachoCount"),
+      int32("rotationCount"),
+    ],
+    ["port"]
+  ),
+  GET_INPUT_VALUES: direct(
+    0x07,
+    [uint8("port")],
+    [
+      uint8("port"),
+      boolean("valid"),
+      boolean("calibrated"),
+      uint8("type"),
+      uint8("mode"),
+      uint16("rawValue"),
+      uint16("normalizedValue"),
+      int16("scaledValue"),
+      int16("calibratedValue"),
+    ],
+    ["port"]
+  ),
+  RESET_INPUT_SCALED_VALUE: direct(0x08, [uint8("port")]),
+  MESSAGE_WRITE: direct(0x09, [
+    uint8("inbox"),
+    uint8("messageSize"), // including the null terminator
+    bytes("message", "messageSize"),
+  ]),
+  RESET_MOTOR_POSITION: direct(0x0a, [uint8("port"), boolean("relative")]),
+  GET_BATTERY_LEVEL: direct(0x0b, [], [uint16("voltage")]),
+  STOP_SOUND_PLAYBACK: direct(0x0c, []),
+  KEEP_ALIVE: direct(0x0d, [], [uint32("sleepTimeLimit")]),
+  LS_GET_STATUS: direct(0x0e, [uint8("port")], [uint8("bytesReady")]),
+  LS_WRITE: direct(0x0f, [
+    uint8("port"),
+    uint8("txLength"),
+    uint8("rxLength"),
+    bytes("txData", "txLength"),
+  ]),
+  LS_READ: direct(
+    0x10,
+    [uint8("port")],
+    [uint8("bytesRead"), bytes("rxData", 16)] // padded with zeros
+  ),
+  GET_CURRENT_PROGRAM_NAME: direct(0x11, [], [fileName()]),
+  MESSAGE_READ: direct(
+    0x13,
+    [uint8("remoteInbox"), uint8("localInbox"), boolean("remove")],
+    [
+      uint8("localInbox"),
+      uint8("messageSize"), // including the null terminator
+      bytes("message", 59), // padded with zeros
+    ],
+    ["localInbox"]
+  ),
+  // Only known by the enhanced NBC/NXC firmware
+  GET_VM_STATE: direct(
+    0x23,
+    [],
+    [uint8("state"), uint8("clump"), uint16("programCounter")]
+  ),
+
+  // System commands
+  OPEN_READ: system(0x80, [fileName()], [uint8("handle"), uint32("fileSize")]),
+  OPEN_WRITE: system(0x81, [fileName(), uint32("fileSize")], [uint8("handle")]),
+  READ: system(
+    0x82,
+    [uint8("handle"), uint16("bytesToRead")],
+    [uint8("handle"), uint16("bytesRead"), bytes("data", "bytesRead")],
+    ["handle"]
+  ),
+  WRITE: system(
+    0x83,
+    [uint8("handle"), bytes("data")],
+    [uint8("handle"), uint16("bytesWritten")],
+    ["handle"]
+  ),
+  CLOSE: system(0x84, [uint8("handle")], [uint8("handle")], ["handle"]),
+  DELETE: system(0x85, [fileName()], [fileName()], ["fileName"]),
+  FIND_FIRST: system(
+    0x86,
+    [fileName()],
+    [uint8("handle"), fileName(), uint32("fileSize")]
+  ),
+  FIND_NEXT: system(
+    0x87,
+    [uint8("handle")],
+    [uint8("handle"), fileName(), uint32("fileSize")],
+    ["handle"]
+  ),
+  GET_FIRMWARE_VERSION: system(
+    0x88,
+    [],
+    [
+      uint8("minorProtocol"),
+      uint8("majorProtocol"),
+      uint8("minorFirmware"),
+      uint8("majorFirmware"),
+    ]
+  ),
+  OPEN_WRITE_LINEAR: system(
+    0x89,
+    [fileName(), uint32("fileSize")],
+    [uint8("handle")]
+  ),
+  OPEN_READ_LINEAR: system(0x8a, [fileName()], [uint32("pointer")]),
+  OPEN_WRITE_DATA: system(
+    0x8b,
+    [fileName(), uint32("fileSize")],
+    [uint8("handle")]
+  ),
+  OPEN_APPEND_DATA: system(
+    0x8c,
+    [fileName()],
+    [uint8("handle"), uint32("availableSize")]
+  ),
+  REQUEST_FIRST_MODULE: system(0x90, [fileName("moduleName")], moduleInfo),
+  REQUEST_NEXT_MODULE: system(0x91, [uint8("handle")], moduleInfo, ["handle"]),
+  CLOSE_MODULE_HANDLE: system(
+    0x92,
+    [uint8("handle")],
+    [uint8("handle")],
+    ["handle"]
+  ),
+  READ_IO_MAP: system(
+    0x94,
+    [uint32("moduleId"), uint16("offset"), uint16("bytesToRead")],
+    [uint32("moduleId"), uint16("bytesRead"), bytes("data", "bytesRead")],
+    ["moduleId"]
+  ),
+  WRITE_IO_MAP: system(
+    0x95,
+    [
+      uint32("moduleId"),
+      uint16("offset"),
+      uint16("bytesToWrite"),
+      bytes("data", "bytesToWrite"),
+    ],
+    [uint32("moduleId"), uint16("bytesWritten")],
+    ["moduleId"]
+  ),
+  BOOT_COMMAND: system(0x97, [string("command", 19)], [bytes("reply", 4)]), // USB only
+  SET_BRICK_NAME: system(0x98, [string("name", 16)]),
+  GET_DEVICE_INFO: system(
+    0x9b,
+    [],
+    [
+      string("nxtName", 15),
+      bytes("btAddress", 7),
+      uint32("btSignalStrength"),
+      uint32("freeUserFlash"),
+    ]
+  ),
+  DELETE_USER_FLASH: system(0xa0, []),
+  POLL_COMMAND_LENGTH: system(
+    0xa1,
+    [uint8("bufferNumber")],
+    [uint8("bufferNumber"), uint8("commandLength")],
+    ["bufferNumber"]
+  ),
+  POLL_COMMAND: system(
+    0xa2,
+    [uint8("bufferNumber"), uint8("commandLength")],
+    [
+      uint8("bufferNumber"),
+      uint8("commandLength"),
+      bytes("command", "commandLength"),
+    ],
+    ["bufferNumber"]
+  ),
+  BLUETOOTH_FACTORY_RESET: system(0xa4, []), // USB only
+};
+
+/**
+ * Get the byte length of a field, given the values encoded or decoded so far
+ *
+ * @param {{ name: string, type: string, length?: number|string }} field
+ * @param {Object} values
+ * @param {number} remaining // bytes left in the packet
+ * @returns {number}
+ */
+const fieldLength = (field, values, remaining) => {
+  if (field.type in FIELD_SIZES) {
+    return FIELD_SIZES[field.type];
+  }
+
+  if (typeof field.length === "number") {
+    return field.length;
+  }
+
+  if (typeof field.length === "string") {
+    return values[field.length];
+  }
+
+  return remaining;
+};
+
+/**
+ * Encode fields to bytes
+ *
+ * Length fields that aren't given are filled in from the field they describe.
+ *
+ * @param {Object[]} fields
+ * @param {Object} values
+ * @returns {Uint8Array}
+ * @throws {NxtError}
+ */
+const encodeFields = (fields, values) => {
+  values = { ...values };
+
+  // Fill in missing length fields
+  fields.forEach((field) => {
+    if (typeof field.length === "string" && values[field.length] == null) {
+      values[field.length] = values[field.name]?.length ?? 0;
+    }
+  });
+
+  const size = fields.reduce(
+    (total, field) =>
+      total + fieldLength(field, values, values[field.name]?.length ?? 0),
+    0
+  );
+  const data = new Uint8Array(size);
+  const view = new DataView(data.buffer);
+  let offset = 0;
+
+  fields.forEach((field) => {
+    const value = values[field.name];
+    const length = fieldLength(field, values, value?.length ?? 0);
+
+    if (value === undefined && field.type !== FieldType.BYTES) {
+      throw new NxtError(`Missing value for field "${field.name}"`);
+    }
+
+    switch (field.type) {
+      case FieldType.UINT8:
+        view.setUint8(offset, value);
+        break;
+      case FieldType.INT8:
+        view.setInt8(offset, value);
+        break;
+      case FieldType.UINT16:
+        view.setUint16(offset, value, true);
+        break;
+      case FieldType.INT16:
+        view.setInt16(offset, value, true);
+        break;
+      case FieldType.UINT32:
+        view.setUint32(offset, value, true);
+        break;
+      case FieldType.INT32:
+        view.setInt32(offset, value, true);
+        break;
+      case FieldType.BOOLEAN:
+        view.setUint8(offset, value ? 1 : 0);
+        break;
+      case FieldType.STRING:
+        // The last byte is always null
+        if (value.length > length - 1) {
+          throw new NxtError(
+            `Value of field "${field.name}" is too long, max ${
+              length - 1
+            } characters`
+          );
+        }
+
+        data.set(
+          value.split("").map((char) => char.charCodeAt(0)),
+          offset
+        );
+        break;
+      case FieldType.BYTES:
+        if ((value?.length ?? 0) > length) {
+          throw new NxtError(
+            `Value of field "${field.name}" is too long, max ${length} bytes`
+          );
+        }
+
+        data.set(value ?? [], offset);
+        break;
+    }
+
+    offset += length;
+  });
+
+  return data;
+};
+
+/**
+ * Decode fields from bytes
+ *
+ * @param {Object[]} fields
+ * @param {Uint8Array} data
+ * @param {number} offset // where the first field starts
+ * @returns {Object}
+ * @throws {NxtError}
+ */
+const decodeFields = (fields, data, offset) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const values = {};
+
+  fields.forEach((field) => {
+    const length = fieldLength(field, values, data.length - offset);
+
+    if (offset + length > data.length) {
+      throw new NxtError(
+        `Packet too short, field "${field.name}" needs ${length} bytes at offset ${offset}`
+      );
+    }
+
+    switch (field.type) {
+      case FieldType.UINT8:
+        values[field.name] = view.getUint8(offset);
+        break;
+      case FieldType.INT8:
+        values[field.name] = view.getInt8(offset);
+        break;
+      case FieldType.UINT16:
+        values[field.name] = view.getUint16(offset, true);
+        break;
+      case FieldType.INT16:
+        values[field.name] = view.getInt16(offset, true);
+        break;
+      case FieldType.UINT32:
+        values[field.name] = view.getUint32(offset, true);
+        break;
+      case FieldType.INT32:
+        values[field.name] = view.getInt32(offset, true);
+        break;
+      case FieldType.BOOLEAN:
+        values[field.name] = view.getUint8(offset) !== 0;
+        break;
+      case FieldType.STRING: {
+        const chars = data.slice(offset, offset + length);
+        const end = chars.indexOf(0);
+        values[field.name] = String.fromCharCode(
+          ...(end === -1 ? chars : chars.slice(0, end))
+        );
+        break;
+      }
+      case FieldType.BYTES:
+        values[field.name] = data.slice(offset, offset + length);
+        break;
+    }
+
+    offset += length;
+  });
+
+  return values;
+};
+
+/**
+ * Find the command definition of a packet
+ *
+ * @param {number} type // TelegramType of a command, without NO_REPLY
+ * @param {number} opcode
+ * @returns {Object|undefined}
+ */
+const findCommand = (type, opcode) =>
+  Object.values(NxtCommand).find(
+    (command) => command.type === type && command.opcode === opcode
+  );
+
+/**
+ * Get the name of a command, e.g. "GET_OUTPUT_STATE"
+ *
+ * @function commandName
+ * @param {Object} command // one of NxtCommand
+ * @returns {string|undefined}
+ */
+export const commandName = (command) =>
+  Object.keys(NxtCommand).find((name) => NxtCommand[name] === command);
+
+/**
+ * Encode a command packet
+ *
+ * @function encodeCommand
+ * @param {Object} command // one of NxtCommand
+ * @param {Object} [values] // request fields by name
+ * @param {{ requireReply?: boolean }} [options]
+ * @returns {Uint8Array}
+ * @throws {NxtError}
+ */
+export const encodeCommand = (
+  command,
+  values = {},
+  { requireReply = true } = {}
+) => {
+  const fields = encodeFields(command.request, values);
+  const packet = new Uint8Array(2 + fields.length);
+
+  packet[0] = command.type | (requireReply ? 0 : TelegramType.NO_REPLY);
+  packet[1] = command.opcode;
+  packet.set(fields, 2);
+
+  return packet;
+};
+
+/**
+ * Decode a command packet
+ *
+ * @function decodeCommand
+ * @param {Uint8Array} packet
+ * @returns {{ command: Object, requireReply: boolean, values: Object }}
+ * @throws {NxtError}
+ */
+export const decodeCommand = (packet) => {
+  const type = packet[0] & ~TelegramType.NO_REPLY;
+  const command = findCommand(type, packet[1]);
+
+  if (!command) {
+    throw new NxtError(
+      `Unknown command 0x${packet[0]
+        ?.toString(16)
+        .padStart(2, "0")} 0x${packet[1]?.toString(16).padStart(2, "0")}`
+    );
+  }
+
+  return {
+    command,
+    requireReply: !(packet[0] & TelegramType.NO_REPLY),
+    values: decodeFields(command.request, packet, 2),
+  };
+};
+
+/**
+ * Encode a reply packet
+ *
+ * Only the status is encoded for a reply with an error status.
+ *
+ * @function encodeReply
+ * @param {Object} command // one of NxtCommand
+ * @param {number} status // NxtStatus
+ * @param {Object} [values] // reply fields by name
+ * @returns {Uint8Array}
+ * @throws {NxtError}
+ */
+export const encodeReply = (command, status, values = {}) => {
+  const fields = status === 0 ? encodeFields(command.reply, values) : [];
+  const packet = new Uint8Array(3 + fields.length);
+
+  packet[0] = TelegramType.REPLY;
+  packet[1] = command.opcode;
+  packet[2] = status;
+  packet.set(fields, 3);
+
+  return packet;
+};
+
+/**
+ * Check whether a reply packet belongs to a request
+ *
+ * Besides the opcode the fields in the echo list of the command have to
+ * match, so a late reply to an earlier request for e.g. another port isn't
+ * taken for the reply. Replies with an error status only need a matching
+ * opcode, as their fields aren't always sent.
+ *
+ * @function replyMatches
+ * @param {Object} command // one of NxtCommand
+ * @param {Object} values // request fields by name
+ * @param {Uint8Array} packet
+ * @returns {boolean}
+ */
+export const replyMatches = (command, values, packet) => {
+  if (packet[0] !== TelegramType.REPLY || packet[1] !== command.opcode) {
+    return false;
+  }
+
+  if (packet[2] !== 0 || command.echo.length === 0) {
+    return true;
+  }
+
+  let reply;
+  try {
+    reply = decodeFields(command.reply, packet, 3);
+  } catch (error) {
+    return false;
+  }
+
+  return command.echo.every((name) => reply[name] === values[name]);
+};
+
+/**
+ * Decode a reply packet
+ *
+ * The fields are only decoded when the status is success, as the brick
+ * doesn't always send them along with an error.
+ *
+ * @function decodeReply
+ * @param {Object} command // one of NxtCommand
+ * @param {Uint8Array} packet
+ * @returns {{ status: number }} // and the reply fields by name
+ * @throws {NxtError}
+ */
+export const decodeReply = (command, packet) => {
+  if (packet[0] !== TelegramType.REPLY || packet[1] !== command.opcode) {
+    throw new NxtError(
+      `Packet is not a reply to ${commandName(command) ?? "the command"}`
+    );
+  }
+
+  const status = packet[2];
+
+  if (status !== 0) {
+    return { status };
+  }
+
+  return { status, ...decodeFields(command.reply, packet, 3) };
+};
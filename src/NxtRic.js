@@ -0,0 +1,246 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtError } from "./NxtError";
+import { Display, createBitmap } from "./NxtBitmap";
+
+/**
+ * Opcodes of a RIC graphics file
+ *
+ * A RIC file is a list of opcodes, each a little endian size word with the
+ * number of bytes that follow, the opcode word and its parameter words.
+ */
+export const RicOpcode = {
+  DESCRIPTION: 0x0000, // options, width, height
+  SPRITE: 0x0001, // data address, rows, bytes per row, bitmap
+  VAR_MAP: 0x0002,
+  COPY_BITS: 0x0003, // options, data address, source x, y, width, height, destination x, y
+  LINE: 0x0004, // options, x1, y1, x2, y2
+  PIXEL: 0x0005, // options, x, y
+  RECTANGLE: 0x0006, // options, x, y, width, height
+  CIRCLE: 0x0007, // options, x, y, radius
+  NUMBER_BOX: 0x0008,
+};
+
+// Sprite the encoder stores the image in
+const SPRITE_ADDRESS = 1;
+
+/**
+ * Encode an opcode with its size word
+ *
+ * @param {number} opcode
+ * @param {number[]} words
+ * @param {Uint8Array} [data] // bytes after the words, padded to an even length
+ * @returns {Uint8Array}
+ */
+const encodeOpcode = (opcode, words, data = new Uint8Array(0)) => {
+  const size = 2 + words.length * 2 + data.length + (data.length % 2);
+  const bytes = new Uint8Array(2 + size);
+  const view = new DataView(bytes.buffer);
+
+  [size, opcode, ...words].forEach((word, i) =>
+    view.setUint16(i * 2, word, true)
+  );
+  bytes.set(data, 4 + words.length * 2);
+
+  return bytes;
+};
+
+/**
+ * Encode a 1-bit bitmap as a RIC file
+ *
+ * The file has a description, a sprite with the bitmap and a copy bits
+ * opcode that draws it, so the image shows with its bottom left corner at
+ * the position a program draws it at.
+ *
+ * @function encodeRic
+ * @param {{ width: number, height: number, pixels: Uint8Array }} bitmap // see toBitmap
+ * @returns {Uint8Array}
+ * @throws {NxtError}
+ */
+export const encodeRic = ({ width, height, pixels }) => {
+  if (width > Display.WIDTH || height > Display.HEIGHT) {
+    throw new NxtError(
+      `Image too large, max ${Display.WIDTH}x${Display.HEIGHT} pixels`
+    );
+  }
+
+  // Rows top to bottom, the most significant bit is the leftmost pixel
+  const rowBytes = Math.ceil(width / 8);
+  const sprite = new Uint8Array(rowBytes * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x]) {
+        sprite[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  const opcodes = [
+    encodeOpcode(RicOpcode.DESCRIPTION, [0, width, height]),
+    encodeOpcode(RicOpcode.SPRITE, [SPRITE_ADDRESS, height, rowBytes], sprite),
+    encodeOpcode(RicOpcode.COPY_BITS, [
+      0,
+      SPRITE_ADDRESS,
+      0,
+      0,
+      width,
+      height,
+      0,
+      0,
+    ]),
+  ];
+
+  const ric = new Uint8Array(
+    opcodes.reduce((length, opcode) => length + opcode.length, 0)
+  );
+
+  opcodes.reduce((offset, opcode) => {
+    ric.set(opcode, offset);
+    return offset + opcode.length;
+  }, 0);
+
+  return ric;
+};
+
+/**
+ * Render a RIC file to a 1-bit bitmap for a preview
+ *
+ * Draws sprites, lines, pixels, rectangles and circles. Coordinates count
+ * from the bottom left like on the brick, parameters taken from a variable
+ * map are drawn with their literal value and number boxes are skipped.
+ *
+ * @function decodeRic
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {{ width: number, height: number, pixels: Uint8Array }}
+ * @throws {NxtError}
+ */
+export const decodeRic = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const sprites = new Map();
+  let bitmap = null;
+
+  const setPixel = (x, y) => {
+    const row = bitmap.height - 1 - y;
+
+    if (x >= 0 && x < bitmap.width && row >= 0 && row < bitmap.height) {
+      bitmap.pixels[row * bitmap.width + x] = 1;
+    }
+  };
+
+  const drawLine = (x1, y1, x2, y2) => {
+    const dx = Math.abs(x2 - x1);
+    const dy = -Math.abs(y2 - y1);
+    const sx = x1 < x2 ? 1 : -1;
+    const sy = y1 < y2 ? 1 : -1;
+    let error = dx + dy;
+
+    for (;;) {
+      setPixel(x1, y1);
+
+      if (x1 === x2 && y1 === y2) {
+        break;
+      }
+
+      const double = 2 * error;
+
+      if (double >= dy) {
+        error += dy;
+        x1 += sx;
+      }
+
+      if (double <= dx) {
+        error += dx;
+        y1 += sy;
+      }
+    }
+  };
+
+  const draw = {
+    [RicOpcode.SPRITE]: ([address, rows, rowBytes], offset) => {
+      sprites.set(address, {
+        rows,
+        rowBytes,
+        data: bytes.slice(offset + 6, offset + 6 + rows * rowBytes),
+      });
+    },
+    [RicOpcode.COPY_BITS]: ([, address, sx, sy, width, height, dx, dy]) => {
+      const sprite = sprites.get(address);
+
+      if (!sprite) {
+        throw new NxtError(`Invalid RIC file, no sprite ${address}`);
+      }
+
+      // Source rows count from the bottom of the sprite as well
+      for (let y = 0; y < height; y++) {
+        const row = sprite.rows - 1 - (sy + y);
+
+        for (let x = 0; x < width; x++) {
+          const column = sx + x;
+          const byte = sprite.data[row * sprite.rowBytes + (column >> 3)];
+
+          if (
+            row >= 0 &&
+            column < sprite.rowBytes * 8 &&
+            byte & (0x80 >> (column & 7))
+          ) {
+            setPixel(dx + x, dy + y);
+          }
+        }
+      }
+    },
+    [RicOpcode.LINE]: ([, x1, y1, x2, y2]) => drawLine(x1, y1, x2, y2),
+    [RicOpcode.PIXEL]: ([, x, y]) => setPixel(x, y),
+    [RicOpcode.RECTANGLE]: ([, x, y, width, height]) => {
+      drawLine(x, y, x + width, y);
+      drawLine(x + width, y, x + width, y + height);
+      drawLine(x + width, y + height, x, y + height);
+      drawLine(x, y + height, x, y);
+    },
+    [RicOpcode.CIRCLE]: ([, cx, cy, radius]) => {
+      for (let step = 0; step < 360; step++) {
+        const angle = (step * Math.PI) / 180;
+        setPixel(
+          Math.round(cx + radius * Math.cos(angle)),
+          Math.round(cy + radius * Math.sin(angle))
+        );
+      }
+    },
+  };
+
+  for (let offset = 0; offset + 4 <= bytes.length; ) {
+    const size = view.getUint16(offset, true);
+    const opcode = view.getUint16(offset + 2, true);
+    const end = offset + 2 + size;
+
+    if (size < 2 || end > bytes.length) {
+      throw new NxtError(`Invalid RIC file, opcode at ${offset} is truncated`);
+    }
+
+    const words = [];
+    for (let at = offset + 4; at + 2 <= Math.min(end, offset + 20); at += 2) {
+      words.push(view.getInt16(at, true));
+    }
+
+    if (opcode === RicOpcode.DESCRIPTION) {
+      bitmap = createBitmap(words[1], words[2]);
+    } else if (draw[opcode]) {
+      // Files without a description draw on the whole display
+      if (!bitmap) {
+        bitmap = createBitmap(Display.WIDTH, Display.HEIGHT);
+      }
+
+      draw[opcode](words, offset + 4);
+    }
+
+    offset = end;
+  }
+
+  if (!bitmap) {
+    throw new NxtError("Invalid RIC file, nothing to draw");
+  }
+
+  return bitmap;
+};
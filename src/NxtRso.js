@@ -0,0 +1,272 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtError } from "./NxtError";
+
+/**
+ * Layout of an RSO sound file
+ *
+ * An 8 byte big endian header of four words: the format, the length of the
+ * sample data, the sample rate and the play mode, followed by 8-bit unsigned
+ * mono samples.
+ */
+export const RsoFormat = {
+  HEADER_SIZE: 8,
+  FORMAT: 0x0100, // sampled sound
+  MIN_SAMPLE_RATE: 2000, // Hz
+  MAX_SAMPLE_RATE: 16000, // Hz
+  MAX_DATA_LENGTH: 0xffff, // samples
+};
+
+// WAV sample formats
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Decode a WAV file into a channel of float samples each
+ *
+ * Supports 8, 16, 24 and 32-bit integer and 32-bit float samples.
+ *
+ * @function decodeWav
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {{ sampleRate: number, channels: Float32Array[] }}
+ * @throws {NxtError}
+ */
+export const decodeWav = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const text = (offset) =>
+    String.fromCharCode(...bytes.slice(offset, offset + 4));
+
+  if (bytes.length < 12 || text(0) !== "RIFF" || text(8) !== "WAVE") {
+    throw new NxtError("Invalid WAV file");
+  }
+
+  let format = null;
+  let samples = null;
+
+  // Chunks are padded to an even length
+  for (let offset = 12; offset + 8 <= bytes.length; ) {
+    const id = text(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+
+      if (format.audioFormat === WAVE_FORMAT_EXTENSIBLE) {
+        // The first word of the sub format GUID is the actual format
+        format.audioFormat = view.getUint16(body + 24, true);
+      }
+    } else if (id === "data") {
+      samples = { offset: body, size: Math.min(size, bytes.length - body) };
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (!format || !samples) {
+    throw new NxtError("Invalid WAV file, missing format or data");
+  }
+
+  const { audioFormat, channelCount, sampleRate, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+
+  const read = {
+    [`${WAVE_FORMAT_PCM}/8`]: (at) => (view.getUint8(at) - 128) / 128,
+    [`${WAVE_FORMAT_PCM}/16`]: (at) => view.getInt16(at, true) / 0x8000,
+    [`${WAVE_FORMAT_PCM}/24`]: (at) =>
+      ((view.getInt8(at + 2) << 16) | view.getUint16(at, true)) / 0x800000,
+    [`${WAVE_FORMAT_PCM}/32`]: (at) => view.getInt32(at, true) / 0x80000000,
+    [`${WAVE_FORMAT_IEEE_FLOAT}/32`]: (at) => view.getFloat32(at, true),
+  }[`${audioFormat}/${bitsPerSample}`];
+
+  if (!read || channelCount === 0) {
+    throw new NxtError(
+      `Unsupported WAV format ${audioFormat} with ${bitsPerSample}-bit samples`
+    );
+  }
+
+  const frameCount = Math.floor(samples.size / (bytesPerSample * channelCount));
+
+  const channels = Array.from({ length: channelCount }, (_, channel) => {
+    const channelData = new Float32Array(frameCount);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      channelData[frame] = read(
+        samples.offset + (frame * channelCount + channel) * bytesPerSample
+      );
+    }
+
+    return channelData;
+  });
+
+  return { sampleRate, channels };
+};
+
+/**
+ * Get the channels of any supported input as float samples
+ *
+ * @param {Uint8Array|ArrayBuffer|AudioBuffer|Object} input
+ * @returns {{ sampleRate: number, channels: Float32Array[] }}
+ * @throws {NxtError}
+ */
+const toChannels = (input) => {
+  if (input instanceof ArrayBuffer || input instanceof Uint8Array) {
+    return decodeWav(input);
+  }
+
+  // AudioBuffer of the Web Audio API
+  if (typeof input?.getChannelData === "function") {
+    return {
+      sampleRate: input.sampleRate,
+      channels: Array.from({ length: input.numberOfChannels }, (_, channel) =>
+        input.getChannelData(channel)
+      ),
+    };
+  }
+
+  // Raw interleaved PCM
+  if (input?.samples && input.sampleRate) {
+    const { samples, sampleRate, channelCount = 1 } = input;
+
+    const scale =
+      samples instanceof Int16Array
+        ? (value) => value / 0x8000
+        : samples instanceof Uint8Array
+        ? (value) => (value - 128) / 128
+        : (value) => value;
+
+    const frameCount = Math.floor(samples.length / channelCount);
+
+    return {
+      sampleRate,
+      channels: Array.from({ length: channelCount }, (_, channel) =>
+        Float32Array.from({ length: frameCount }, (_, frame) =>
+          scale(samples[frame * channelCount + channel])
+        )
+      ),
+    };
+  }
+
+  throw new NxtError(
+    "Invalid sound, expected a WAV file, an AudioBuffer or { samples, sampleRate }"
+  );
+};
+
+/**
+ * Resample mono samples
+ *
+ * Downsampling averages the source samples that fall in an output sample,
+ * which filters out most of the frequencies the new rate can't hold.
+ * Upsampling interpolates linearly.
+ *
+ * @param {Float32Array} samples
+ * @param {number} from // Hz
+ * @param {number} to // Hz
+ * @returns {Float32Array}
+ */
+const resample = (samples, from, to) => {
+  if (from === to) {
+    return samples;
+  }
+
+  const ratio = from / to;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+
+    if (ratio > 1) {
+      const start = Math.floor(position);
+      const end = Math.min(Math.floor(position + ratio), samples.length);
+      let sum = 0;
+
+      for (let j = start; j < end; j++) {
+        sum += samples[j];
+      }
+
+      output[i] = sum / Math.max(end - start, 1);
+    } else {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const next = samples[Math.min(index + 1, samples.length - 1)];
+
+      output[i] = samples[index] * (1 - fraction) + next * fraction;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Encode a sound as an RSO file for the brick
+ *
+ * Takes a WAV file, a Web Audio AudioBuffer or raw PCM as
+ * { samples, sampleRate, channelCount }, with Float32Array samples from -1
+ * to 1, Int16Array or 8-bit unsigned Uint8Array samples, interleaved when
+ * there are several channels. The sound is mixed down to mono, resampled and
+ * converted to 8-bit unsigned samples.
+ *
+ * @function encodeRso
+ * @param {Uint8Array|ArrayBuffer|AudioBuffer|Object} input
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate] // Hz, 2000-16000
+ * @param {number} [options.playMode] // play mode word of the header
+ * @returns {Uint8Array}
+ * @throws {NxtError}
+ */
+export const encodeRso = (input, { sampleRate = 8000, playMode = 0 } = {}) => {
+  if (
+    sampleRate < RsoFormat.MIN_SAMPLE_RATE ||
+    sampleRate > RsoFormat.MAX_SAMPLE_RATE
+  ) {
+    throw new NxtError(
+      `Sample rate must be between ${RsoFormat.MIN_SAMPLE_RATE} and ${RsoFormat.MAX_SAMPLE_RATE} Hz`
+    );
+  }
+
+  const { sampleRate: sourceRate, channels } = toChannels(input);
+
+  if (channels.length === 0) {
+    throw new NxtError("Sound has no channels");
+  }
+
+  const mono = new Float32Array(channels[0].length);
+
+  for (const channel of channels) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  }
+
+  const samples = resample(mono, sourceRate, sampleRate);
+
+  if (samples.length > RsoFormat.MAX_DATA_LENGTH) {
+    throw new NxtError(
+      `Sound too long, max ${RsoFormat.MAX_DATA_LENGTH} samples (${(
+        RsoFormat.MAX_DATA_LENGTH / sampleRate
+      ).toFixed(1)} s at ${sampleRate} Hz)`
+    );
+  }
+
+  const rso = new Uint8Array(RsoFormat.HEADER_SIZE + samples.length);
+  const view = new DataView(rso.buffer);
+
+  view.setUint16(0, RsoFormat.FORMAT, false);
+  view.setUint16(2, samples.length, false);
+  view.setUint16(4, sampleRate, false);
+  view.setUint16(6, playMode, false);
+
+  samples.forEach((sample, i) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    rso[RsoFormat.HEADER_SIZE + i] = Math.round((clamped + 1) * 127.5);
+  });
+
+  return rso;
+};
@@ -0,0 +1,203 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtError } from "./NxtError";
+import { FirmwareFlavour } from "./NxtCapabilities";
+
+/**
+ * Layout of an RXE executable
+ *
+ * The file starts with a 38 byte header: a 16 byte format string ending in
+ * the format version, the dataspace header of 9 words, the clump count and
+ * the code word count. It's followed by the dataspace table of contents,
+ * the default data, the clump records and the code.
+ */
+export const RxeFormat = {
+  HEADER_SIZE: 38,
+  FORMAT_STRING: "MindstormsNXT",
+  VERSION_OFFSET: 14, // big endian word, the rest of the header is little endian
+  DATASPACE_OFFSET: 16,
+  DSTOC_ENTRY_SIZE: 4, // bytes per dataspace table of contents entry
+  CLUMP_RECORD_SIZE: 4, // bytes per clump record
+  MAX_POOL_SIZE: 32768, // bytes of RAM the firmware has for the dataspace
+};
+
+/**
+ * Format versions each firmware runs
+ */
+export const RxeFormatVersions = {
+  [FirmwareFlavour.LEGO]: [5],
+  [FirmwareFlavour.ENHANCED]: [5, 6], // 6 adds the enhanced opcodes
+};
+
+/**
+ * Kinds of problems inspectRxe reports
+ */
+export const RxeIssue = {
+  TRUNCATED: "truncated", // the file ends before its sections do
+  CORRUPT: "corrupt", // the header contradicts itself
+  INCOMPATIBLE: "incompatible", // the firmware doesn't run this format version
+};
+
+// Words of the dataspace header, in file order
+const DATASPACE_FIELDS = [
+  "tocCount", // entries in the dataspace table of contents
+  "initialSize", // bytes of RAM the dataspace takes when the program starts
+  "staticSize",
+  "defaultDataSize", // static and dynamic default data in the file
+  "dynamicDefaultOffset", // start of the dynamic defaults in the default data
+  "dynamicDefaultSize",
+  "memoryManagerHead",
+  "memoryManagerTail",
+  "dopeVectorOffset",
+];
+
+/**
+ * Get the bytes of an RXE file
+ *
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {Uint8Array}
+ */
+const toBytes = (data) =>
+  data instanceof Uint8Array ? data : new Uint8Array(data);
+
+/**
+ * Check if a file starts with the format string of an executable
+ *
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+const hasFormatString = (bytes) =>
+  String.fromCharCode(...bytes.slice(0, RxeFormat.FORMAT_STRING.length)) ===
+  RxeFormat.FORMAT_STRING;
+
+/**
+ * Parse the header of an RXE executable
+ *
+ * @function parseRxeHeader
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {{ formatVersion: number, dataspace: Object, clumpCount: number, codeWordCount: number, fileSize: number, minimumSize: number }}
+ * @throws {NxtError} // when the file isn't an RXE executable
+ */
+export const parseRxeHeader = (data) => {
+  const bytes = toBytes(data);
+
+  if (!hasFormatString(bytes)) {
+    throw new NxtError("Invalid file format, not an NXT executable");
+  }
+
+  if (bytes.length < RxeFormat.HEADER_SIZE) {
+    throw new NxtError(
+      `File is truncated, the header needs ${RxeFormat.HEADER_SIZE} bytes but the file has ${bytes.length}`
+    );
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const word = (offset) => view.getUint16(offset, true);
+
+  const dataspace = Object.fromEntries(
+    DATASPACE_FIELDS.map((field, index) => [
+      field,
+      word(RxeFormat.DATASPACE_OFFSET + index * 2),
+    ])
+  );
+
+  const clumpCount = word(34);
+  const codeWordCount = word(36);
+
+  return {
+    formatVersion: view.getUint16(RxeFormat.VERSION_OFFSET, false),
+    dataspace,
+    clumpCount,
+    codeWordCount,
+    fileSize: bytes.length,
+    // Sections without the padding between them
+    minimumSize:
+      RxeFormat.HEADER_SIZE +
+      dataspace.tocCount * RxeFormat.DSTOC_ENTRY_SIZE +
+      dataspace.defaultDataSize +
+      clumpCount * RxeFormat.CLUMP_RECORD_SIZE +
+      codeWordCount * 2,
+  };
+};
+
+/**
+ * Check an RXE executable before it is uploaded
+ *
+ * Reports files that are truncated or corrupt, and with a firmware flavour
+ * also files that firmware can't run.
+ *
+ * @function inspectRxe
+ * @param {Uint8Array|ArrayBuffer} data
+ * @param {Object} [options]
+ * @param {string} [options.flavour] // FirmwareFlavour of the brick
+ * @returns {{ valid: boolean, header: Object|null, issues: { type: string, message: string }[] }}
+ */
+export const inspectRxe = (data, { flavour } = {}) => {
+  let header;
+
+  try {
+    header = parseRxeHeader(data);
+  } catch (error) {
+    const type = hasFormatString(toBytes(data))
+      ? RxeIssue.TRUNCATED
+      : RxeIssue.CORRUPT;
+
+    return {
+      valid: false,
+      header: null,
+      issues: [{ type, message: error.message }],
+    };
+  }
+
+  const { formatVersion, dataspace, clumpCount, codeWordCount } = header;
+  const issues = [];
+  const issue = (type, message) => issues.push({ type, message });
+
+  if (header.fileSize < header.minimumSize) {
+    issue(
+      RxeIssue.TRUNCATED,
+      `File is truncated, the header describes at least ${header.minimumSize} bytes but the file has ${header.fileSize}`
+    );
+  }
+
+  if (clumpCount === 0 || codeWordCount === 0) {
+    issue(RxeIssue.CORRUPT, "Program has no code");
+  }
+
+  if (
+    dataspace.dynamicDefaultOffset + dataspace.dynamicDefaultSize >
+    dataspace.defaultDataSize
+  ) {
+    issue(
+      RxeIssue.CORRUPT,
+      "Dynamic default data lies outside the default data"
+    );
+  }
+
+  if (dataspace.staticSize > dataspace.initialSize) {
+    issue(
+      RxeIssue.CORRUPT,
+      "Static dataspace is larger than the whole dataspace"
+    );
+  }
+
+  if (dataspace.initialSize > RxeFormat.MAX_POOL_SIZE) {
+    issue(
+      RxeIssue.INCOMPATIBLE,
+      `Dataspace needs ${dataspace.initialSize} bytes, the brick has ${RxeFormat.MAX_POOL_SIZE}`
+    );
+  }
+
+  const versions = RxeFormatVersions[flavour];
+
+  if (versions && !versions.includes(formatVersion)) {
+    issue(
+      RxeIssue.INCOMPATIBLE,
+      `File format version ${formatVersion} doesn't run on the ${flavour} firmware, it runs version ${versions.join(
+        " and "
+      )}`
+    );
+  }
+
+  return { valid: issues.length === 0, header, issues };
+};
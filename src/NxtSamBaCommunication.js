@@ -0,0 +1,134 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import NxtCommunication from "./NxtCommunication";
+import { NxtTransportError } from "./NxtError";
+
+const ATMEL_VENDOR_ID = 0x03eb;
+const SAMBA_PRODUCT_ID = 0x6124;
+
+// The bootloader is a CDC device, the data interface has the bulk endpoints
+const DATA_INTERFACE = 1;
+const ENDPOINT_OUT = 1;
+const ENDPOINT_IN = 2;
+
+/**
+ * Represents the USB interface of a brick in firmware update mode
+ *
+ * In this mode the brick runs the SAM-BA bootloader of its AT91SAM7
+ * microcontroller instead of the NXT firmware, see NxtFirmwareUpdater.
+ *
+ * @extends NxtCommunication
+ */
+class NxtSamBaCommunication extends NxtCommunication {
+  constructor() {
+    super();
+    this.device = null;
+  }
+
+  /**
+   * Connect to a brick in firmware update mode
+   *
+   * @async
+   * @function connect
+   * @memberof NxtSamBaCommunication
+   * @returns {Promise<void>}
+   * @throws {NxtTransportError}
+   */
+  async connect() {
+    const usb = await this._getUsb();
+
+    const device = await usb.requestDevice({
+      filters: [{ vendorId: ATMEL_VENDOR_ID, productId: SAMBA_PRODUCT_ID }],
+    });
+
+    await device.open();
+
+    if (device.configuration === null) {
+      await device.selectConfiguration(1);
+    }
+
+    await device.claimInterface(DATA_INTERFACE);
+
+    this.device = device;
+  }
+
+  /**
+   * Release the interface and close the device
+   *
+   * @async
+   * @function disconnect
+   * @memberof NxtSamBaCommunication
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    const device = this.device;
+    this.device = null;
+
+    if (device?.opened) {
+      // The device is gone already after jumping to the new firmware
+      await device.releaseInterface(DATA_INTERFACE).catch(() => {});
+      await device.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Get the WebUSB implementation to request the device from
+   *
+   * @protected
+   * @async
+   * @function _getUsb
+   * @memberof NxtSamBaCommunication
+   * @returns {Promise<USB>}
+   * @throws {NxtTransportError}
+   */
+  async _getUsb() {
+    if (typeof navigator === "undefined" || !navigator.usb) {
+      throw new NxtTransportError("WebUSB is not supported");
+    }
+
+    return navigator.usb;
+  }
+
+  /**
+   * Send a command or data to the bootloader
+   *
+   * @async
+   * @function sendCommand
+   * @memberof NxtSamBaCommunication
+   * @param {Uint8Array} command
+   * @returns {Promise<void>}
+   * @throws {NxtTransportError}
+   */
+  async sendCommand(command) {
+    if (!this.device) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    await this.device.transferOut(ENDPOINT_OUT, command);
+  }
+
+  /**
+   * Receive data from the bootloader
+   *
+   * @async
+   * @function receiveData
+   * @memberof NxtSamBaCommunication
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtTransportError}
+   */
+  async receiveData() {
+    if (!this.device) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const result = await this.device.transferIn(ENDPOINT_IN, 64);
+
+    if (!result.data) {
+      throw new NxtTransportError("No data received");
+    }
+
+    return new Uint8Array(result.data.buffer);
+  }
+}
+
+export default NxtSamBaCommunication;
@@ -0,0 +1,133 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import EventEmitter from "./EventEmitter";
+import { NxtTransportError } from "./NxtError";
+import { Display, createBitmap } from "./NxtBitmap";
+
+/**
+ * Layout of the display in the IO map of the display module
+ *
+ * The screen is 8 lines of 100 bytes, each byte a column of 8 pixels with
+ * the least significant bit at the top.
+ */
+export const DisplayMap = {
+  NORMAL_OFFSET: 119, // screen shown outside of popups
+  SIZE: 800,
+  LINE_HEIGHT: 8,
+};
+
+/**
+ * Buttons of the brick, as written to the button field of the UI module
+ */
+export const Button = {
+  LEFT: 1,
+  ENTER: 2, // orange button
+  RIGHT: 3,
+  EXIT: 4, // dark grey button, cancels
+};
+
+/**
+ * Layout of the IO map of the UI module
+ */
+export const UiMap = {
+  BUTTON_OFFSET: 28, // simulated button press, cleared when handled
+};
+
+/**
+ * Decode the display memory into a bitmap
+ *
+ * @function decodeFramebuffer
+ * @param {Uint8Array} data // 800 bytes, see DisplayMap
+ * @returns {{ width: number, height: number, pixels: Uint8Array }}
+ */
+export const decodeFramebuffer = (data) => {
+  const bitmap = createBitmap(Display.WIDTH, Display.HEIGHT);
+
+  for (let y = 0; y < Display.HEIGHT; y++) {
+    const line = Math.floor(y / DisplayMap.LINE_HEIGHT);
+    const mask = 1 << y % DisplayMap.LINE_HEIGHT;
+
+    for (let x = 0; x < Display.WIDTH; x++) {
+      bitmap.pixels[y * Display.WIDTH + x] =
+        data[line * Display.WIDTH + x] & mask ? 1 : 0;
+    }
+  }
+
+  return bitmap;
+};
+
+/**
+ * Polls the display of the brick
+ *
+ * Emits "frame" with a bitmap when the screen changed, the first frame
+ * always. Emits "error" when reading fails, polling stops after a transport
+ * error.
+ */
+export class NxtScreenMirror extends EventEmitter {
+  /**
+   * @param {Nxt} nxt
+   * @param {Object} [options]
+   * @param {number} [options.interval] // time in ms between reads
+   */
+  constructor(nxt, { interval = 250 } = {}) {
+    super();
+    this.nxt = nxt;
+    this.interval = interval;
+    this.stopped = false;
+    this.timer = null;
+    this.frame = null; // last bitmap
+
+    this._poll();
+  }
+
+  /**
+   * Stop polling
+   *
+   * @function stop
+   * @memberof NxtScreenMirror
+   * @returns {void}
+   */
+  stop() {
+    if (this.stopped) {
+      return;
+    }
+
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.emit("stop");
+  }
+
+  /**
+   * Read the screen and schedule the next read
+   *
+   * @private
+   * @async
+   * @function _poll
+   * @memberof NxtScreenMirror
+   * @returns {Promise<void>}
+   */
+  async _poll() {
+    try {
+      const frame = await this.nxt.captureScreen();
+
+      if (
+        !this.stopped &&
+        (!this.frame ||
+          frame.pixels.some((pixel, i) => pixel !== this.frame.pixels[i]))
+      ) {
+        this.frame = frame;
+        this.emit("frame", frame);
+      }
+    } catch (error) {
+      this.emit("error", error);
+
+      if (error instanceof NxtTransportError) {
+        this.stop();
+      }
+    }
+
+    if (!this.stopped) {
+      this.timer = setTimeout(() => this._poll(), this.interval);
+    }
+  }
+}
@@ -0,0 +1,289 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { sleep } from "./util";
+import { NxtError } from "./NxtError";
+
+/**
+ * Input ports, sensor port 1 is 0
+ */
+export const InputPort = {
+  S1: 0x00,
+  S2: 0x01,
+  S3: 0x02,
+  S4: 0x03,
+};
+
+/**
+ * Sensor types
+ */
+export const SensorType = {
+  NO_SENSOR: 0x00,
+  SWITCH: 0x01,
+  TEMPERATURE: 0x02,
+  REFLECTION: 0x03,
+  ANGLE: 0x04,
+  LIGHT_ACTIVE: 0x05, // light sensor with floodlight on
+  LIGHT_INACTIVE: 0x06, // light sensor with floodlight off
+  SOUND_DB: 0x07,
+  SOUND_DBA: 0x08, // sound sensor adjusted to human hearing
+  CUSTOM: 0x09,
+  LOWSPEED: 0x0a, // I2C
+  LOWSPEED_9V: 0x0b, // I2C with 9V power, used by the ultrasonic sensor
+};
+
+/**
+ * Sensor modes, determine how the scaled value is calculated
+ */
+export const SensorMode = {
+  RAW: 0x00,
+  BOOLEAN: 0x20,
+  TRANSITION_COUNT: 0x40,
+  PERIOD_COUNTER: 0x60,
+  PERCENT_FULL_SCALE: 0x80,
+  CELSIUS: 0xa0,
+  FAHRENHEIT: 0xc0,
+  ANGLE_STEPS: 0xe0,
+};
+
+/**
+ * Represents a sensor connected to one of the input ports
+ *
+ * Reads raw analog values when used directly, the subclasses configure the
+ * type and mode for a specific sensor.
+ */
+export class NxtSensor {
+  /**
+   * @param {Nxt} nxt
+   * @param {number} port // InputPort.S1 to S4
+   * @param {number} [type] // SensorType
+   * @param {number} [mode] // SensorMode
+   */
+  constructor(nxt, port, type = SensorType.CUSTOM, mode = SensorMode.RAW) {
+    this.nxt = nxt;
+    this.port = port;
+    this.type = type;
+    this.mode = mode;
+    this.isSetUp = false;
+  }
+
+  /**
+   * Configure the input port with the type and mode of this sensor
+   *
+   * Called automatically on the first read.
+   *
+   * @async
+   * @function setup
+   * @memberof NxtSensor
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async setup() {
+    await this.nxt.setInputMode(this.port, this.type, this.mode);
+    this.isSetUp = true;
+  }
+
+  /**
+   * Change the type and mode of the sensor
+   *
+   * @async
+   * @function setMode
+   * @memberof NxtSensor
+   * @param {number} type // SensorType
+   * @param {number} mode // SensorMode
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async setMode(type, mode) {
+    this.type = type;
+    this.mode = mode;
+    await this.setup();
+  }
+
+  /**
+   * Get the input values of the sensor
+   *
+   * Waits for a valid reading, which can take a moment after changing the
+   * sensor type.
+   *
+   * @async
+   * @function getValues
+   * @memberof NxtSensor
+   * @param {Object} [options]
+   * @param {number} [options.retries] // amount of times to retry an invalid reading
+   * @param {number} [options.retryDelay] // time in ms between retries
+   * @returns {Promise<{ port: number, valid: boolean, calibrated: boolean, type: number, mode: number, rawValue: number, normalizedValue: number, scaledValue: number, calibratedValue: number }>}
+   * @throws {NxtError}
+   */
+  async getValues({ retries = 10, retryDelay = 10 } = {}) {
+    if (!this.isSetUp) {
+      await this.setup();
+    }
+
+    let values = await this.nxt.getInputValues(this.port);
+
+    for (let i = 0; i < retries && !values.valid; i++) {
+      await sleep(retryDelay);
+      values = await this.nxt.getInputValues(this.port);
+    }
+
+    if (!values.valid) {
+      throw new NxtError("Sensor did not return a valid reading");
+    }
+
+    return values;
+  }
+
+  /**
+   * Get the raw 10-bit value (0-1023) of the sensor
+   *
+   * @async
+   * @function getRawValue
+   * @memberof NxtSensor
+   * @returns {Promise<number>}
+   * @throws {NxtError}
+   */
+  async getRawValue() {
+    const values = await this.getValues();
+    return values.rawValue;
+  }
+
+  /**
+   * Get the value of the sensor scaled according to its mode
+   *
+   * @async
+   * @function getScaledValue
+   * @memberof NxtSensor
+   * @returns {Promise<number>}
+   * @throws {NxtError}
+   */
+  async getScaledValue() {
+    const values = await this.getValues();
+    return values.scaledValue;
+  }
+
+  /**
+   * Reset the scaled value, e.g. to restart counting transitions
+   *
+   * @async
+   * @function resetScaledValue
+   * @memberof NxtSensor
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async resetScaledValue() {
+    await this.nxt.resetInputScaledValue(this.port);
+  }
+}
+
+/**
+ * Represents a touch sensor
+ *
+ * @extends NxtSensor
+ */
+export class TouchSensor extends NxtSensor {
+  /**
+   * @param {Nxt} nxt
+   * @param {number} port // InputPort.S1 to S4
+   */
+  constructor(nxt, port) {
+    super(nxt, port, SensorType.SWITCH, SensorMode.BOOLEAN);
+  }
+
+  /**
+   * Check if the touch sensor is pressed
+   *
+   * @async
+   * @function isPressed
+   * @memberof TouchSensor
+   * @returns {Promise<boolean>}
+   * @throws {NxtError}
+   */
+  async isPressed() {
+    return (await this.getScaledValue()) === 1;
+  }
+}
+
+/**
+ * Represents a light sensor
+ *
+ * @extends NxtSensor
+ */
+export class LightSensor extends NxtSensor {
+  /**
+   * @param {Nxt} nxt
+   * @param {number} port // InputPort.S1 to S4
+   * @param {boolean} [floodlight] // turn the red LED on to measure reflected light
+   */
+  constructor(nxt, port, floodlight = true) {
+    super(
+      nxt,
+      port,
+      floodlight ? SensorType.LIGHT_ACTIVE : SensorType.LIGHT_INACTIVE,
+      SensorMode.PERCENT_FULL_SCALE
+    );
+  }
+
+  /**
+   * Turn the floodlight on or off
+   *
+   * @async
+   * @function setFloodlight
+   * @memberof LightSensor
+   * @param {boolean} on
+   * @returns {Promise<void>}
+   * @throws {NxtError}
+   */
+  async setFloodlight(on) {
+    await this.setMode(
+      on ? SensorType.LIGHT_ACTIVE : SensorType.LIGHT_INACTIVE,
+      this.mode
+    );
+  }
+
+  /**
+   * Get the light level in percent (0-100)
+   *
+   * @async
+   * @function getLightLevel
+   * @memberof LightSensor
+   * @returns {Promise<number>}
+   * @throws {NxtError}
+   */
+  async getLightLevel() {
+    return this.getScaledValue();
+  }
+}
+
+/**
+ * Represents a sound sensor
+ *
+ * @extends NxtSensor
+ */
+export class SoundSensor extends NxtSensor {
+  /**
+   * @param {Nxt} nxt
+   * @param {number} port // InputPort.S1 to S4
+   * @param {boolean} [adjusted] // measure dBA, adjusted to human hearing, instead of dB
+   */
+  constructor(nxt, port, adjusted = true) {
+    super(
+      nxt,
+      port,
+      adjusted ? SensorType.SOUND_DBA : SensorType.SOUND_DB,
+      SensorMode.PERCENT_FULL_SCALE
+    );
+  }
+
+  /**
+   * Get the sound level in percent (0-100)
+   *
+   * @async
+   * @function getSoundLevel
+   * @memberof SoundSensor
+   * @returns {Promise<number>}
+   * @throws {NxtError}
+   */
+  async getSoundLevel() {
+    return this.getScaledValue();
+  }
+}
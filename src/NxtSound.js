@@ -0,0 +1,179 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { NxtError } from "./NxtError";
+
+/**
+ * Limits of the tone generator
+ */
+export const ToneLimit = {
+  MIN_FREQUENCY: 200, // Hz
+  MAX_FREQUENCY: 14000, // Hz
+  MAX_DURATION: 0xffff, // ms
+};
+
+// Semitones of the natural notes above C
+const SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Get the frequency of a note name like "A4", "C#5" or "Bb3"
+ *
+ * Uses equal temperament with A4 at 440 Hz, rounded to whole Hz.
+ *
+ * @function noteFrequency
+ * @param {string} note
+ * @returns {number}
+ * @throws {NxtError}
+ */
+export const noteFrequency = (note) => {
+  const match = /^([A-G])([#b]?)(-?\d)$/.exec(note.trim());
+
+  if (!match) {
+    throw new NxtError(`Invalid note "${note}"`);
+  }
+
+  const [, name, accidental, octave] = match;
+  const semitone =
+    SEMITONES[name] + (accidental === "#" ? 1 : accidental === "b" ? -1 : 0);
+
+  // MIDI number, A4 is 69
+  const midi = (Number(octave) + 1) * 12 + semitone;
+
+  return Math.round(440 * 2 ** ((midi - 69) / 12));
+};
+
+/**
+ * Parse a melody into tones and rests
+ *
+ * The notation is a comma separated list of a note and its value, e.g.
+ * "C4 8, E4 8, G4 4" for two eighth notes and a quarter note. A dot makes a
+ * note dotted ("G4 4."), and R is a rest ("R 4"). The list can also be an
+ * array of such strings, of { note, value } objects, or of
+ * { frequency, duration } objects with the duration in ms.
+ *
+ * @function parseMelody
+ * @param {string|Array<string|{ note: string|null, value: number|string }|{ frequency: number|null, duration: number }>} melody
+ * @param {Object} [options]
+ * @param {number} [options.tempo] // quarter notes per minute
+ * @returns {{ frequency: number|null, duration: number }[]} // frequency null for a rest
+ * @throws {NxtError}
+ */
+export const parseMelody = (melody, { tempo = 120 } = {}) => {
+  const items = typeof melody === "string" ? melody.split(",") : melody;
+  const quarter = 60000 / tempo;
+
+  return items
+    .filter((item) => typeof item !== "string" || item.trim() !== "")
+    .map((item) => {
+      if (typeof item === "object" && "duration" in item) {
+        return { frequency: item.frequency ?? null, duration: item.duration };
+      }
+
+      let note;
+      let value;
+
+      if (typeof item === "string") {
+        [note, value = "4"] = item.trim().split(/\s+/);
+      } else {
+        ({ note, value = 4 } = item);
+      }
+
+      const dotted = String(value).endsWith(".");
+      const denominator = parseFloat(value);
+
+      if (!(denominator > 0)) {
+        throw new NxtError(`Invalid note value "${value}"`);
+      }
+
+      const isRest = note === null || /^[R-]$/i.test(note);
+
+      return {
+        frequency: isRest ? null : noteFrequency(note),
+        duration: Math.round((4 / denominator) * quarter * (dotted ? 1.5 : 1)),
+      };
+    })
+    .map((tone) => {
+      if (
+        tone.frequency !== null &&
+        (tone.frequency < ToneLimit.MIN_FREQUENCY ||
+          tone.frequency > ToneLimit.MAX_FREQUENCY)
+      ) {
+        throw new NxtError(
+          `Frequency ${tone.frequency} Hz is outside the range of the brick, ${ToneLimit.MIN_FREQUENCY}-${ToneLimit.MAX_FREQUENCY} Hz`
+        );
+      }
+
+      return tone;
+    });
+};
+
+/**
+ * Wait until a point in time, rejecting when the signal is aborted
+ *
+ * @param {number} time // Date.now() based
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const waitUntil = (time, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, Math.max(time - Date.now(), 0));
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Play a melody on the brick
+ *
+ * Each tone starts at its scheduled time, so the time it takes to send a
+ * command doesn't add up over the melody. Aborting the signal stops the
+ * tone that is playing.
+ *
+ * @async
+ * @function playMelody
+ * @param {Nxt} nxt
+ * @param {string|Array} melody // see parseMelody
+ * @param {Object} [options]
+ * @param {number} [options.tempo] // quarter notes per minute
+ * @param {number} [options.gap] // silence in ms at the end of each note, so repeated notes can be told apart
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<void>}
+ * @throws {NxtError}
+ */
+export const playMelody = async (
+  nxt,
+  melody,
+  { tempo, gap = 20, signal } = {}
+) => {
+  const tones = parseMelody(melody, { tempo });
+
+  signal?.throwIfAborted();
+
+  let time = Date.now();
+
+  try {
+    for (const { frequency, duration } of tones) {
+      await waitUntil(time, signal);
+
+      if (frequency !== null) {
+        await nxt.playTone(frequency, Math.max(duration - gap, 1));
+      }
+
+      time += duration;
+    }
+
+    await waitUntil(time, signal);
+  } catch (error) {
+    if (signal?.aborted) {
+      await nxt.stopSoundPlayback().catch(() => {});
+    }
+
+    throw error;
+  }
+};
@@ -0,0 +1,384 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import EventEmitter from "./EventEmitter";
+import { NxtError, NxtTransportError } from "./NxtError";
+import { InputPort } from "./NxtSensor";
+import { OutputPort } from "./NxtMotor";
+
+/**
+ * Turn a source description into the function that reads it
+ *
+ * A source is "battery", an input port name ("S1"-"S4"), an output port name
+ * ("A"-"C"), or an object { type: "input"|"output"|"battery", port, fields,
+ * key }. Fields picks values of the reply, all values by default.
+ *
+ * @param {string|Object} source
+ * @returns {{ key: string, read: function(Nxt): Promise<*> }}
+ * @throws {NxtError}
+ */
+const parseSource = (source) => {
+  if (typeof source === "string") {
+    if (source === "battery") {
+      source = { type: "battery" };
+    } else if (source in InputPort) {
+      source = { type: "input", port: InputPort[source], key: source };
+    } else if (source in OutputPort && source !== "ALL") {
+      source = { type: "output", port: OutputPort[source], key: source };
+    } else {
+      throw new NxtError(`Invalid telemetry source "${source}"`);
+    }
+  }
+
+  const { type, port, fields } = source;
+
+  const pick = (values) => {
+    const { port, ...rest } = values;
+
+    return fields
+      ? Object.fromEntries(fields.map((field) => [field, rest[field]]))
+      : rest;
+  };
+
+  switch (type) {
+    case "battery":
+      return {
+        key: source.key ?? "battery",
+        read: (nxt) => nxt.getBatteryLevel(),
+      };
+    case "input":
+      return {
+        key: source.key ?? `S${port + 1}`,
+        read: async (nxt) => pick(await nxt.getInputValues(port)),
+      };
+    case "output":
+      return {
+        key: source.key ?? "ABC"[port],
+        read: async (nxt) => pick(await nxt.getOutputState(port)),
+      };
+    default:
+      throw new NxtError(`Invalid telemetry source type "${type}"`);
+  }
+};
+
+/**
+ * Flatten a sample into columns, e.g. { S1: { rawValue } } to "S1.rawValue"
+ *
+ * @param {Object} object
+ * @param {string} [prefix]
+ * @returns {Object}
+ */
+const flatten = (object, prefix = "") =>
+  Object.entries(object).reduce((columns, [key, value]) => {
+    if (value !== null && typeof value === "object") {
+      return { ...columns, ...flatten(value, `${prefix}${key}.`) };
+    }
+
+    return { ...columns, [`${prefix}${key}`]: value };
+  }, {});
+
+/**
+ * Polls sensors, motors and the battery at a target rate
+ *
+ * Emits "sample" with { timestamp, elapsed, ...values } for every round, the
+ * values keyed by source, e.g. sample.S1.scaledValue or sample.battery.
+ * A round only starts when the previous one is done, so a slow connection
+ * lowers the rate instead of piling up commands. Rounds that were skipped
+ * this way are counted in overruns.
+ *
+ * Emits "error" when reading fails, the value of that source is null in the
+ * sample. Polling stops after a transport error. Can also be used as an async
+ * iterator, which pauses polling when the consumer falls behind:
+ *
+ *   for await (const sample of telemetry) { ... }
+ *
+ * Breaking out of the loop only ends that iterator, polling goes on for the
+ * other iterators, listeners and recordings until stop is called.
+ */
+export class NxtTelemetry extends EventEmitter {
+  /**
+   * @param {Nxt} nxt
+   * @param {Array<string|Object>} sources // see parseSource
+   * @param {Object} [options]
+   * @param {number} [options.rate] // target samples per second
+   * @param {number} [options.bufferSize] // samples an async iterator buffers before polling pauses
+   */
+  constructor(nxt, sources, { rate = 10, bufferSize = 100 } = {}) {
+    super();
+
+    if (!(rate > 0)) {
+      throw new NxtError("Rate must be greater than 0");
+    }
+
+    this.nxt = nxt;
+    this.sources = sources.map(parseSource);
+    this.interval = 1000 / rate;
+    this.bufferSize = bufferSize;
+
+    this.stopped = false;
+    this.timer = null;
+    this.startTime = Date.now();
+    this.nextTime = this.startTime;
+    this.sampleCount = 0;
+    this.overruns = 0;
+
+    // Buffers of the async iterators, polling waits while one is full
+    this.buffers = new Set();
+    this.drained = null;
+
+    this._poll();
+  }
+
+  /**
+   * Stop polling, ends the async iterators and recordings
+   *
+   * @function stop
+   * @memberof NxtTelemetry
+   * @returns {void}
+   */
+  stop() {
+    if (this.stopped) {
+      return;
+    }
+
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this._drain();
+    this.emit("stop");
+  }
+
+  /**
+   * Read every source, emit the sample and schedule the next round
+   *
+   * @private
+   * @async
+   * @function _poll
+   * @memberof NxtTelemetry
+   * @returns {Promise<void>}
+   */
+  async _poll() {
+    const timestamp = Date.now();
+    const sample = { timestamp, elapsed: timestamp - this.startTime };
+
+    for (const { key, read } of this.sources) {
+      if (this.stopped) {
+        return;
+      }
+
+      try {
+        sample[key] = await read(this.nxt);
+      } catch (error) {
+        sample[key] = null;
+        this.emit("error", error);
+
+        if (error instanceof NxtTransportError) {
+          this.stop();
+          return;
+        }
+      }
+    }
+
+    this.sampleCount++;
+    this.emit("sample", sample);
+
+    // Backpressure, wait for the iterators to catch up
+    while (
+      !this.stopped &&
+      [...this.buffers].some((buffer) => buffer.length >= this.bufferSize)
+    ) {
+      await new Promise((resolve) => {
+        this.drained = resolve;
+      });
+    }
+
+    if (this.stopped) {
+      return;
+    }
+
+    const now = Date.now();
+    this.nextTime += this.interval;
+
+    if (this.nextTime < now) {
+      this.overruns += Math.ceil((now - this.nextTime) / this.interval);
+      this.nextTime = now;
+    }
+
+    this.timer = setTimeout(() => this._poll(), this.nextTime - now);
+  }
+
+  /**
+   * Continue polling after an iterator took a sample
+   *
+   * @private
+   * @function _drain
+   * @memberof NxtTelemetry
+   * @returns {void}
+   */
+  _drain() {
+    if (this.drained) {
+      const resolve = this.drained;
+      this.drained = null;
+      resolve();
+    }
+  }
+
+  /**
+   * Record samples until stopped
+   *
+   * @function record
+   * @memberof NxtTelemetry
+   * @param {Object} [options]
+   * @param {number} [options.maxSamples] // stop recording after this many samples
+   * @returns {NxtTelemetryRecording}
+   */
+  record({ maxSamples = Infinity } = {}) {
+    return new NxtTelemetryRecording(this, { maxSamples });
+  }
+
+  /**
+   * Iterate over samples until polling stops
+   *
+   * A transport error is thrown from the iterator.
+   *
+   * @function [Symbol.asyncIterator]
+   * @memberof NxtTelemetry
+   * @returns {AsyncIterator<Object>}
+   */
+  [Symbol.asyncIterator]() {
+    const buffer = [];
+    let waiting = null;
+    let failure = null;
+    let finished = false;
+
+    const wake = () => {
+      if (waiting) {
+        const resolve = waiting;
+        waiting = null;
+        resolve();
+      }
+    };
+
+    this.buffers.add(buffer);
+
+    const unsubscribe = [
+      this.on("sample", (sample) => {
+        buffer.push(sample);
+        wake();
+      }),
+      this.on("error", (error) => {
+        if (error instanceof NxtTransportError) {
+          failure = error;
+        }
+      }),
+      this.on("stop", wake),
+    ];
+
+    const done = () => {
+      if (!finished) {
+        finished = true;
+        buffer.length = 0;
+        unsubscribe.forEach((off) => off());
+        this.buffers.delete(buffer);
+        this._drain();
+        wake();
+      }
+
+      return { value: undefined, done: true };
+    };
+
+    return {
+      next: async () => {
+        if (finished) {
+          return done();
+        }
+
+        while (buffer.length === 0 && !this.stopped && !finished) {
+          await new Promise((resolve) => {
+            waiting = resolve;
+          });
+        }
+
+        if (buffer.length > 0) {
+          const sample = buffer.shift();
+          this._drain();
+          return { value: sample, done: false };
+        }
+
+        if (failure) {
+          done();
+          throw failure;
+        }
+
+        return done();
+      },
+      // Only this iterator ends, polling goes on for the others
+      return: async () => done(),
+    };
+  }
+}
+
+/**
+ * Samples recorded from telemetry, which can be saved as CSV or JSON
+ */
+export class NxtTelemetryRecording {
+  /**
+   * @param {NxtTelemetry} telemetry
+   * @param {Object} [options]
+   * @param {number} [options.maxSamples]
+   */
+  constructor(telemetry, { maxSamples = Infinity } = {}) {
+    this.samples = [];
+    this.recording = true;
+
+    this.unsubscribe = [
+      telemetry.on("sample", (sample) => {
+        this.samples.push(sample);
+
+        if (this.samples.length >= maxSamples) {
+          this.stop();
+        }
+      }),
+      telemetry.on("stop", () => this.stop()),
+    ];
+  }
+
+  /**
+   * Stop recording, the telemetry keeps polling
+   *
+   * @function stop
+   * @memberof NxtTelemetryRecording
+   * @returns {void}
+   */
+  stop() {
+    this.recording = false;
+    this.unsubscribe.forEach((off) => off());
+  }
+
+  /**
+   * The samples as CSV, with a column per value like "S1.scaledValue"
+   *
+   * @function toCSV
+   * @memberof NxtTelemetryRecording
+   * @returns {string}
+   */
+  toCSV() {
+    const rows = this.samples.map((sample) => flatten(sample));
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+    const lines = rows.map((row) =>
+      columns.map((column) => row[column] ?? "").join(",")
+    );
+
+    return [columns.join(","), ...lines].join("\n") + "\n";
+  }
+
+  /**
+   * The samples, so JSON.stringify(recording) gives the recording as JSON
+   *
+   * @function toJSON
+   * @memberof NxtTelemetryRecording
+   * @returns {Object[]}
+   */
+  toJSON() {
+    return this.samples;
+  }
+}
@@ -1,6 +1,10 @@
 // BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
 
 import NxtCommunication from "./NxtCommunication";
+import { NxtTransportError } from "./NxtError";
+
+const LEGO_VENDOR_ID = 0x0694;
+const NXT_PRODUCT_ID = 0x0002;
 
 /**
  * Represents the USB interface
@@ -11,6 +15,13 @@ class NxtUsbCommunication extends NxtCommunication {
   constructor() {
     super();
     this.device = null;
+    this.usb = null;
+
+    // Serial number of the last connected brick, to find it again
+    this.serialNumber = null;
+
+    this._onUsbConnect = this._onUsbConnect.bind(this);
+    this._onUsbDisconnect = this._onUsbDisconnect.bind(this);
   }
 
   /**
@@ -20,20 +31,150 @@ class NxtUsbCommunication extends NxtCommunication {
    * @function connect
    * @memberof NxtUsbCommunication
    * @returns {Promise<void>}
-   * @throws {Error}
+   * @throws {NxtTransportError}
    */
   async connect() {
-    this.device = await navigator.usb.requestDevice({
-      filters: [{ vendorId: 0x0694 }], // LEGO
+    const usb = await this._getUsb();
+
+    const device = await usb.requestDevice({
+      filters: [{ vendorId: LEGO_VENDOR_ID }], // LEGO
     });
 
-    await this.device.open();
+    await this._open(usb, device);
+  }
+
+  /**
+   * Connect to a brick that was chosen before, without prompting the user
+   *
+   * Prefers the brick that was connected last.
+   *
+   * @async
+   * @function reconnect
+   * @memberof NxtUsbCommunication
+   * @returns {Promise<void>}
+   * @throws {NxtTransportError}
+   */
+  async reconnect() {
+    const usb = this.usb ?? (await this._getUsb());
+
+    const bricks = (await usb.getDevices()).filter(
+      (device) =>
+        device.vendorId === LEGO_VENDOR_ID &&
+        device.productId === NXT_PRODUCT_ID
+    );
+
+    const device =
+      bricks.find((brick) => brick.serialNumber === this.serialNumber) ??
+      bricks[0];
+
+    if (!device) {
+      throw new NxtTransportError("No previously connected brick found");
+    }
+
+    await this._open(usb, device);
+  }
+
+  /**
+   * Release the interface and close the device
+   *
+   * @async
+   * @function disconnect
+   * @memberof NxtUsbCommunication
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.usb?.removeEventListener("connect", this._onUsbConnect);
+    this.usb?.removeEventListener("disconnect", this._onUsbDisconnect);
+
+    const device = this.device;
+    this.device = null;
 
-    if (this.device.configuration === null) {
-      await this.device.selectConfiguration(1);
+    if (device?.opened) {
+      // The device may be gone already, e.g. when the cable was pulled
+      await device.releaseInterface(0).catch(() => {});
+      await device.close().catch(() => {});
     }
+  }
 
-    await this.device.claimInterface(0);
+  /**
+   * Open a device and listen for it being unplugged and plugged back in
+   *
+   * @private
+   * @async
+   * @function _open
+   * @memberof NxtUsbCommunication
+   * @param {USB} usb
+   * @param {USBDevice} device
+   * @returns {Promise<void>}
+   */
+  async _open(usb, device) {
+    await device.open();
+
+    if (device.configuration === null) {
+      await device.selectConfiguration(1);
+    }
+
+    await device.claimInterface(0);
+
+    this.usb = usb;
+    this.device = device;
+    this.serialNumber = device.serialNumber;
+
+    usb.addEventListener("connect", this._onUsbConnect);
+    usb.addEventListener("disconnect", this._onUsbDisconnect);
+  }
+
+  /**
+   * Get the WebUSB implementation to request the device from
+   *
+   * @protected
+   * @async
+   * @function _getUsb
+   * @memberof NxtUsbCommunication
+   * @returns {Promise<USB>}
+   * @throws {NxtTransportError}
+   */
+  async _getUsb() {
+    if (typeof navigator === "undefined" || !navigator.usb) {
+      throw new NxtTransportError("WebUSB is not supported");
+    }
+
+    return navigator.usb;
+  }
+
+  /**
+   * Emit "connect" when an NXT is plugged in while disconnected
+   *
+   * @private
+   * @function _onUsbConnect
+   * @memberof NxtUsbCommunication
+   * @param {USBConnectionEvent} event
+   * @returns {void}
+   */
+  _onUsbConnect(event) {
+    if (
+      !this.device &&
+      event.device.vendorId === LEGO_VENDOR_ID &&
+      event.device.productId === NXT_PRODUCT_ID
+    ) {
+      this.emit("connect", event.device);
+    }
+  }
+
+  /**
+   * Emit "disconnect" when the connected brick is unplugged
+   *
+   * @private
+   * @function _onUsbDisconnect
+   * @memberof NxtUsbCommunication
+   * @param {USBConnectionEvent} event
+   * @returns {void}
+   */
+  _onUsbDisconnect(event) {
+    if (event.device === this.device) {
+      this.device = null;
+      this.emit("disconnect");
+    }
   }
 
   /**
@@ -44,11 +185,11 @@ class NxtUsbCommunication extends NxtCommunication {
    * @memberof NxtUsbCommunication
    * @param {Uint8Array} command
    * @returns {Promise<void>}
-   * @throws {Error}
+   * @throws {NxtTransportError}
    */
   async sendCommand(command) {
     if (!this.device) {
-      throw new Error("No device connected");
+      throw new NxtTransportError("No device connected");
     }
 
     await this.device.transferOut(1, command);
@@ -61,17 +202,17 @@ class NxtUsbCommunication extends NxtCommunication {
    * @function receiveData
    * @memberof NxtUsbCommunication
    * @returns {Promise<Uint8Array>}
-   * @throws {Error}
+   * @throws {NxtTransportError}
    */
   async receiveData() {
     if (!this.device) {
-      throw new Error("No device connected");
+      throw new NxtTransportError("No device connected");
     }
 
     const result = await this.device.transferIn(2, 64);
 
     if (!result.data) {
-      throw new Error("No data received");
+      throw new NxtTransportError("No data received");
     }
 
     return new Uint8Array(result.data.buffer);
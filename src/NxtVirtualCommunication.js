@@ -0,0 +1,1606 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import NxtCommunication from "./NxtCommunication";
+import { NxtStatus, NxtTransportError } from "./NxtError";
+import { NxtModule } from "./NxtIoMap";
+
+const MAX_HANDLES = 16;
+
+// Degrees per second a motor turns at full power
+const DEGREES_PER_SECOND = 1000;
+
+// Inboxes 0-9 and response mailboxes 10-19, each holding up to 5 messages
+const MAILBOXES = 20;
+const MAILBOX_SIZE = 5;
+
+// Emulated modules with the size of their IO map, the display holds a
+// normal and a popup screen after its header
+const MODULES = [
+  ["Command.mod", NxtModule.COMMAND, 52],
+  ["Output.mod", NxtModule.OUTPUT, 97],
+  ["Input.mod", NxtModule.INPUT, 80],
+  ["Sound.mod", NxtModule.SOUND, 30],
+  ["Display.mod", NxtModule.DISPLAY, 119 + 800 * 2],
+  ["Ui.mod", NxtModule.UI, 44],
+];
+
+/**
+ * Read a null terminated string from a command
+ *
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+const readString = (data, offset, length) => {
+  const bytes = data.slice(offset, offset + length);
+  const end = bytes.indexOf(0);
+  return String.fromCharCode(...(end === -1 ? bytes : bytes.slice(0, end)));
+};
+
+/**
+ * Write a string into a reply, the remaining bytes are left null
+ *
+ * @param {Uint8Array} reply
+ * @param {number} offset
+ * @param {string} value
+ * @returns {void}
+ */
+const writeString = (reply, offset, value) => {
+  reply.set(
+    value.split("").map((char) => char.charCodeAt(0)),
+    offset
+  );
+};
+
+/**
+ * Read a little-endian unsigned 32-bit number
+ *
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @returns {number}
+ */
+const readUint32 = (data, offset) =>
+  (data[offset] |
+    (data[offset + 1] << 8) |
+    (data[offset + 2] << 16) |
+    (data[offset + 3] << 24)) >>>
+  0;
+
+/**
+ * Write a little-endian number of the given amount of bytes
+ *
+ * @param {Uint8Array} reply
+ * @param {number} offset
+ * @param {number} value
+ * @param {number} size
+ * @returns {void}
+ */
+const writeUint = (reply, offset, value, size) => {
+  for (let i = 0; i < size; i++) {
+    reply[offset + i] = (value >> (i * 8)) & 0xff;
+  }
+};
+
+/**
+ * Check a file name against a search pattern like "*.*" or "*.rxe"
+ *
+ * @param {string} pattern
+ * @param {string} name
+ * @returns {boolean}
+ */
+const matchesPattern = (pattern, name) => {
+  const [patternBase, patternExtension = ""] = pattern.split(".");
+  const [base, extension = ""] = name.split(".");
+
+  return (
+    (patternBase === "*" || patternBase === base) &&
+    (patternExtension === "*" || patternExtension === extension)
+  );
+};
+
+/**
+ * Emulates an NXT brick in memory
+ *
+ * Commands are answered straight from an internal state holding the flash
+ * filesystem, brick name and running program, so `Nxt` can be used without a
+ * physical brick. Errors can be injected per opcode to test failure paths.
+ *
+ * @extends NxtCommunication
+ */
+class NxtVirtualCommunication extends NxtCommunication {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name]
+   * @param {Uint8Array} [options.btAddress]
+   * @param {{ minorProtocol: number, majorProtocol: number, minorFirmware: number, majorFirmware: number }} [options.firmwareVersion]
+   * @param {number} [options.flashSize] // size of the user flash in bytes
+   * @param {Object<string, Uint8Array>} [options.files] // initial files by name
+   * @param {string|null} [options.runningProgram]
+   * @param {number|null} [options.programDuration] // time in ms a started program runs, null runs until stopped
+   * @param {boolean} [options.enhancedFirmware] // emulate the NBC/NXC enhanced firmware
+   * @param {number} [options.batteryLevel] // battery voltage in mV
+   * @param {number} [options.sleepTimeLimit] // sleep timer in ms, 0 to never sleep
+   */
+  constructor({
+    name = "NXT",
+    btAddress = new Uint8Array([0x00, 0x16, 0x53, 0x00, 0x00, 0x00]),
+    firmwareVersion = {
+      minorProtocol: 124,
+      majorProtocol: 1,
+      minorFirmware: 31,
+      majorFirmware: 1,
+    },
+    flashSize = 128 * 1024,
+    files = {},
+    runningProgram = null,
+    programDuration = null,
+    enhancedFirmware = false,
+    batteryLevel = 8000,
+    sleepTimeLimit = 10 * 60 * 1000,
+  } = {}) {
+    super();
+    this.connected = false;
+    this.pluggedIn = true; // see unplug and plugIn
+
+    this.name = name;
+    this.btAddress = btAddress;
+    this.firmwareVersion = firmwareVersion;
+    this.flashSize = flashSize;
+    this.files = new Map(Object.entries(files));
+    this.dataFileSizes = new Map(); // reserved size of data files by name
+    this.runningProgram = runningProgram;
+    this.programDuration = programDuration;
+    this.programStartedAt = null;
+
+    this.outputs = [0, 1, 2].map(() => ({
+      power: 0,
+      mode: 0,
+      regulationMode: 0,
+      turnRatio: 0,
+      runState: 0,
+      tachoLimit: 0,
+      tachoCount: 0,
+      blockTachoCount: 0,
+      rotationCount: 0,
+      limitStart: 0, // tacho count at the start of a limited move
+      updatedAt: Date.now(),
+    }));
+
+    this.inputs = [0, 1, 2, 3].map(() => ({
+      type: 0,
+      mode: 0,
+      rawValue: 1023, // nothing connected reads as the maximum value
+      transitions: 0, // boolean changes since the last reset
+      i2cDevice: null, // { address, registers } of an attached I2C sensor
+      lowSpeedReply: null, // bytes ready to be read, null on a bus error
+    }));
+
+    // Queued messages by mailbox, without the null terminator
+    this.mailboxes = Array.from({ length: MAILBOXES }, () => []);
+
+    this.batteryLevel = batteryLevel;
+    this.sleepTimeLimit = sleepTimeLimit;
+    this.lastKeepAlive = null; // Date.now() of the last keep-alive
+
+    // Firmware modules by module ID, their IO maps are plain memory that
+    // isn't kept in sync with the emulated motors and sensors
+    this.modules = new Map(
+      MODULES.map(([name, id, size]) => [
+        id,
+        { name, ioMap: new Uint8Array(size) },
+      ])
+    );
+
+    // Tone or sound file that was played last, and everything played so far
+    this.sound = null;
+    this.soundLog = [];
+    this.firmwareUpdateMode = false; // see Nxt.enterFirmwareUpdateMode
+
+    this.handles = new Map();
+    this.replies = [];
+    this.injectedErrors = [];
+
+    // Command handlers by opcode, each returns the reply or a status code
+    this.handlers = new Map([
+      [0x00, this._startProgram],
+      [0x01, this._stopProgram],
+      [0x02, this._playSoundFile],
+      [0x03, this._playTone],
+      [0x04, this._setOutputState],
+      [0x05, this._setInputMode],
+      [0x06, this._getOutputState],
+      [0x07, this._getInputValues],
+      [0x08, this._resetInputScaledValue],
+      [0x09, this._messageWrite],
+      [0x0a, this._resetMotorPosition],
+      [0x0b, this._getBatteryLevel],
+      [0x0c, this._stopSoundPlayback],
+      [0x0d, this._keepAlive],
+      [0x0e, this._lsGetStatus],
+      [0x0f, this._lsWrite],
+      [0x10, this._lsRead],
+      [0x11, this._getCurrentProgramName],
+      [0x13, this._messageRead],
+      [0x20, this._getProperty],
+      [0x80, this._openRead],
+      [0x81, this._openWrite],
+      [0x82, this._read],
+      [0x83, this._write],
+      [0x84, this._close],
+      [0x85, this._delete],
+      [0x86, this._findFirst],
+      [0x87, this._findNext],
+      [0x88, this._getFirmwareVersion],
+      [0x89, this._openLinearWrite],
+      [0x8b, this._openWriteData],
+      [0x8c, this._openAppendData],
+      [0x90, this._requestFirstModule],
+      [0x91, this._requestNextModule],
+      [0x92, this._closeModuleHandle],
+      [0x94, this._readIoMap],
+      [0x95, this._writeIoMap],
+      [0x97, this._bootCommand],
+      [0x98, this._setBrickName],
+      [0x9b, this._getDeviceInfo],
+    ]);
+
+    if (enhancedFirmware) {
+      this.handlers.set(0x23, this._getVmState);
+    }
+  }
+
+  /**
+   * Connect to the virtual brick
+   *
+   * @async
+   * @function connect
+   * @memberof NxtVirtualCommunication
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (!this.pluggedIn) {
+      throw new NxtTransportError("No device found");
+    }
+
+    this.connected = true;
+    this.replies = [];
+  }
+
+  /**
+   * Connect to the virtual brick again after a disconnect
+   *
+   * @async
+   * @function reconnect
+   * @memberof NxtVirtualCommunication
+   * @returns {Promise<void>}
+   * @throws {NxtTransportError}
+   */
+  async reconnect() {
+    await this.connect();
+  }
+
+  /**
+   * Disconnect from the virtual brick
+   *
+   * @async
+   * @function disconnect
+   * @memberof NxtVirtualCommunication
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.connected = false;
+  }
+
+  /**
+   * Emulate pulling the cable, emits "disconnect" when connected
+   *
+   * @function unplug
+   * @memberof NxtVirtualCommunication
+   * @returns {void}
+   */
+  unplug() {
+    const wasConnected = this.connected;
+
+    this.pluggedIn = false;
+    this.connected = false;
+
+    if (wasConnected) {
+      this.emit("disconnect");
+    }
+  }
+
+  /**
+   * Emulate plugging the cable back in, emits "connect"
+   *
+   * @function plugIn
+   * @memberof NxtVirtualCommunication
+   * @returns {void}
+   */
+  plugIn() {
+    this.pluggedIn = true;
+
+    if (!this.connected) {
+      this.emit("connect");
+    }
+  }
+
+  /**
+   * Send a command to the virtual brick
+   *
+   * The reply is queued for receiveData, unless the command doesn't require
+   * one (0x80 or 0x81 as first byte).
+   *
+   * @async
+   * @function sendCommand
+   * @memberof NxtVirtualCommunication
+   * @param {Uint8Array} command
+   * @returns {Promise<void>}
+   * @throws {Error}
+   */
+  async sendCommand(command) {
+    if (!this.connected) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    const reply = this._execute(command);
+
+    if (!(command[0] & 0x80)) {
+      this.replies.push(reply);
+    }
+  }
+
+  /**
+   * Receive data from the virtual brick
+   *
+   * @async
+   * @function receiveData
+   * @memberof NxtVirtualCommunication
+   * @returns {Promise<Uint8Array>}
+   * @throws {Error}
+   */
+  async receiveData() {
+    if (!this.connected) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (this.replies.length === 0) {
+      throw new NxtTransportError("No data received");
+    }
+
+    return this.replies.shift();
+  }
+
+  /**
+   * Make the next commands with the given opcode fail with a status code
+   *
+   * The command isn't executed, e.g. injecting 135 on 0x85 makes delete
+   * report "file not found" without touching the file.
+   *
+   * @function injectError
+   * @memberof NxtVirtualCommunication
+   * @param {number} opcode
+   * @param {number} status
+   * @param {number} [times] // amount of commands to fail
+   * @returns {void}
+   */
+  injectError(opcode, status, times = 1) {
+    this.injectedErrors.push({ opcode, status, times });
+  }
+
+  /**
+   * Set the raw A/D value (0-1023) a sensor port reads
+   *
+   * A touch sensor reads low when pressed, a light or sound sensor reads
+   * lower the more light or sound it measures.
+   *
+   * @function setSensorValue
+   * @memberof NxtVirtualCommunication
+   * @param {number} port // 0-3 for sensor port 1-4
+   * @param {number} rawValue
+   * @returns {void}
+   */
+  setSensorValue(port, rawValue) {
+    const input = this.inputs[port];
+
+    if (rawValue < 512 !== input.rawValue < 512) {
+      input.transitions++;
+    }
+
+    input.rawValue = rawValue;
+  }
+
+  /**
+   * Attach an I2C sensor to a sensor port
+   *
+   * The returned registers can be changed to emulate readings, e.g. setting
+   * register 0x42 to a distance for an ultrasonic sensor.
+   *
+   * @function attachI2cDevice
+   * @memberof NxtVirtualCommunication
+   * @param {number} port // 0-3 for sensor port 1-4
+   * @param {Object} [options]
+   * @param {number} [options.address]
+   * @param {Uint8Array} [options.registers] // 256 registers
+   * @returns {Uint8Array}
+   */
+  attachI2cDevice(
+    port,
+    { address = 0x02, registers = new Uint8Array(256) } = {}
+  ) {
+    this.inputs[port].i2cDevice = { address, registers };
+    return registers;
+  }
+
+  /**
+   * Put a message in a mailbox, like the running program replying on a
+   * response mailbox 10-19
+   *
+   * @function postMessage
+   * @memberof NxtVirtualCommunication
+   * @param {number} box // mailbox 0-19
+   * @param {string|Uint8Array} message
+   * @returns {void}
+   */
+  postMessage(box, message) {
+    const data =
+      typeof message === "string"
+        ? new Uint8Array(message.split("").map((char) => char.charCodeAt(0)))
+        : message;
+
+    this._queueMessage(box, data);
+  }
+
+  /**
+   * Take the oldest message from a mailbox, like the running program reading
+   * an inbox 0-9
+   *
+   * @function takeMessage
+   * @memberof NxtVirtualCommunication
+   * @param {number} box // mailbox 0-19
+   * @returns {Uint8Array|null} // null when the mailbox is empty
+   */
+  takeMessage(box) {
+    return this.mailboxes[box].shift() ?? null;
+  }
+
+  /**
+   * Get the free user flash in bytes
+   *
+   * @function getFreeFlash
+   * @memberof NxtVirtualCommunication
+   * @returns {number}
+   */
+  getFreeFlash() {
+    let used = 0;
+
+    this.files.forEach((data, name) => {
+      used += this.dataFileSizes.get(name) ?? data.length;
+    });
+
+    // New files take up their space as soon as they're opened
+    this.handles.forEach((handle) => {
+      if (handle.type === "write" && !this.files.has(handle.name)) {
+        used += handle.data.length;
+      }
+    });
+
+    return this.flashSize - used;
+  }
+
+  /**
+   * Execute a command and build the reply
+   *
+   * @private
+   * @function _execute
+   * @memberof NxtVirtualCommunication
+   * @param {Uint8Array} command
+   * @returns {Uint8Array}
+   */
+  _execute(command) {
+    const opcode = command[1];
+
+    let status;
+    let reply;
+
+    this._updateProgram();
+
+    const injectedError = this.injectedErrors.find(
+      (error) => error.opcode === opcode
+    );
+
+    if (injectedError) {
+      status = injectedError.status;
+
+      injectedError.times--;
+      if (injectedError.times <= 0) {
+        this.injectedErrors.splice(
+          this.injectedErrors.indexOf(injectedError),
+          1
+        );
+      }
+    } else if (this.handlers.has(opcode)) {
+      const result = this.handlers.get(opcode).call(this, command);
+
+      if (typeof result === "number") {
+        status = result;
+      } else {
+        status = NxtStatus.SUCCESS;
+        reply = result;
+      }
+    } else {
+      status = NxtStatus.UNKNOWN_COMMAND;
+    }
+
+    if (!reply) {
+      reply = new Uint8Array(3);
+    }
+
+    reply[0] = 0x02;
+    reply[1] = opcode;
+    reply[2] = status;
+
+    return reply;
+  }
+
+  /**
+   * Get a free handle number
+   *
+   * @private
+   * @function _allocateHandle
+   * @memberof NxtVirtualCommunication
+   * @returns {number|null}
+   */
+  _allocateHandle() {
+    for (let handle = 0; handle < MAX_HANDLES; handle++) {
+      if (!this.handles.has(handle)) {
+        return handle;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * End the running program when its duration has passed
+   *
+   * @private
+   * @function _updateProgram
+   * @memberof NxtVirtualCommunication
+   * @returns {void}
+   */
+  _updateProgram() {
+    if (
+      this.runningProgram !== null &&
+      this.programStartedAt !== null &&
+      this.programDuration !== null &&
+      Date.now() - this.programStartedAt >= this.programDuration
+    ) {
+      this.runningProgram = null;
+    }
+  }
+
+  /**
+   * Direct command: start program
+   *
+   * @private
+   */
+  _startProgram(command) {
+    const name = readString(command, 2, 20);
+
+    if (!this.files.has(name)) {
+      return NxtStatus.FILE_NOT_FOUND;
+    }
+
+    this.runningProgram = name;
+    this.programStartedAt = Date.now();
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Direct command: get current program name
+   *
+   * @private
+   */
+  _getCurrentProgramName() {
+    if (this.runningProgram === null) {
+      return NxtStatus.NO_ACTIVE_PROGRAM;
+    }
+
+    const reply = new Uint8Array(23);
+    writeString(reply, 3, this.runningProgram);
+    return reply;
+  }
+
+  /**
+   * Direct command: stop program
+   *
+   * @private
+   */
+  _stopProgram() {
+    if (this.runningProgram === null) {
+      return NxtStatus.NO_ACTIVE_PROGRAM;
+    }
+
+    this.runningProgram = null;
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Turn a running motor for the time passed since the last update
+   *
+   * @private
+   * @function _updateOutput
+   * @memberof NxtVirtualCommunication
+   * @param {Object} output
+   * @returns {void}
+   */
+  _updateOutput(output) {
+    const now = Date.now();
+    const elapsed = now - output.updatedAt;
+    output.updatedAt = now;
+
+    if (output.runState === 0 || !(output.mode & 0x01)) {
+      return;
+    }
+
+    let degrees = Math.round(
+      (output.power / 100) * DEGREES_PER_SECOND * (elapsed / 1000)
+    );
+
+    if (output.tachoLimit !== 0) {
+      const moved = Math.abs(output.tachoCount - output.limitStart);
+      const remaining = output.tachoLimit - moved;
+
+      if (Math.abs(degrees) >= remaining) {
+        degrees = remaining * Math.sign(degrees);
+        output.runState = 0;
+      }
+    }
+
+    output.tachoCount += degrees;
+    output.blockTachoCount += degrees;
+    output.rotationCount += degrees;
+  }
+
+  /**
+   * Get the outputs addressed by a port number, 0xFF addresses all
+   *
+   * @private
+   * @function _getOutputs
+   * @memberof NxtVirtualCommunication
+   * @param {number} port
+   * @returns {Object[]|null}
+   */
+  _getOutputs(port) {
+    if (port === 0xff) {
+      return this.outputs;
+    }
+
+    return this.outputs[port] ? [this.outputs[port]] : null;
+  }
+
+  /**
+   * Start playing a sound and add it to the sound log
+   *
+   * @private
+   * @function _playSound
+   * @memberof NxtVirtualCommunication
+   * @param {Object} sound
+   * @returns {Uint8Array}
+   */
+  _playSound(sound) {
+    this.sound = { ...sound, startedAt: Date.now() };
+    this.soundLog.push(this.sound);
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Direct command: play sound file
+   *
+   * @private
+   */
+  _playSoundFile(command) {
+    const name = readString(command, 3, 20);
+
+    if (!this.files.has(name)) {
+      return NxtStatus.FILE_NOT_FOUND;
+    }
+
+    return this._playSound({ type: "file", name, loop: command[2] !== 0 });
+  }
+
+  /**
+   * Direct command: play tone
+   *
+   * @private
+   */
+  _playTone(command) {
+    return this._playSound({
+      type: "tone",
+      frequency: command[2] | (command[3] << 8),
+      duration: command[4] | (command[5] << 8),
+    });
+  }
+
+  /**
+   * Direct command: stop sound playback
+   *
+   * @private
+   */
+  _stopSoundPlayback() {
+    this.sound = null;
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Direct command: get battery level
+   *
+   * @private
+   */
+  _getBatteryLevel() {
+    const reply = new Uint8Array(5);
+    writeUint(reply, 3, this.batteryLevel, 2);
+    return reply;
+  }
+
+  /**
+   * Direct command: keep alive
+   *
+   * @private
+   */
+  _keepAlive() {
+    this.lastKeepAlive = Date.now();
+
+    const reply = new Uint8Array(7);
+    writeUint(reply, 3, this.sleepTimeLimit, 4);
+    return reply;
+  }
+
+  /**
+   * Direct command: set output state
+   *
+   * @private
+   */
+  _setOutputState(command) {
+    const outputs = this._getOutputs(command[2]);
+    if (!outputs) {
+      return NxtStatus.BAD_INPUT_OUTPUT;
+    }
+
+    const view = new DataView(command.buffer, command.byteOffset);
+
+    outputs.forEach((output) => {
+      this._updateOutput(output);
+
+      output.power = view.getInt8(3);
+      output.mode = command[4];
+      output.regulationMode = command[5];
+      output.turnRatio = view.getInt8(6);
+      output.runState = command[7];
+      output.tachoLimit = readUint32(command, 8);
+      output.limitStart = output.tachoCount;
+    });
+
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Direct command: get output state
+   *
+   * @private
+   */
+  _getOutputState(command) {
+    const port = command[2];
+    const output = this.outputs[port];
+    if (!output) {
+      return NxtStatus.BAD_INPUT_OUTPUT;
+    }
+
+    this._updateOutput(output);
+
+    const reply = new Uint8Array(25);
+    reply[3] = port;
+    reply[4] = output.power & 0xff;
+    reply[5] = output.mode;
+    reply[6] = output.regulationMode;
+    reply[7] = output.turnRatio & 0xff;
+    reply[8] = output.runState;
+    writeUint(reply, 9, output.tachoLimit, 4);
+    writeUint(reply, 13, output.tachoCount, 4);
+    writeUint(reply, 17, output.blockTachoCount, 4);
+    writeUint(reply, 21, output.rotationCount, 4);
+
+    return reply;
+  }
+
+  /**
+   * Direct command: reset motor position
+   *
+   * @private
+   */
+  _resetMotorPosition(command) {
+    const outputs = this._getOutputs(command[2]);
+    if (!outputs) {
+      return NxtStatus.BAD_INPUT_OUTPUT;
+    }
+
+    outputs.forEach((output) => {
+      this._updateOutput(output);
+
+      if (command[3]) {
+        output.blockTachoCount = 0;
+      } else {
+        output.rotationCount = 0;
+      }
+    });
+
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Direct command: set input mode
+   *
+   * @private
+   */
+  _setInputMode(command) {
+    const input = this.inputs[command[2]];
+    if (!input) {
+      return NxtStatus.BAD_INPUT_OUTPUT;
+    }
+
+    input.type = command[3];
+    input.mode = command[4];
+    input.transitions = 0;
+
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Direct command: get input values
+   *
+   * @private
+   */
+  _getInputValues(command) {
+    const port = command[2];
+    const input = this.inputs[port];
+    if (!input) {
+      return NxtStatus.BAD_INPUT_OUTPUT;
+    }
+
+    // Scale the value like the firmware does for the common sensor modes
+    let scaledValue;
+    switch (input.mode & 0xe0) {
+      case 0x20: // Boolean
+        scaledValue = input.rawValue < 512 ? 1 : 0;
+        break;
+      case 0x40: // Transition count
+        scaledValue = input.transitions;
+        break;
+      case 0x60: // Period counter
+        scaledValue = Math.floor(input.transitions / 2);
+        break;
+      case 0x80: // Percent full scale
+        scaledValue = Math.round(((1023 - input.rawValue) * 100) / 1023);
+        break;
+      default:
+        scaledValue = input.rawValue;
+    }
+
+    const reply = new Uint8Array(16);
+    reply[3] = port;
+    reply[4] = 1; // Valid
+    reply[6] = input.type;
+    reply[7] = input.mode;
+    writeUint(reply, 8, input.rawValue, 2);
+    writeUint(reply, 10, input.rawValue, 2);
+    writeUint(reply, 12, scaledValue, 2);
+    writeUint(reply, 14, scaledValue, 2);
+
+    return reply;
+  }
+
+  /**
+   * Direct command: reset input scaled value
+   *
+   * @private
+   */
+  _resetInputScaledValue(command) {
+    const input = this.inputs[command[2]];
+    if (!input) {
+      return NxtStatus.BAD_INPUT_OUTPUT;
+    }
+
+    input.transitions = 0;
+
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Get an input port that is configured for I2C
+   *
+   * @private
+   */
+  _getLowSpeedInput(port) {
+    const input = this.inputs[port];
+
+    if (!input || (input.type !== 0x0a && input.type !== 0x0b)) {
+      return null;
+    }
+
+    return input;
+  }
+
+  /**
+   * Direct command: LS write
+   *
+   * @private
+   */
+  _lsWrite(command) {
+    const input = this._getLowSpeedInput(command[2]);
+    if (!input) {
+      return NxtStatus.CHANNEL_BUSY;
+    }
+
+    const txData = command.slice(5, 5 + command[3]);
+    const rxLength = command[4];
+    const device = input.i2cDevice;
+
+    if (!device || txData[0] !== device.address) {
+      input.lowSpeedReply = null;
+      return new Uint8Array(3);
+    }
+
+    const register = txData[1];
+    device.registers.set(txData.slice(2), register);
+    input.lowSpeedReply = device.registers.slice(register, register + rxLength);
+
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Direct command: LS get status
+   *
+   * @private
+   */
+  _lsGetStatus(command) {
+    const input = this._getLowSpeedInput(command[2]);
+    if (!input) {
+      return NxtStatus.CHANNEL_BUSY;
+    }
+
+    if (input.lowSpeedReply === null) {
+      return NxtStatus.BUS_ERROR;
+    }
+
+    return new Uint8Array([0, 0, 0, input.lowSpeedReply.length]);
+  }
+
+  /**
+   * Direct command: LS read
+   *
+   * @private
+   */
+  _lsRead(command) {
+    const input = this._getLowSpeedInput(command[2]);
+    if (!input) {
+      return NxtStatus.CHANNEL_BUSY;
+    }
+
+    if (input.lowSpeedReply === null) {
+      return NxtStatus.BUS_ERROR;
+    }
+
+    const reply = new Uint8Array(20);
+    reply[3] = input.lowSpeedReply.length;
+    reply.set(input.lowSpeedReply, 4);
+
+    input.lowSpeedReply = new Uint8Array(0);
+
+    return reply;
+  }
+
+  /**
+   * Add a message to a mailbox, dropping the oldest one when it's full
+   *
+   * @private
+   * @function _queueMessage
+   * @memberof NxtVirtualCommunication
+   * @param {number} box
+   * @param {Uint8Array} data
+   * @returns {void}
+   */
+  _queueMessage(box, data) {
+    const mailbox = this.mailboxes[box];
+
+    if (mailbox.length >= MAILBOX_SIZE) {
+      mailbox.shift();
+    }
+
+    mailbox.push(data);
+  }
+
+  /**
+   * Direct command: message write
+   *
+   * @private
+   */
+  _messageWrite(command) {
+    const box = command[2];
+    const size = command[3];
+
+    if (this.runningProgram === null) {
+      return NxtStatus.NO_ACTIVE_PROGRAM;
+    }
+
+    if (box >= MAILBOXES / 2) {
+      return NxtStatus.ILLEGAL_MAILBOX;
+    }
+
+    if (size < 1 || size > 59 || command.length !== 4 + size) {
+      return NxtStatus.ILLEGAL_SIZE;
+    }
+
+    // Without the null terminator
+    this._queueMessage(box, command.slice(4, 4 + size - 1));
+
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Direct command: message read
+   *
+   * @private
+   */
+  _messageRead(command) {
+    const [, , remoteBox, localBox, remove] = command;
+
+    if (this.runningProgram === null) {
+      return NxtStatus.NO_ACTIVE_PROGRAM;
+    }
+
+    if (remoteBox >= MAILBOXES || localBox >= MAILBOXES / 2) {
+      return NxtStatus.ILLEGAL_MAILBOX;
+    }
+
+    const mailbox = this.mailboxes[remoteBox];
+
+    if (mailbox.length === 0) {
+      return NxtStatus.MAILBOX_EMPTY;
+    }
+
+    const data = remove ? mailbox.shift() : mailbox[0];
+
+    const reply = new Uint8Array(64);
+    reply[3] = localBox;
+    reply[4] = data.length + 1; // including the null terminator
+    reply.set(data, 5);
+
+    return reply;
+  }
+
+  /**
+   * Direct command: get property, known since firmware 1.28
+   *
+   * @private
+   */
+  _getProperty() {
+    return new Uint8Array(4);
+  }
+
+  /**
+   * Direct command: get VM state, only known by the enhanced firmware
+   *
+   * Replies with the state, clump and program counter of an idle VM.
+   *
+   * @private
+   */
+  _getVmState() {
+    return new Uint8Array(7);
+  }
+
+  /**
+   * System command: get firmware version
+   *
+   * @private
+   */
+  _getFirmwareVersion() {
+    const { minorProtocol, majorProtocol, minorFirmware, majorFirmware } =
+      this.firmwareVersion;
+
+    return new Uint8Array([
+      0,
+      0,
+      0,
+      minorProtocol,
+      majorProtocol,
+      minorFirmware,
+      majorFirmware,
+    ]);
+  }
+
+  /**
+   * Build the reply of request first and next module
+   *
+   * @private
+   */
+  _moduleReply(handle) {
+    const search = this.handles.get(handle);
+    const id = search.ids[search.index++];
+
+    if (id === undefined) {
+      return NxtStatus.MODULE_NOT_FOUND;
+    }
+
+    const { name, ioMap } = this.modules.get(id);
+
+    const reply = new Uint8Array(34);
+    reply[3] = handle;
+    writeString(reply, 4, name);
+    writeUint(reply, 24, id, 4);
+    writeUint(reply, 32, ioMap.length, 2);
+
+    return reply;
+  }
+
+  /**
+   * System command: request first module
+   *
+   * @private
+   */
+  _requestFirstModule(command) {
+    const pattern = readString(command, 2, 20);
+
+    const handle = this._allocateHandle();
+    if (handle === null) {
+      return NxtStatus.NO_MORE_HANDLES;
+    }
+
+    const ids = [...this.modules.keys()].filter((id) =>
+      matchesPattern(pattern, this.modules.get(id).name)
+    );
+
+    if (ids.length === 0) {
+      return NxtStatus.MODULE_NOT_FOUND;
+    }
+
+    this.handles.set(handle, { type: "module", ids, index: 0 });
+
+    return this._moduleReply(handle);
+  }
+
+  /**
+   * System command: request next module
+   *
+   * @private
+   */
+  _requestNextModule(command) {
+    const handle = command[2];
+
+    if (this.handles.get(handle)?.type !== "module") {
+      return NxtStatus.ILLEGAL_HANDLE;
+    }
+
+    return this._moduleReply(handle);
+  }
+
+  /**
+   * System command: close module handle
+   *
+   * @private
+   */
+  _closeModuleHandle(command) {
+    const handle = command[2];
+
+    if (this.handles.get(handle)?.type !== "module") {
+      return NxtStatus.HANDLE_ALREADY_CLOSED;
+    }
+
+    this.handles.delete(handle);
+
+    const reply = new Uint8Array(4);
+    reply[3] = handle;
+    return reply;
+  }
+
+  /**
+   * System command: read IO map
+   *
+   * @private
+   */
+  _readIoMap(command) {
+    const moduleId = readUint32(command, 2);
+    const offset = command[6] | (command[7] << 8);
+    const length = command[8] | (command[9] << 8);
+    const module = this.modules.get(moduleId);
+
+    if (!module) {
+      return NxtStatus.MODULE_NOT_FOUND;
+    }
+
+    if (offset + length > module.ioMap.length) {
+      return NxtStatus.OUT_OF_BOUNDARY;
+    }
+
+    const reply = new Uint8Array(9 + length);
+    writeUint(reply, 3, moduleId, 4);
+    writeUint(reply, 7, length, 2);
+    reply.set(module.ioMap.slice(offset, offset + length), 9);
+
+    return reply;
+  }
+
+  /**
+   * System command: write IO map
+   *
+   * @private
+   */
+  _writeIoMap(command) {
+    const moduleId = readUint32(command, 2);
+    const offset = command[6] | (command[7] << 8);
+    const length = command[8] | (command[9] << 8);
+    const module = this.modules.get(moduleId);
+
+    if (!module) {
+      return NxtStatus.MODULE_NOT_FOUND;
+    }
+
+    if (offset + length > module.ioMap.length) {
+      return NxtStatus.OUT_OF_BOUNDARY;
+    }
+
+    module.ioMap.set(command.slice(10, 10 + length), offset);
+
+    const reply = new Uint8Array(9);
+    writeUint(reply, 3, moduleId, 4);
+    writeUint(reply, 7, length, 2);
+
+    return reply;
+  }
+
+  /**
+   * System command: boot into firmware update mode
+   *
+   * Only the flag is set, the virtual brick keeps answering commands.
+   *
+   * @private
+   */
+  _bootCommand(command) {
+    if (readString(command, 2, 19) !== "Let's dance: SAMBA") {
+      return NxtStatus.UNDEFINED_ERROR;
+    }
+
+    this.firmwareUpdateMode = true;
+
+    const reply = new Uint8Array(7);
+    writeString(reply, 3, "Yes");
+    return reply;
+  }
+
+  /**
+   * System command: get device info
+   *
+   * @private
+   */
+  _getDeviceInfo() {
+    const reply = new Uint8Array(33);
+
+    writeString(reply, 3, this.name);
+    reply.set(this.btAddress, 18);
+    writeUint(reply, 29, this.getFreeFlash(), 4);
+
+    return reply;
+  }
+
+  /**
+   * System command: set brick name
+   *
+   * @private
+   */
+  _setBrickName(command) {
+    this.name = readString(command, 2, 15);
+    return new Uint8Array(3);
+  }
+
+  /**
+   * Build the reply of find first and find next
+   *
+   * @private
+   */
+  _findReply(handle) {
+    const search = this.handles.get(handle);
+    const name = search.names[search.index++];
+
+    if (name === undefined) {
+      return NxtStatus.FILE_NOT_FOUND;
+    }
+
+    const reply = new Uint8Array(28);
+    reply[3] = handle;
+    writeString(reply, 4, name);
+    writeUint(reply, 24, this.files.get(name).length, 4);
+
+    return reply;
+  }
+
+  /**
+   * System command: find first
+   *
+   * @private
+   */
+  _findFirst(command) {
+    const pattern = readString(command, 2, 20);
+
+    const handle = this._allocateHandle();
+    if (handle === null) {
+      return NxtStatus.NO_MORE_HANDLES;
+    }
+
+    const names = [...this.files.keys()].filter((name) =>
+      matchesPattern(pattern, name)
+    );
+
+    if (names.length === 0) {
+      return NxtStatus.FILE_NOT_FOUND;
+    }
+
+    this.handles.set(handle, { type: "find", names, index: 0 });
+
+    return this._findReply(handle);
+  }
+
+  /**
+   * System command: find next
+   *
+   * @private
+   */
+  _findNext(command) {
+    const handle = command[2];
+
+    if (this.handles.get(handle)?.type !== "find") {
+      return NxtStatus.HANDLE_ALREADY_CLOSED;
+    }
+
+    return this._findReply(handle);
+  }
+
+  /**
+   * System command: delete
+   *
+   * @private
+   */
+  _delete(command) {
+    const name = readString(command, 2, 20);
+
+    if (!this.files.has(name)) {
+      return NxtStatus.FILE_NOT_FOUND;
+    }
+
+    this.files.delete(name);
+    this.dataFileSizes.delete(name);
+
+    const reply = new Uint8Array(23);
+    writeString(reply, 3, name);
+
+    return reply;
+  }
+
+  /**
+   * System command: open write
+   *
+   * @private
+   */
+  _openWrite(command) {
+    return this._createFile(command, false);
+  }
+
+  /**
+   * System command: open write linear
+   *
+   * Files aren't fragmented here, so this is the same as open write.
+   *
+   * @private
+   */
+  _openLinearWrite(command) {
+    return this._createFile(command, false);
+  }
+
+  /**
+   * System command: open write data
+   *
+   * @private
+   */
+  _openWriteData(command) {
+    return this._createFile(command, true);
+  }
+
+  /**
+   * Open a handle that writes a new file
+   *
+   * @private
+   */
+  _createFile(command, isDataFile) {
+    const name = readString(command, 2, 20);
+    const size = readUint32(command, 22);
+
+    if (name.length === 0 || name.length > 19) {
+      return NxtStatus.ILLEGAL_FILE_NAME;
+    }
+
+    if (this.files.has(name)) {
+      return NxtStatus.FILE_EXISTS;
+    }
+
+    if (size > this.getFreeFlash()) {
+      return NxtStatus.NO_SPACE;
+    }
+
+    const handle = this._allocateHandle();
+    if (handle === null) {
+      return NxtStatus.NO_MORE_HANDLES;
+    }
+
+    this.handles.set(handle, {
+      type: "write",
+      name,
+      data: new Uint8Array(size),
+      position: 0,
+      isDataFile,
+    });
+
+    return new Uint8Array([0, 0, 0, handle]);
+  }
+
+  /**
+   * System command: open append data
+   *
+   * @private
+   */
+  _openAppendData(command) {
+    const name = readString(command, 2, 20);
+
+    if (!this.files.has(name)) {
+      return NxtStatus.FILE_NOT_FOUND;
+    }
+
+    if (!this.dataFileSizes.has(name)) {
+      return NxtStatus.APPEND_NOT_POSSIBLE;
+    }
+
+    const handle = this._allocateHandle();
+    if (handle === null) {
+      return NxtStatus.NO_MORE_HANDLES;
+    }
+
+    const existing = this.files.get(name);
+    const data = new Uint8Array(this.dataFileSizes.get(name));
+    data.set(existing);
+
+    this.handles.set(handle, {
+      type: "write",
+      name,
+      data,
+      position: existing.length,
+      isDataFile: true,
+    });
+
+    const reply = new Uint8Array(8);
+    reply[3] = handle;
+    writeUint(reply, 4, data.length - existing.length, 4);
+
+    return reply;
+  }
+
+  /**
+   * System command: open read
+   *
+   * @private
+   */
+  _openRead(command) {
+    const name = readString(command, 2, 20);
+
+    if (!this.files.has(name)) {
+      return NxtStatus.FILE_NOT_FOUND;
+    }
+
+    const handle = this._allocateHandle();
+    if (handle === null) {
+      return NxtStatus.NO_MORE_HANDLES;
+    }
+
+    const data = this.files.get(name);
+    this.handles.set(handle, { type: "read", name, data, position: 0 });
+
+    const reply = new Uint8Array(8);
+    reply[3] = handle;
+    writeUint(reply, 4, data.length, 4);
+
+    return reply;
+  }
+
+  /**
+   * System command: read
+   *
+   * @private
+   */
+  _read(command) {
+    const handle = command[2];
+    const file = this.handles.get(handle);
+
+    if (file?.type !== "read") {
+      return NxtStatus.HANDLE_ALREADY_CLOSED;
+    }
+
+    if (file.position >= file.data.length) {
+      return NxtStatus.END_OF_FILE;
+    }
+
+    const length = command[3] | (command[4] << 8);
+    const data = file.data.slice(file.position, file.position + length);
+    file.position += data.length;
+
+    const reply = new Uint8Array(6 + data.length);
+    reply[3] = handle;
+    writeUint(reply, 4, data.length, 2);
+    reply.set(data, 6);
+
+    return reply;
+  }
+
+  /**
+   * System command: write
+   *
+   * @private
+   */
+  _write(command) {
+    const handle = command[2];
+    const file = this.handles.get(handle);
+
+    if (file?.type !== "write") {
+      return NxtStatus.HANDLE_ALREADY_CLOSED;
+    }
+
+    const data = command.slice(3);
+
+    if (file.position + data.length > file.data.length) {
+      return NxtStatus.END_OF_FILE;
+    }
+
+    file.data.set(data, file.position);
+    file.position += data.length;
+
+    const reply = new Uint8Array(6);
+    reply[3] = handle;
+    writeUint(reply, 4, data.length, 2);
+
+    return reply;
+  }
+
+  /**
+   * System command: close
+   *
+   * @private
+   */
+  _close(command) {
+    const handle = command[2];
+    const file = this.handles.get(handle);
+
+    if (!file) {
+      return NxtStatus.HANDLE_ALREADY_CLOSED;
+    }
+
+    this.handles.delete(handle);
+
+    if (file.type === "write" && file.isDataFile) {
+      // Data files are cut off at what is written, but keep their space
+      this.files.set(file.name, file.data.slice(0, file.position));
+      this.dataFileSizes.set(file.name, file.data.length);
+    } else if (file.type === "write") {
+      this.files.set(file.name, file.data);
+    }
+
+    return new Uint8Array([0, 0, 0, handle]);
+  }
+}
+
+export default NxtVirtualCommunication;
@@ -0,0 +1,388 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import NxtCommunication from "./NxtCommunication";
+import { NxtTransportError } from "./NxtError";
+import { FlashMemory, FlashController } from "./NxtFirmwareUpdater";
+
+const LOCK_REGIONS =
+  FlashMemory.SIZE / FlashMemory.PAGE_SIZE / FlashMemory.PAGES_PER_LOCK_REGION;
+
+/**
+ * Emulates the SAM-BA bootloader of a brick in firmware update mode
+ *
+ * Keeps the flash and the registers of the flash controller in memory, so
+ * NxtFirmwareUpdater can be used without a physical brick. Received commands
+ * are kept in log, the flash is left as it was written.
+ *
+ * @extends NxtCommunication
+ */
+class NxtVirtualSamBa extends NxtCommunication {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.version] // reply to the version command
+   * @param {number[]} [options.lockedRegions] // locked regions of 64 pages, all by default
+   * @param {number[]} [options.corruptPages] // pages that read back different than written
+   * @param {number} [options.busyPolls] // status reads before a flash command is done
+   */
+  constructor({
+    version = "v1.4 Nov 10 2004 14:49:32",
+    lockedRegions = Array.from({ length: LOCK_REGIONS }, (_, i) => i),
+    corruptPages = [],
+    busyPolls = 1,
+  } = {}) {
+    super();
+    this.connected = false;
+    this.version = version;
+    this.flash = new Uint8Array(FlashMemory.SIZE).fill(0xff);
+    this.locked = new Set(lockedRegions);
+    this.corruptPages = new Set(corruptPages);
+    this.busyPolls = busyPolls;
+    this.registers = new Map();
+    this.log = [];
+    this.jumpedTo = null;
+
+    this.latch = new Uint8Array(FlashMemory.PAGE_SIZE).fill(0xff);
+    this.status = FlashController.FRDY;
+    this.busy = 0;
+    this.pendingData = null; // { address, remaining } of a send command
+    this.replies = [];
+  }
+
+  /**
+   * Connect to the virtual bootloader
+   *
+   * @async
+   * @function connect
+   * @memberof NxtVirtualSamBa
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.connected = true;
+    this.replies = [];
+    this.pendingData = null;
+  }
+
+  /**
+   * Disconnect from the virtual bootloader
+   *
+   * @async
+   * @function disconnect
+   * @memberof NxtVirtualSamBa
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.connected = false;
+  }
+
+  /**
+   * Send a command or data to the virtual bootloader
+   *
+   * @async
+   * @function sendCommand
+   * @memberof NxtVirtualSamBa
+   * @param {Uint8Array} command
+   * @returns {Promise<void>}
+   * @throws {NxtTransportError}
+   */
+  async sendCommand(command) {
+    if (!this.connected) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (this.pendingData) {
+      this._receiveData(command);
+      return;
+    }
+
+    String.fromCharCode(...command)
+      .split("#")
+      .filter((text) => text.length > 0)
+      .forEach((text) => this._execute(text));
+  }
+
+  /**
+   * Receive a reply from the virtual bootloader
+   *
+   * @async
+   * @function receiveData
+   * @memberof NxtVirtualSamBa
+   * @returns {Promise<Uint8Array>}
+   * @throws {NxtTransportError}
+   */
+  async receiveData() {
+    if (!this.connected) {
+      throw new NxtTransportError("No device connected");
+    }
+
+    if (this.replies.length === 0) {
+      throw new NxtTransportError("No data received");
+    }
+
+    return this.replies.shift();
+  }
+
+  /**
+   * Get the bytes of a flash page
+   *
+   * @function readPage
+   * @memberof NxtVirtualSamBa
+   * @param {number} page
+   * @returns {Uint8Array}
+   */
+  readPage(page) {
+    return this.flash.slice(
+      page * FlashMemory.PAGE_SIZE,
+      (page + 1) * FlashMemory.PAGE_SIZE
+    );
+  }
+
+  /**
+   * Execute a text command
+   *
+   * @private
+   * @function _execute
+   * @memberof NxtVirtualSamBa
+   * @param {string} text // command without the trailing #
+   * @returns {void}
+   */
+  _execute(text) {
+    this.log.push(`${text}#`);
+
+    const [address, value] = text
+      .slice(1)
+      .split(",")
+      .map((number) => parseInt(number, 16));
+
+    switch (text[0]) {
+      case "N":
+        this._reply([0x0a, 0x0d]);
+        break;
+      case "V":
+        this._reply(
+          `${this.version}\n\r`.split("").map((char) => char.charCodeAt(0))
+        );
+        break;
+      case "W":
+        this._writeWord(address, value);
+        break;
+      case "w": {
+        const reply = new Uint8Array(4);
+        new DataView(reply.buffer).setUint32(0, this._readWord(address), true);
+        this._reply(reply);
+        break;
+      }
+      case "S":
+        this.pendingData = { address, remaining: value };
+        break;
+      case "R": {
+        const reply = new Uint8Array(value);
+        reply.forEach((_, i) => {
+          reply[i] = this._readByte(address + i);
+        });
+        // Long reads arrive in packets like on USB
+        for (let offset = 0; offset < reply.length; offset += 64) {
+          this._reply(reply.slice(offset, offset + 64));
+        }
+        break;
+      }
+      case "G":
+        this.jumpedTo = address;
+        this.connected = false;
+        this.emit("disconnect");
+        break;
+      default:
+        break; // the bootloader ignores unknown commands
+    }
+  }
+
+  /**
+   * Store data that follows a send command
+   *
+   * @private
+   * @function _receiveData
+   * @memberof NxtVirtualSamBa
+   * @param {Uint8Array} data
+   * @returns {void}
+   */
+  _receiveData(data) {
+    const { address, remaining } = this.pendingData;
+    const length = Math.min(data.length, remaining);
+
+    for (let i = 0; i < length; i++) {
+      this._writeByte(address + i, data[i]);
+    }
+
+    this.pendingData =
+      remaining > length
+        ? { address: address + length, remaining: remaining - length }
+        : null;
+  }
+
+  /**
+   * Write a word to memory or a register
+   *
+   * @private
+   * @function _writeWord
+   * @memberof NxtVirtualSamBa
+   * @param {number} address
+   * @param {number} value
+   * @returns {void}
+   */
+  _writeWord(address, value) {
+    if (address === FlashController.MC_FCR) {
+      this._flashCommand(value);
+      return;
+    }
+
+    if (this._isFlash(address)) {
+      for (let i = 0; i < 4; i++) {
+        this._writeByte(address + i, (value >>> (i * 8)) & 0xff);
+      }
+      return;
+    }
+
+    this.registers.set(address, value >>> 0);
+  }
+
+  /**
+   * Read a word from memory or a register
+   *
+   * Reading the status register clears its error bits like on the chip.
+   *
+   * @private
+   * @function _readWord
+   * @memberof NxtVirtualSamBa
+   * @param {number} address
+   * @returns {number}
+   */
+  _readWord(address) {
+    if (address === FlashController.MC_FSR) {
+      if (this.busy > 0) {
+        this.busy--;
+        return 0;
+      }
+
+      const status = this.status;
+      this.status = FlashController.FRDY;
+      return status;
+    }
+
+    if (this._isFlash(address)) {
+      return (
+        [0, 1, 2, 3].reduce(
+          (word, i) => word | (this._readByte(address + i) << (i * 8)),
+          0
+        ) >>> 0
+      );
+    }
+
+    return this.registers.get(address) ?? 0;
+  }
+
+  /**
+   * Write a byte, flash writes go to the page buffer
+   *
+   * @private
+   * @function _writeByte
+   * @memberof NxtVirtualSamBa
+   * @param {number} address
+   * @param {number} value
+   * @returns {void}
+   */
+  _writeByte(address, value) {
+    if (this._isFlash(address)) {
+      this.latch[(address - FlashMemory.START) % FlashMemory.PAGE_SIZE] = value;
+    }
+  }
+
+  /**
+   * Read a byte, only the flash is emulated
+   *
+   * @private
+   * @function _readByte
+   * @memberof NxtVirtualSamBa
+   * @param {number} address
+   * @returns {number}
+   */
+  _readByte(address) {
+    return this._isFlash(address) ? this.flash[address - FlashMemory.START] : 0;
+  }
+
+  /**
+   * Run a command written to the command register of the flash controller
+   *
+   * @private
+   * @function _flashCommand
+   * @memberof NxtVirtualSamBa
+   * @param {number} value
+   * @returns {void}
+   */
+  _flashCommand(value) {
+    const key = value >>> 24;
+    const page = (value >>> 8) & 0x3ff;
+    const command = value & 0xff;
+    const region = Math.floor(page / FlashMemory.PAGES_PER_LOCK_REGION);
+
+    this.busy = this.busyPolls;
+
+    if (key !== FlashController.KEY) {
+      this.status = FlashController.FRDY | FlashController.PROGE;
+      return;
+    }
+
+    switch (command) {
+      case FlashController.WRITE_PAGE:
+        if (this.locked.has(region)) {
+          this.status = FlashController.FRDY | FlashController.LOCKE;
+          break;
+        }
+
+        // The controller erases the page before writing the page buffer
+        this.flash.set(this.latch, page * FlashMemory.PAGE_SIZE);
+
+        if (this.corruptPages.has(page)) {
+          this.flash[page * FlashMemory.PAGE_SIZE] ^= 0xff;
+        }
+
+        this.latch.fill(0xff);
+        break;
+      case FlashController.UNLOCK:
+        this.locked.delete(region);
+        break;
+      default:
+        this.status = FlashController.FRDY | FlashController.PROGE;
+        break;
+    }
+  }
+
+  /**
+   * Check whether an address is in the flash
+   *
+   * @private
+   * @function _isFlash
+   * @memberof NxtVirtualSamBa
+   * @param {number} address
+   * @returns {boolean}
+   */
+  _isFlash(address) {
+    return (
+      address >= FlashMemory.START &&
+      address < FlashMemory.START + FlashMemory.SIZE
+    );
+  }
+
+  /**
+   * Queue a reply for receiveData
+   *
+   * @private
+   * @function _reply
+   * @memberof NxtVirtualSamBa
+   * @param {ArrayLike<number>} bytes
+   * @returns {void}
+   */
+  _reply(bytes) {
+    this.replies.push(Uint8Array.from(bytes));
+  }
+}
+
+export default NxtVirtualSamBa;
@@ -1,3 +1,94 @@
 // BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
 
-export { Nxt } from "./Nxt";
+export { Nxt, ConnectionState } from "./Nxt";
+export {
+  NxtMotor,
+  OutputPort,
+  OutputMode,
+  RegulationMode,
+  RunState,
+} from "./NxtMotor";
+export {
+  NxtSensor,
+  TouchSensor,
+  LightSensor,
+  SoundSensor,
+  InputPort,
+  SensorType,
+  SensorMode,
+} from "./NxtSensor";
+export {
+  I2cSensor,
+  UltrasonicSensor,
+  UltrasonicCommand,
+  registerI2cDriver,
+  createI2cSensor,
+} from "./NxtI2cSensor";
+export { default as NxtLowSpeedBus } from "./NxtLowSpeedBus";
+export { default as NxtCommunication } from "./NxtCommunication";
+export { default as NxtUsbCommunication } from "./NxtUsbCommunication";
+export { default as NxtBluetoothCommunication } from "./NxtBluetoothCommunication";
+export { default as NxtVirtualCommunication } from "./NxtVirtualCommunication";
+export { default as NxtFileHandle } from "./NxtFileHandle";
+export { FirmwareFlavour, probeCapabilities } from "./NxtCapabilities";
+export { default as NxtCommandQueue } from "./NxtCommandQueue";
+export {
+  NxtError,
+  NxtStatusError,
+  NxtTransportError,
+  NxtTimeoutError,
+  UnsupportedFeatureError,
+  NxtStatus,
+} from "./NxtError";
+export {
+  NxtCommand,
+  TelegramType,
+  FieldType,
+  commandName,
+  encodeCommand,
+  decodeCommand,
+  encodeReply,
+  decodeReply,
+  replyMatches,
+} from "./NxtProtocol";
+export {
+  Mailbox,
+  NxtMessage,
+  NxtMailboxSubscription,
+  encodeMessage,
+} from "./NxtMailbox";
+export { ToneLimit, noteFrequency, parseMelody } from "./NxtSound";
+export { default as NxtPowerMonitor } from "./NxtPowerMonitor";
+export { NxtTelemetry, NxtTelemetryRecording } from "./NxtTelemetry";
+export {
+  RxeFormat,
+  RxeFormatVersions,
+  RxeIssue,
+  parseRxeHeader,
+  inspectRxe,
+} from "./NxtRxe";
+export { RsoFormat, decodeWav, encodeRso } from "./NxtRso";
+export {
+  Display,
+  createBitmap,
+  toBitmap,
+  bitmapToImageData,
+  bitmapToPng,
+} from "./NxtBitmap";
+export { RicOpcode, encodeRic, decodeRic } from "./NxtRic";
+export { NxtModule, IoMapDecoder } from "./NxtIoMap";
+export {
+  DisplayMap,
+  UiMap,
+  Button,
+  decodeFramebuffer,
+  NxtScreenMirror,
+} from "./NxtScreen";
+export { default as BrickManager } from "./BrickManager";
+export { default as NxtSamBaCommunication } from "./NxtSamBaCommunication";
+export { default as NxtVirtualSamBa } from "./NxtVirtualSamBa";
+export {
+  default as NxtFirmwareUpdater,
+  FlashMemory,
+  FlashController,
+} from "./NxtFirmwareUpdater";
@@ -0,0 +1,10 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { Nxt } from "./Nxt";
+import NxtNodeUsbCommunication from "./NxtNodeUsbCommunication";
+
+// There is no WebUSB in Node.js, so "usb" goes through libusb instead
+Nxt.registerTransport("usb", NxtNodeUsbCommunication);
+
+export * from "./index";
+export { NxtNodeUsbCommunication };
@@ -0,0 +1,9 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+/**
+ * Wait for an amount of milliseconds
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
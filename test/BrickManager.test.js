@@ -0,0 +1,45 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BrickManager,
+  ConnectionState,
+  NxtVirtualCommunication,
+} from "brickbridge";
+
+const listenerCount = (emitter, type) => emitter.listeners.get(type)?.size ?? 0;
+
+test("picking an added brick again returns it and detaches the duplicate", async () => {
+  const manager = new BrickManager();
+  const brick = new NxtVirtualCommunication({ name: "Alpha" });
+
+  const first = await manager.connect(brick);
+  const second = await manager.connect(brick);
+
+  assert.equal(second, first);
+  assert.equal(manager.bricks.length, 1);
+
+  // Only the added brick still listens to the shared device
+  assert.equal(listenerCount(brick, "disconnect"), 1);
+  assert.equal(listenerCount(brick, "connect"), 1);
+
+  // The shared device stays open for the added brick
+  assert.equal(brick.connected, true);
+  assert.equal((await first.getDeviceInfo()).nxtName, "Alpha");
+  assert.equal(first.connectionState, ConnectionState.CONNECTED);
+});
+
+test("bricks are found by name and address", async () => {
+  const manager = new BrickManager();
+  const alpha = await manager.connect(
+    new NxtVirtualCommunication({
+      name: "Alpha",
+      btAddress: Uint8Array.of(0x00, 0x16, 0x53, 0x0a, 0x1b, 0x2c),
+    })
+  );
+
+  assert.equal(manager.get("Alpha"), alpha);
+  assert.equal(manager.get("00:16:53:0a:1b:2c"), alpha);
+  assert.throws(() => manager.get("Beta"), /No brick "Beta" found/);
+});
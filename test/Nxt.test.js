@@ -0,0 +1,99 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  Nxt,
+  NxtVirtualCommunication,
+  NxtTransportError,
+  ConnectionState,
+} from "brickbridge";
+
+/**
+ * Virtual brick whose first reconnect fails, like a brick that shows up
+ * before it's ready
+ */
+class FlakyBrick extends NxtVirtualCommunication {
+  constructor(options) {
+    super(options);
+    this.failures = 1;
+  }
+
+  async reconnect() {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new NxtTransportError("Device is busy");
+    }
+
+    await super.reconnect();
+  }
+}
+
+const connect = async (brick) => {
+  const nxt = new Nxt();
+  await nxt.connect(brick, { autoReconnect: true });
+
+  return nxt;
+};
+
+test("a brick that comes back is connected again", async () => {
+  const brick = new NxtVirtualCommunication();
+  const nxt = await connect(brick);
+  const states = [];
+  nxt.on("connectionstatechange", ({ state }) => states.push(state));
+
+  nxt.startMonitoring({ batteryInterval: 1000 });
+  brick.unplug();
+  assert.equal(nxt.connectionState, ConnectionState.RECONNECTING);
+  await assert.rejects(nxt.getBatteryLevel(), NxtTransportError);
+
+  brick.plugIn();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.deepEqual(states, [
+    ConnectionState.RECONNECTING,
+    ConnectionState.CONNECTING,
+    ConnectionState.CONNECTED,
+  ]);
+  assert.equal(await nxt.getBatteryLevel(), 8000);
+  assert.ok(nxt.powerMonitor);
+
+  await nxt.disconnect();
+});
+
+test("a failed reconnect is tried again when the brick comes back", async () => {
+  const brick = new FlakyBrick();
+  const nxt = await connect(brick);
+  const errors = [];
+  nxt.on("reconnecterror", (error) => errors.push(error));
+
+  brick.unplug();
+  brick.plugIn();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.equal(errors.length, 1);
+  assert.equal(nxt.connectionState, ConnectionState.RECONNECTING);
+  assert.equal(nxt.connectedDevice, brick);
+  assert.equal(brick.listeners.get("connect").size, 1);
+
+  brick.unplug();
+  brick.plugIn();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.equal(nxt.connectionState, ConnectionState.CONNECTED);
+  assert.equal(await nxt.getBatteryLevel(), 8000);
+
+  await nxt.disconnect();
+});
+
+test("a lost brick isn't connected again without autoReconnect", async () => {
+  const brick = new NxtVirtualCommunication();
+  const nxt = new Nxt();
+  await nxt.connect(brick);
+
+  brick.unplug();
+  brick.plugIn();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.equal(nxt.connectionState, ConnectionState.DISCONNECTED);
+});
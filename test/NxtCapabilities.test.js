@@ -0,0 +1,85 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  Nxt,
+  NxtVirtualCommunication,
+  FirmwareFlavour,
+  UnsupportedFeatureError,
+} from "brickbridge";
+
+const connect = async (options) => {
+  const nxt = new Nxt();
+  await nxt.connect(new NxtVirtualCommunication(options));
+
+  return nxt;
+};
+
+const getFlavour = async (options) => {
+  const nxt = await connect(options);
+
+  const { flavour } = await nxt.getCapabilities();
+  return flavour;
+};
+
+test("the LEGO firmware is recognised, though it knows get property", async () => {
+  assert.equal(await getFlavour(), FirmwareFlavour.LEGO);
+});
+
+test("the enhanced firmware is recognised", async () => {
+  assert.equal(
+    await getFlavour({ enhancedFirmware: true }),
+    FirmwareFlavour.ENHANCED
+  );
+});
+
+test("a firmware other than 1.x is unknown", async () => {
+  assert.equal(
+    await getFlavour({
+      firmwareVersion: {
+        minorProtocol: 0,
+        majorProtocol: 1,
+        minorFirmware: 0,
+        majorFirmware: 2,
+      },
+    }),
+    FirmwareFlavour.UNKNOWN
+  );
+});
+
+test("the VM state can be read on the enhanced firmware", async () => {
+  const nxt = await connect({ enhancedFirmware: true });
+
+  assert.deepEqual(await nxt.getVmState(), {
+    state: 0,
+    clump: 0,
+    programCounter: 0,
+  });
+});
+
+test("the VM state needs the enhanced firmware", async () => {
+  const nxt = await connect();
+
+  await assert.rejects(nxt.getVmState(), (error) => {
+    assert.ok(error instanceof UnsupportedFeatureError);
+    assert.equal(error.feature, "enhancedCommands");
+    assert.equal(error.capabilities.flavour, FirmwareFlavour.LEGO);
+    return true;
+  });
+});
+
+test("file system features need a 1.x firmware", async () => {
+  const nxt = await connect({
+    firmwareVersion: {
+      minorProtocol: 124,
+      majorProtocol: 1,
+      minorFirmware: 0,
+      majorFirmware: 2,
+    },
+  });
+  const { features } = await nxt.getCapabilities();
+
+  assert.deepEqual(features, { fileSystem: false, enhancedCommands: false });
+  await assert.rejects(nxt.downloadFile("Demo.rxe"), UnsupportedFeatureError);
+});
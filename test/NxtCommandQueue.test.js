@@ -0,0 +1,57 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  Nxt,
+  NxtVirtualCommunication,
+  NxtCommand,
+  replyMatches,
+} from "brickbridge";
+
+/**
+ * Virtual brick whose first reply arrives late
+ */
+class SlowBrick extends NxtVirtualCommunication {
+  constructor(delay) {
+    super();
+    this.delay = delay;
+  }
+
+  async receiveData() {
+    const delay = this.delay;
+    this.delay = 0;
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    return super.receiveData();
+  }
+}
+
+test("a late reply for another port is discarded", async () => {
+  const nxt = new Nxt();
+  await nxt.connect(new SlowBrick(150));
+  nxt.commandQueue.timeout = 50;
+
+  // Times out twice and takes the late reply, the two resent commands are
+  // answered as well
+  const a = await nxt.getOutputState(0);
+  assert.equal(a.port, 0);
+
+  const b = await nxt.getOutputState(1);
+  assert.equal(b.port, 1);
+});
+
+test("replies match on their opcode and echoed fields", () => {
+  const reply = new Uint8Array(25);
+  reply.set([0x02, 0x06, 0x00, 0x01]); // port B
+
+  const command = NxtCommand.GET_OUTPUT_STATE;
+  assert.ok(replyMatches(command, { port: 1 }, reply));
+  assert.ok(!replyMatches(command, { port: 0 }, reply));
+  assert.ok(!replyMatches(NxtCommand.GET_INPUT_VALUES, { port: 1 }, reply));
+
+  // Errors don't always carry their fields
+  assert.ok(
+    replyMatches(command, { port: 0 }, Uint8Array.of(0x02, 0x06, 0xc0))
+  );
+});
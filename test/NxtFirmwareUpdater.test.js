@@ -0,0 +1,177 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  NxtVirtualSamBa,
+  NxtFirmwareUpdater,
+  FlashMemory,
+  FlashController,
+  NxtTimeoutError,
+} from "brickbridge";
+
+// A bit more than one lock region, so the last page is only partly used
+const image = Uint8Array.from(
+  { length: FlashMemory.PAGES_PER_LOCK_REGION * FlashMemory.PAGE_SIZE + 100 },
+  (_, i) => (i * 7) & 0xff
+);
+const pages = FlashMemory.PAGES_PER_LOCK_REGION + 1;
+
+/**
+ * Bootloader whose second lock region stays locked, like a brick whose lock
+ * bits can't be cleared
+ */
+class StuckLockSamBa extends NxtVirtualSamBa {
+  _flashCommand(value) {
+    const page = (value >>> 8) & 0x3ff;
+
+    if (
+      (value & 0xff) === FlashController.UNLOCK &&
+      page >= FlashMemory.PAGES_PER_LOCK_REGION
+    ) {
+      this.busy = this.busyPolls;
+      return;
+    }
+
+    super._flashCommand(value);
+  }
+}
+
+/**
+ * Bootloader whose first reply arrives late, counting the receives that wait
+ * at the same time
+ */
+class SlowSamBa extends NxtVirtualSamBa {
+  constructor(delay) {
+    super();
+    this.delay = delay;
+    this.receiving = 0;
+    this.maxReceiving = 0;
+  }
+
+  async receiveData() {
+    const delay = this.delay;
+    this.delay = 0;
+
+    this.receiving++;
+    this.maxReceiving = Math.max(this.maxReceiving, this.receiving);
+
+    try {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return await super.receiveData();
+    } finally {
+      this.receiving--;
+    }
+  }
+}
+
+const connect = async (samba = new NxtVirtualSamBa()) => {
+  await samba.connect();
+
+  return { samba, updater: new NxtFirmwareUpdater(samba) };
+};
+
+test("an image is written page by page and started", async () => {
+  const { samba, updater } = await connect();
+  const progress = [];
+  updater.on("progress", (event) => progress.push(event));
+
+  await updater.flash(image);
+
+  for (let page = 0; page < pages - 1; page++) {
+    assert.deepEqual(
+      samba.readPage(page),
+      image.slice(
+        page * FlashMemory.PAGE_SIZE,
+        (page + 1) * FlashMemory.PAGE_SIZE
+      )
+    );
+  }
+
+  // The last page is padded like erased flash
+  const last = samba.readPage(pages - 1);
+  assert.deepEqual(
+    last.subarray(0, 100),
+    image.subarray((pages - 1) * FlashMemory.PAGE_SIZE)
+  );
+  assert.ok(last.subarray(100).every((byte) => byte === 0xff));
+  assert.ok(samba.readPage(pages).every((byte) => byte === 0xff));
+
+  assert.equal(samba.jumpedTo, 0x100000);
+  assert.equal(samba.connected, false);
+
+  assert.equal(progress.length, pages);
+  assert.deepEqual(progress.at(-1), {
+    page: pages,
+    pages,
+    loaded: image.length,
+    total: image.length,
+  });
+});
+
+test("writing a region that stays locked fails", async () => {
+  const { samba, updater } = await connect(new StuckLockSamBa());
+
+  await assert.rejects(updater.flash(image), {
+    message: `Writing flash page ${pages - 1} failed, page is locked`,
+  });
+
+  // The first region was written, the bootloader wasn't left
+  assert.deepEqual(samba.readPage(0), image.slice(0, FlashMemory.PAGE_SIZE));
+  assert.equal(samba.jumpedTo, null);
+});
+
+test("a page that reads back different fails verification", async () => {
+  const { samba, updater } = await connect(
+    new NxtVirtualSamBa({ corruptPages: [3] })
+  );
+
+  await assert.rejects(updater.flash(image), {
+    message: "Verification of flash page 3 failed",
+  });
+  assert.equal(samba.jumpedTo, null);
+});
+
+test("a corrupt page goes unnoticed without verify", async () => {
+  const { samba, updater } = await connect(
+    new NxtVirtualSamBa({ corruptPages: [3] })
+  );
+
+  await updater.flash(image, { verify: false, jump: false });
+
+  assert.notDeepEqual(
+    samba.readPage(3),
+    image.slice(3 * FlashMemory.PAGE_SIZE, 4 * FlashMemory.PAGE_SIZE)
+  );
+  assert.equal(samba.jumpedTo, null);
+});
+
+test("every page is sent as a single block", async () => {
+  const { samba, updater } = await connect();
+
+  await updater.flash(image, { jump: false });
+
+  const sends = samba.log.filter((command) => command.startsWith("S"));
+  assert.equal(sends.length, pages);
+  assert.equal(sends[1], "S00100100,00000100#");
+
+  // Only the mode register and the command register are written word by word
+  const words = samba.log.filter((command) => command.startsWith("W"));
+  assert.equal(words.length, 1 + 2 + pages);
+});
+
+test("a reply that arrives after its timeout is skipped", async () => {
+  const samba = new SlowSamBa(60);
+  await samba.connect();
+  const updater = new NxtFirmwareUpdater(samba, { timeout: 40 });
+
+  await assert.rejects(updater.getVersion(), NxtTimeoutError);
+
+  // The version arrives while the status is read, and is skipped
+  assert.equal(
+    await updater.readWord(FlashController.MC_FSR),
+    FlashController.FRDY
+  );
+  assert.equal(samba.maxReceiving, 1);
+  assert.equal(samba.replies.length, 0);
+});
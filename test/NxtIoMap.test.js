@@ -0,0 +1,164 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  Nxt,
+  NxtVirtualCommunication,
+  NxtModule,
+  IoMapDecoder,
+  NxtTimeoutError,
+  NxtStatus,
+} from "brickbridge";
+
+/**
+ * Virtual brick whose first reply arrives late
+ */
+class SlowBrick extends NxtVirtualCommunication {
+  constructor(delay) {
+    super();
+    this.delay = delay;
+  }
+
+  async receiveData() {
+    const delay = this.delay;
+    this.delay = 0;
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    return super.receiveData();
+  }
+}
+
+const connect = async (brick = new NxtVirtualCommunication()) => {
+  const nxt = new Nxt();
+  await nxt.connect(brick);
+
+  // Every byte of the display holds the low byte of its offset
+  brick.modules
+    .get(NxtModule.DISPLAY)
+    .ioMap.forEach((_, i, ioMap) => (ioMap[i] = i & 0xff));
+
+  return { nxt, brick };
+};
+
+test("reads larger than a packet are put together in order", async () => {
+  const { nxt } = await connect();
+
+  const data = await nxt.readIoMap(NxtModule.DISPLAY, 10, 120);
+
+  assert.deepEqual(
+    data,
+    Uint8Array.from({ length: 120 }, (_, i) => i + 10)
+  );
+});
+
+test("a chunk that times out fails the read instead of shifting it", async () => {
+  const { nxt } = await connect(new SlowBrick(150));
+  nxt.commandQueue.timeout = 50;
+
+  await assert.rejects(
+    nxt.readIoMap(NxtModule.DISPLAY, 0, 110),
+    NxtTimeoutError
+  );
+});
+
+test("writes larger than a packet are split up", async () => {
+  const { nxt, brick } = await connect();
+  const data = Uint8Array.from({ length: 120 }, (_, i) => 255 - i);
+
+  await nxt.writeIoMap(NxtModule.DISPLAY, 119, data);
+
+  const ioMap = brick.modules.get(NxtModule.DISPLAY).ioMap;
+  assert.deepEqual(ioMap.slice(119, 239), data);
+  assert.equal(ioMap[118], 118);
+  assert.equal(ioMap[239], 239);
+});
+
+test("reading past the end of an IO map fails", async () => {
+  const { nxt } = await connect();
+
+  await assert.rejects(nxt.readIoMap(NxtModule.UI, 40, 10), {
+    statusCode: NxtStatus.OUT_OF_BOUNDARY,
+  });
+});
+
+test("modules are listed by pattern", async () => {
+  const { nxt } = await connect();
+
+  const modules = await nxt.listModules("*.mod");
+  assert.deepEqual(
+    modules.map(({ name }) => name),
+    [
+      "Command.mod",
+      "Output.mod",
+      "Input.mod",
+      "Sound.mod",
+      "Display.mod",
+      "Ui.mod",
+    ]
+  );
+
+  assert.deepEqual(await nxt.listModules("Display.mod"), [
+    { name: "Display.mod", id: NxtModule.DISPLAY, size: 0, ioMapSize: 1719 },
+  ]);
+  assert.deepEqual(await nxt.listModules("Loader.mod"), []);
+});
+
+test("the UI module is decoded", async () => {
+  const { nxt, brick } = await connect();
+  const ioMap = brick.modules.get(NxtModule.UI).ioMap;
+  ioMap.set([0x40, 0x1f], 4); // 8000 mV
+  ioMap.set(
+    Array.from("Demo.rxe", (char) => char.charCodeAt(0)),
+    6
+  );
+  ioMap[33] = 10; // sleep timeout
+  ioMap[36] = 3; // volume
+
+  const ui = await nxt.readModule(NxtModule.UI);
+
+  assert.equal(ui.batteryVoltage, 8000);
+  assert.equal(ui.lmsFileName, "Demo.rxe");
+  assert.equal(ui.sleepTimeout, 10);
+  assert.equal(ui.volume, 3);
+});
+
+test("the output module is decoded per port", () => {
+  const data = new Uint8Array(IoMapDecoder[NxtModule.OUTPUT].length);
+  data.set([0x68, 0x01, 0x00, 0x00], 32); // port B tacho count 360
+  data.set([0xff, 0xff], 32 + 16); // rpm -1
+  data[32 + 20] = 0xb5; // speed -75
+  data[32 + 25] = 0x20; // running
+
+  const ports = IoMapDecoder[NxtModule.OUTPUT].decode(data);
+
+  assert.equal(ports.length, 3);
+  assert.equal(ports[0].tachoCount, 0);
+  assert.equal(ports[1].tachoCount, 360);
+  assert.equal(ports[1].motorRpm, -1);
+  assert.equal(ports[1].speed, -75);
+  assert.equal(ports[1].runState, 0x20);
+});
+
+test("the input module is decoded per port", () => {
+  const data = new Uint8Array(IoMapDecoder[NxtModule.INPUT].length);
+  data.set([0xe8, 0x03], 3 * 20 + 2); // port 4 raw AD value 1000
+  data.set([0x9c, 0xff], 3 * 20 + 6); // value -100
+  data[3 * 20 + 8] = 0x0b; // ultrasonic sensor
+
+  const ports = IoMapDecoder[NxtModule.INPUT].decode(data);
+
+  assert.equal(ports.length, 4);
+  assert.equal(ports[3].adRaw, 1000);
+  assert.equal(ports[3].sensorValue, -100);
+  assert.equal(ports[3].sensorType, 0x0b);
+  assert.equal(ports[0].sensorType, 0);
+});
+
+test("modules without a decoder can't be read as a whole", async () => {
+  const { nxt } = await connect();
+
+  await assert.rejects(nxt.readModule(NxtModule.DISPLAY), {
+    message: "No decoder for module 0x000a0001",
+  });
+});
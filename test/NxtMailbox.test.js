@@ -0,0 +1,141 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  Nxt,
+  NxtVirtualCommunication,
+  NxtMessage,
+  NxtStatus,
+} from "brickbridge";
+
+const connect = async (options = { runningProgram: "Demo.rxe" }) => {
+  const brick = new NxtVirtualCommunication(options);
+  const nxt = new Nxt();
+  await nxt.connect(brick);
+
+  return { nxt, brick };
+};
+
+const nextMessages = (iterable, count) => {
+  const iterator = iterable[Symbol.asyncIterator]();
+
+  return (async () => {
+    const messages = [];
+
+    for (let i = 0; i < count; i++) {
+      messages.push((await iterator.next()).value.text);
+    }
+
+    await iterator.return();
+    return messages;
+  })();
+};
+
+test("a message is sent to an inbox with a null terminator", async () => {
+  const { nxt, brick } = await connect();
+
+  await nxt.sendMessage(0, "start");
+  await nxt.sendMessage(1, Uint8Array.of(1, 2, 3));
+
+  assert.deepEqual(
+    brick.takeMessage(0),
+    Uint8Array.from("start", (char) => char.charCodeAt(0))
+  );
+  assert.deepEqual(brick.takeMessage(1), Uint8Array.of(1, 2, 3));
+});
+
+test("messages must fit a mailbox", async () => {
+  const { nxt } = await connect();
+
+  await assert.rejects(nxt.sendMessage(10, "reply"), {
+    message: "Inbox must be between 0 and 9",
+  });
+  await assert.rejects(nxt.sendMessage(0, "x".repeat(59)), {
+    message: "Message too long, max 58 bytes",
+  });
+});
+
+test("sending without a running program fails", async () => {
+  const { nxt } = await connect({});
+
+  await assert.rejects(nxt.sendMessage(0, "start"), {
+    statusCode: NxtStatus.NO_ACTIVE_PROGRAM,
+  });
+});
+
+test("a reply is read from a response mailbox", async () => {
+  const { nxt, brick } = await connect();
+  brick.postMessage(10, "ready");
+
+  const message = await nxt.readMessage(10);
+
+  assert.ok(message instanceof NxtMessage);
+  assert.equal(message.box, 10);
+  assert.equal(message.text, "ready");
+  assert.equal(await nxt.readMessage(10), null);
+});
+
+test("a message can be read without removing it", async () => {
+  const { nxt, brick } = await connect();
+  brick.postMessage(11, "keep");
+
+  assert.equal((await nxt.readMessage(11, 1, false)).text, "keep");
+  assert.equal((await nxt.readMessage(11)).text, "keep");
+  assert.equal(await nxt.readMessage(11), null);
+});
+
+test("a subscription emits the messages of every box", async () => {
+  const { nxt, brick } = await connect();
+  brick.postMessage(10, "a");
+  brick.postMessage(12, "b");
+  brick.postMessage(10, "c");
+
+  const subscription = nxt.subscribeMessages({ boxes: [10, 12], interval: 10 });
+  const received = [];
+  subscription.on("message", ({ box, text }) =>
+    received.push(`${box}:${text}`)
+  );
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  brick.postMessage(12, "d");
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  subscription.stop();
+
+  assert.deepEqual(received, ["10:a", "10:c", "12:b", "12:d"]);
+});
+
+test("ending one loop keeps the subscription going for the others", async () => {
+  const { nxt, brick } = await connect();
+  const subscription = nxt.subscribeMessages({ boxes: [10], interval: 10 });
+  const received = [];
+  subscription.on("message", ({ text }) => received.push(text));
+
+  try {
+    const first = nextMessages(subscription, 1);
+    const second = nextMessages(subscription, 3);
+
+    brick.postMessage(10, "one");
+    assert.deepEqual(await first, ["one"]);
+    assert.equal(subscription.stopped, false);
+
+    brick.postMessage(10, "two");
+    brick.postMessage(10, "three");
+    assert.deepEqual(await second, ["one", "two", "three"]);
+    assert.deepEqual(received, ["one", "two", "three"]);
+  } finally {
+    subscription.stop();
+  }
+});
+
+test("stop ends every loop", async () => {
+  const { nxt } = await connect();
+  const subscription = nxt.subscribeMessages({ boxes: [10], interval: 10 });
+
+  setTimeout(() => subscription.stop(), 30);
+
+  for await (const message of subscription) {
+    assert.fail(`unexpected message ${message.text}`);
+  }
+  assert.equal(subscription.stopped, true);
+});
@@ -0,0 +1,60 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Nxt, NxtVirtualCommunication, RunState } from "brickbridge";
+
+const connect = async () => {
+  const brick = new NxtVirtualCommunication();
+  const nxt = new Nxt();
+  await nxt.connect(brick);
+
+  return { brick, nxt };
+};
+
+test("rotate resolves once the tacho limit is reached", async () => {
+  const { nxt } = await connect();
+
+  await nxt.motors.A.rotate(90, 100, { pollInterval: 10 });
+
+  const { tachoCount, runState } = await nxt.motors.A.getOutputState();
+  assert.ok(tachoCount >= 90);
+  assert.equal(runState, RunState.RUNNING); // braking
+});
+
+test("rotate rejects a move that can't finish", async () => {
+  const { nxt } = await connect();
+
+  await assert.rejects(nxt.motors.A.rotate(90, 0), /must not be 0/);
+  await assert.rejects(nxt.motors.A.rotate(0, 75), /must not be 0/);
+});
+
+test("rotate stops the motor after the timeout", async () => {
+  const { nxt } = await connect();
+
+  // 1% power turns 10 degrees per second on the virtual brick
+  await assert.rejects(
+    nxt.motors.A.rotate(3600, 1, { pollInterval: 10, timeout: 100 }),
+    { name: "NxtTimeoutError" }
+  );
+
+  const { power } = await nxt.motors.A.getOutputState();
+  assert.equal(power, 0);
+});
+
+test("rotate stops the motor when aborted", async () => {
+  const { nxt } = await connect();
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+
+  await assert.rejects(
+    nxt.motors.A.rotate(3600, 1, {
+      pollInterval: 10,
+      signal: controller.signal,
+    }),
+    { name: "AbortError" }
+  );
+
+  const { power } = await nxt.motors.A.getOutputState();
+  assert.equal(power, 0);
+});
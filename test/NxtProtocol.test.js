@@ -0,0 +1,198 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  NxtCommand,
+  encodeCommand,
+  decodeCommand,
+  encodeReply,
+  decodeReply,
+} from "brickbridge";
+
+// Packets as laid out in the LEGO MINDSTORMS NXT Bluetooth Developer Kit,
+// written out by hand so they don't depend on the codec
+
+/**
+ * Characters of a string padded with null bytes to the field length
+ *
+ * @param {string} value
+ * @param {number} length
+ * @returns {number[]}
+ */
+const text = (value, length) =>
+  Array.from({ length }, (_, i) =>
+    i < value.length ? value.charCodeAt(i) : 0
+  );
+
+const vectors = [
+  {
+    name: "FIND_FIRST",
+    command: NxtCommand.FIND_FIRST,
+    request: { fileName: "*.rxe" },
+    requestBytes: [0x01, 0x86, ...text("*.rxe", 20)],
+    reply: { handle: 0, fileName: "Program.rxe", fileSize: 500 },
+    replyBytes: [
+      0x02,
+      0x86,
+      0x00, // status
+      0x00, // handle
+      ...text("Program.rxe", 20),
+      0xf4,
+      0x01,
+      0x00,
+      0x00, // 500 bytes
+    ],
+  },
+  {
+    name: "FIND_NEXT",
+    command: NxtCommand.FIND_NEXT,
+    request: { handle: 3 },
+    requestBytes: [0x01, 0x87, 0x03],
+    reply: { handle: 3, fileName: "Sound.rso", fileSize: 70000 },
+    replyBytes: [
+      0x02,
+      0x87,
+      0x00,
+      0x03,
+      ...text("Sound.rso", 20),
+      0x70,
+      0x11,
+      0x01,
+      0x00, // 70000 bytes
+    ],
+  },
+  {
+    name: "GET_DEVICE_INFO",
+    command: NxtCommand.GET_DEVICE_INFO,
+    request: {},
+    requestBytes: [0x01, 0x9b],
+    reply: {
+      nxtName: "Alpha",
+      btAddress: Uint8Array.of(0x00, 0x16, 0x53, 0x0a, 0x1b, 0x2c, 0x00),
+      btSignalStrength: 0,
+      freeUserFlash: 88448,
+    },
+    replyBytes: [
+      0x02,
+      0x9b,
+      0x00,
+      ...text("Alpha", 15),
+      0x00,
+      0x16,
+      0x53,
+      0x0a,
+      0x1b,
+      0x2c,
+      0x00, // address and a null byte
+      0x00,
+      0x00,
+      0x00,
+      0x00, // signal strength
+      0x80,
+      0x59,
+      0x01,
+      0x00, // 88448 bytes free
+    ],
+  },
+  {
+    name: "MESSAGE_READ",
+    command: NxtCommand.MESSAGE_READ,
+    request: { remoteInbox: 10, localInbox: 0, remove: true },
+    requestBytes: [0x00, 0x13, 0x0a, 0x00, 0x01],
+    reply: {
+      localInbox: 0,
+      messageSize: 6,
+      message: Uint8Array.from(text("hello", 59)),
+    },
+    replyBytes: [0x02, 0x13, 0x00, 0x00, 0x06, ...text("hello", 59)],
+  },
+  {
+    name: "READ_IO_MAP",
+    command: NxtCommand.READ_IO_MAP,
+    request: { moduleId: 0x000a0001, offset: 119, bytesToRead: 4 },
+    requestBytes: [0x01, 0x94, 0x01, 0x00, 0x0a, 0x00, 0x77, 0x00, 0x04, 0x00],
+    reply: {
+      moduleId: 0x000a0001,
+      bytesRead: 4,
+      data: Uint8Array.of(0xff, 0x00, 0x81, 0x18),
+    },
+    replyBytes: [
+      0x02, 0x94, 0x00, 0x01, 0x00, 0x0a, 0x00, 0x04, 0x00, 0xff, 0x00, 0x81,
+      0x18,
+    ],
+  },
+  {
+    name: "WRITE_IO_MAP",
+    command: NxtCommand.WRITE_IO_MAP,
+    request: {
+      moduleId: 0x000c0001,
+      offset: 28,
+      bytesToWrite: 1,
+      data: Uint8Array.of(2),
+    },
+    requestBytes: [
+      0x01, 0x95, 0x01, 0x00, 0x0c, 0x00, 0x1c, 0x00, 0x01, 0x00, 0x02,
+    ],
+    reply: { moduleId: 0x000c0001, bytesWritten: 1 },
+    replyBytes: [0x02, 0x95, 0x00, 0x01, 0x00, 0x0c, 0x00, 0x01, 0x00],
+  },
+];
+
+for (const vector of vectors) {
+  test(`${vector.name} request`, () => {
+    const packet = encodeCommand(vector.command, vector.request);
+    assert.deepEqual(packet, Uint8Array.from(vector.requestBytes));
+
+    const { command, requireReply, values } = decodeCommand(packet);
+    assert.equal(command, vector.command);
+    assert.equal(requireReply, true);
+    assert.deepEqual(values, vector.request);
+  });
+
+  test(`${vector.name} reply`, () => {
+    const packet = Uint8Array.from(vector.replyBytes);
+    assert.deepEqual(decodeReply(vector.command, packet), {
+      status: 0,
+      ...vector.reply,
+    });
+    assert.deepEqual(encodeReply(vector.command, 0, vector.reply), packet);
+  });
+}
+
+test("length fields are filled in", () => {
+  const packet = encodeCommand(NxtCommand.WRITE_IO_MAP, {
+    moduleId: 0x000c0001,
+    offset: 28,
+    data: Uint8Array.of(2),
+  });
+
+  assert.deepEqual(packet, Uint8Array.from(vectors[5].requestBytes));
+});
+
+test("commands without a reply set the high bit of the type", () => {
+  const packet = encodeCommand(
+    NxtCommand.MESSAGE_READ,
+    { remoteInbox: 10, localInbox: 0, remove: true },
+    { requireReply: false }
+  );
+
+  assert.equal(packet[0], 0x80);
+  assert.equal(decodeCommand(packet).requireReply, false);
+});
+
+test("replies with an error status only hold the status", () => {
+  const packet = Uint8Array.of(0x02, 0x86, 0x87); // file not found
+
+  assert.deepEqual(decodeReply(NxtCommand.FIND_FIRST, packet), {
+    status: 0x87,
+  });
+  assert.deepEqual(encodeReply(NxtCommand.FIND_FIRST, 0x87), packet);
+});
+
+test("a reply to another command is rejected", () => {
+  assert.throws(
+    () => decodeReply(NxtCommand.FIND_NEXT, Uint8Array.of(0x02, 0x86, 0x00)),
+    /not a reply to FIND_NEXT/
+  );
+});
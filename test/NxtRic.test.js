@@ -0,0 +1,145 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBitmap, encodeRic, decodeRic } from "brickbridge";
+
+// A 3x2 image:
+//   X.X
+//   .X.
+const bitmap = {
+  width: 3,
+  height: 2,
+  pixels: Uint8Array.of(1, 0, 1, 0, 1, 0),
+};
+
+// The image as a RIC file, written out by hand
+const ric = Uint8Array.from([
+  ...[0x08, 0x00, 0x00, 0x00], // 8 bytes, description
+  ...[0x00, 0x00, 0x03, 0x00, 0x02, 0x00], // options, width, height
+  ...[0x0a, 0x00, 0x01, 0x00], // 10 bytes, sprite
+  ...[0x01, 0x00, 0x02, 0x00, 0x01, 0x00], // address 1, 2 rows of 1 byte
+  ...[0xa0, 0x40], // rows top to bottom
+  ...[0x12, 0x00, 0x03, 0x00], // 18 bytes, copy bits
+  ...[0x00, 0x00, 0x01, 0x00], // options, sprite 1
+  ...[0x00, 0x00, 0x00, 0x00, 0x03, 0x00, 0x02, 0x00], // source x, y, width, height
+  ...[0x00, 0x00, 0x00, 0x00], // destination x, y
+]);
+
+/**
+ * Encode an opcode with its size word
+ *
+ * @param {number} opcode
+ * @param {number[]} words
+ * @returns {number[]}
+ */
+const opcode = (opcode, words) =>
+  [2 + words.length * 2, opcode, ...words].flatMap((word) => [
+    word & 0xff,
+    (word >> 8) & 0xff,
+  ]);
+
+/**
+ * Draw a bitmap as text, X for black pixels
+ *
+ * @param {{ width: number, height: number, pixels: Uint8Array }} bitmap
+ * @returns {string[]}
+ */
+const rows = ({ width, height, pixels }) =>
+  Array.from({ length: height }, (_, y) =>
+    Array.from(pixels.slice(y * width, (y + 1) * width), (pixel) =>
+      pixel ? "X" : "."
+    ).join("")
+  );
+
+test("a bitmap is encoded as description, sprite and copy bits", () => {
+  assert.deepEqual(encodeRic(bitmap), ric);
+});
+
+test("a RIC file is decoded to the bitmap it was encoded from", () => {
+  assert.deepEqual(decodeRic(ric), bitmap);
+  assert.deepEqual(decodeRic(ric.buffer), bitmap);
+});
+
+test("sprite rows are padded to whole bytes and an even length", () => {
+  const wide = createBitmap(9, 3);
+  wide.pixels[8] = 1; // top right
+  wide.pixels[18] = 1; // bottom left
+
+  const encoded = encodeRic(wide);
+
+  // 2 bytes per row, 6 bytes of sprite data
+  assert.deepEqual(
+    Array.from(encoded.slice(10, 26)),
+    [
+      0x0e, 0x00, 0x01, 0x00, 0x01, 0x00, 0x03, 0x00, 0x02, 0x00, 0x00, 0x80,
+      0x00, 0x00, 0x80, 0x00,
+    ]
+  );
+  assert.deepEqual(decodeRic(encoded), wide);
+
+  // A single byte of sprite data is padded
+  const narrow = encodeRic(createBitmap(1, 1));
+  assert.deepEqual(
+    Array.from(narrow.slice(10, 22)),
+    [0x0a, 0x00, 0x01, 0x00, 0x01, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00, 0x00]
+  );
+  assert.deepEqual(decodeRic(narrow), createBitmap(1, 1));
+});
+
+test("shapes are drawn from the bottom left", () => {
+  const decoded = decodeRic(
+    Uint8Array.from([
+      ...opcode(0, [0, 5, 4]), // description, 5x4
+      ...opcode(6, [0, 0, 0, 4, 2]), // rectangle at 0,0 of 4x2
+      ...opcode(5, [0, 2, 3]), // pixel at 2,3
+    ])
+  );
+
+  assert.deepEqual(rows(decoded), ["..X..", "XXXXX", "X...X", "XXXXX"]);
+});
+
+test("lines and circles are drawn", () => {
+  const decoded = decodeRic(
+    Uint8Array.from([
+      ...opcode(0, [0, 5, 5]),
+      ...opcode(4, [0, 0, 0, 4, 4]), // diagonal line
+      ...opcode(7, [0, 2, 2, 1]), // circle around the center
+    ])
+  );
+
+  assert.deepEqual(rows(decoded), [
+    "....X",
+    ".XXX.",
+    ".XXX.",
+    ".XXX.",
+    "X....",
+  ]);
+});
+
+test("files without a description draw on the whole display", () => {
+  const decoded = decodeRic(Uint8Array.from(opcode(5, [0, 0, 0])));
+
+  assert.equal(decoded.width, 100);
+  assert.equal(decoded.height, 64);
+  assert.equal(decoded.pixels[63 * 100], 1);
+  assert.equal(
+    decoded.pixels.reduce((sum, pixel) => sum + pixel),
+    1
+  );
+});
+
+test("invalid files are rejected", () => {
+  assert.throws(() => encodeRic(createBitmap(101, 10)), {
+    message: "Image too large, max 100x64 pixels",
+  });
+  assert.throws(() => decodeRic(ric.slice(0, 14)), {
+    message: "Invalid RIC file, opcode at 10 is truncated",
+  });
+  assert.throws(() => decodeRic(ric.slice(22)), {
+    message: "Invalid RIC file, no sprite 1",
+  });
+  assert.throws(() => decodeRic(Uint8Array.from(opcode(8, [0]))), {
+    message: "Invalid RIC file, nothing to draw",
+  });
+});
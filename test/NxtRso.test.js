@@ -0,0 +1,168 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RsoFormat, decodeWav, encodeRso } from "brickbridge";
+
+/**
+ * Bytes of a four character code
+ *
+ * @param {string} id
+ * @returns {number[]}
+ */
+const fourCc = (id) => Array.from(id, (char) => char.charCodeAt(0));
+
+// A 16-bit mono WAV file at 8000 Hz with five samples, written out by hand
+const wav = Uint8Array.from([
+  ...fourCc("RIFF"),
+  ...[0x2e, 0x00, 0x00, 0x00], // 46 bytes follow
+  ...fourCc("WAVE"),
+  ...fourCc("fmt "),
+  ...[0x10, 0x00, 0x00, 0x00], // 16 byte chunk
+  ...[0x01, 0x00], // PCM
+  ...[0x01, 0x00], // mono
+  ...[0x40, 0x1f, 0x00, 0x00], // 8000 Hz
+  ...[0x80, 0x3e, 0x00, 0x00], // 16000 bytes per second
+  ...[0x02, 0x00], // 2 bytes per frame
+  ...[0x10, 0x00], // 16 bits per sample
+  ...fourCc("data"),
+  ...[0x0a, 0x00, 0x00, 0x00], // 10 bytes of samples
+  ...[0x00, 0x00], // 0
+  ...[0x00, 0x40], // 0.5
+  ...[0x00, 0xc0], // -0.5
+  ...[0xff, 0x7f], // just below 1
+  ...[0x00, 0x80], // -1
+]);
+
+// The same sound as an RSO file
+const rso = Uint8Array.from([
+  ...[0x01, 0x00], // sampled sound
+  ...[0x00, 0x05], // 5 samples
+  ...[0x1f, 0x40], // 8000 Hz
+  ...[0x00, 0x00], // play mode
+  ...[128, 191, 64, 255, 0],
+]);
+
+test("a WAV file is encoded with an RSO header", () => {
+  assert.deepEqual(encodeRso(wav), rso);
+  assert.deepEqual(encodeRso(wav.buffer), rso);
+});
+
+test("the sample rate and play mode go in the header", () => {
+  const encoded = encodeRso(
+    { samples: new Float32Array(4), sampleRate: 11025 },
+    { sampleRate: 11025, playMode: 1 }
+  );
+
+  assert.deepEqual(
+    encoded.slice(0, RsoFormat.HEADER_SIZE),
+    Uint8Array.of(0x01, 0x00, 0x00, 0x04, 0x2b, 0x11, 0x00, 0x01)
+  );
+});
+
+test("a WAV file is decoded into float channels", () => {
+  const { sampleRate, channels } = decodeWav(wav);
+
+  assert.equal(sampleRate, 8000);
+  assert.equal(channels.length, 1);
+  assert.deepEqual(Array.from(channels[0]), [0, 0.5, -0.5, 32767 / 32768, -1]);
+});
+
+test("stereo 8-bit samples are mixed down, skipping other chunks", () => {
+  const stereo = Uint8Array.from([
+    ...fourCc("RIFF"),
+    ...[0x2e, 0x00, 0x00, 0x00],
+    ...fourCc("WAVE"),
+    ...fourCc("LIST"),
+    ...[0x03, 0x00, 0x00, 0x00, 0x61, 0x62, 0x63, 0x00], // padded to 4 bytes
+    ...fourCc("fmt "),
+    ...[0x10, 0x00, 0x00, 0x00],
+    ...[0x01, 0x00], // PCM
+    ...[0x02, 0x00], // stereo
+    ...[0x40, 0x1f, 0x00, 0x00], // 8000 Hz
+    ...[0x80, 0x3e, 0x00, 0x00],
+    ...[0x02, 0x00],
+    ...[0x08, 0x00], // 8 bits per sample
+    ...fourCc("data"),
+    ...[0x04, 0x00, 0x00, 0x00],
+    ...[0xff, 0x01], // left and right cancel out
+    ...[0xc0, 0xc0], // both 0.5
+  ]);
+
+  assert.deepEqual(
+    encodeRso(stereo).slice(RsoFormat.HEADER_SIZE),
+    Uint8Array.of(128, 191)
+  );
+});
+
+test("32-bit float samples are decoded", () => {
+  const float = new Uint8Array(44 + 8);
+  const view = new DataView(float.buffer);
+  float.set([...fourCc("RIFF"), 0, 0, 0, 0, ...fourCc("WAVE")]);
+  float.set([...fourCc("fmt "), 16, 0, 0, 0, 3, 0, 1, 0], 12);
+  view.setUint32(24, 8000, true);
+  view.setUint16(34, 32, true);
+  float.set([...fourCc("data"), 8, 0, 0, 0], 36);
+  view.setFloat32(44, 0.25, true);
+  view.setFloat32(48, -0.75, true);
+
+  assert.deepEqual(Array.from(decodeWav(float).channels[0]), [0.25, -0.75]);
+});
+
+test("downsampling averages the samples of each output sample", () => {
+  const encoded = encodeRso({
+    samples: Float32Array.of(0, 1, 0, 1, 0, -1, 0, -1),
+    sampleRate: 16000,
+  });
+
+  assert.deepEqual(
+    encoded.slice(RsoFormat.HEADER_SIZE),
+    Uint8Array.of(191, 191, 64, 64)
+  );
+});
+
+test("upsampling interpolates between samples", () => {
+  const encoded = encodeRso({
+    samples: Int16Array.of(0, 0x4000),
+    sampleRate: 4000,
+  });
+
+  assert.deepEqual(
+    encoded.slice(RsoFormat.HEADER_SIZE),
+    Uint8Array.of(128, 159, 191, 191)
+  );
+});
+
+test("interleaved unsigned 8-bit PCM is mixed down", () => {
+  const encoded = encodeRso({
+    samples: Uint8Array.of(128, 255, 0, 0),
+    sampleRate: 8000,
+    channelCount: 2,
+  });
+
+  assert.deepEqual(encoded.slice(RsoFormat.HEADER_SIZE), Uint8Array.of(191, 0));
+});
+
+test("invalid sounds are rejected", () => {
+  assert.throws(() => encodeRso(wav, { sampleRate: 1000 }), {
+    message: "Sample rate must be between 2000 and 16000 Hz",
+  });
+  assert.throws(() => decodeWav(new Uint8Array(44)), {
+    message: "Invalid WAV file",
+  });
+  assert.throws(() => decodeWav(wav.slice(0, 36)), {
+    message: "Invalid WAV file, missing format or data",
+  });
+
+  const twelveBit = Uint8Array.from(wav);
+  twelveBit[34] = 12;
+  assert.throws(() => decodeWav(twelveBit), {
+    message: "Unsupported WAV format 1 with 12-bit samples",
+  });
+
+  assert.throws(
+    () => encodeRso({ samples: new Float32Array(0x10000), sampleRate: 8000 }),
+    { message: "Sound too long, max 65535 samples (8.2 s at 8000 Hz)" }
+  );
+  assert.throws(() => encodeRso("beep"), /Invalid sound/);
+});
@@ -0,0 +1,178 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FirmwareFlavour,
+  RxeIssue,
+  parseRxeHeader,
+  inspectRxe,
+} from "brickbridge";
+
+// An executable laid out as the NXT executable file specification describes
+// it, written out by hand so it doesn't depend on the parser
+const rxe = [
+  ...Array.from("MindstormsNXT", (char) => char.charCodeAt(0)),
+  0x00,
+  0x00,
+  0x05, // format version 5, big endian
+  0x02,
+  0x00, // 2 table of contents entries
+  0x10,
+  0x00, // 16 bytes of dataspace
+  0x08,
+  0x00, // 8 bytes static
+  0x04,
+  0x00, // 4 bytes of default data
+  0x02,
+  0x00, // dynamic defaults start at 2
+  0x02,
+  0x00, // 2 bytes of dynamic defaults
+  0xff,
+  0xff, // memory manager head
+  0xff,
+  0xff, // memory manager tail
+  0x00,
+  0x00, // dope vector offset
+  0x01,
+  0x00, // 1 clump
+  0x03,
+  0x00, // 3 code words
+  ...[0x02, 0x00, 0x00, 0x00, 0x02, 0x00, 0x02, 0x00], // table of contents
+  ...[0x00, 0x00, 0x00, 0x00], // default data
+  ...[0x00, 0x00, 0x00, 0x00], // clump record
+  ...[0x00, 0x00, 0x00, 0x00, 0x00, 0x00], // code
+];
+
+/**
+ * The example executable with some bytes replaced
+ *
+ * @param {Object<number, number>} changes // byte by offset
+ * @returns {Uint8Array}
+ */
+const patch = (changes) => {
+  const data = Uint8Array.from(rxe);
+  Object.entries(changes).forEach(([offset, byte]) => {
+    data[offset] = byte;
+  });
+  return data;
+};
+
+test("the header is parsed", () => {
+  assert.deepEqual(parseRxeHeader(Uint8Array.from(rxe)), {
+    formatVersion: 5,
+    dataspace: {
+      tocCount: 2,
+      initialSize: 16,
+      staticSize: 8,
+      defaultDataSize: 4,
+      dynamicDefaultOffset: 2,
+      dynamicDefaultSize: 2,
+      memoryManagerHead: 0xffff,
+      memoryManagerTail: 0xffff,
+      dopeVectorOffset: 0,
+    },
+    clumpCount: 1,
+    codeWordCount: 3,
+    fileSize: 60,
+    minimumSize: 60,
+  });
+});
+
+test("an array buffer can be parsed", () => {
+  assert.equal(parseRxeHeader(Uint8Array.from(rxe).buffer).formatVersion, 5);
+});
+
+test("files that aren't an executable are rejected", () => {
+  assert.throws(
+    () => parseRxeHeader(Uint8Array.from("RIFF", (char) => char.charCodeAt(0))),
+    { message: "Invalid file format, not an NXT executable" }
+  );
+});
+
+test("a valid executable has no issues", () => {
+  assert.deepEqual(
+    inspectRxe(Uint8Array.from(rxe), { flavour: FirmwareFlavour.LEGO }).issues,
+    []
+  );
+});
+
+test("a file cut off in the header is truncated", () => {
+  const { valid, header, issues } = inspectRxe(
+    Uint8Array.from(rxe.slice(0, 20))
+  );
+
+  assert.equal(valid, false);
+  assert.equal(header, null);
+  assert.deepEqual(issues, [
+    {
+      type: RxeIssue.TRUNCATED,
+      message:
+        "File is truncated, the header needs 38 bytes but the file has 20",
+    },
+  ]);
+});
+
+test("a file cut off in its sections is truncated", () => {
+  const { issues } = inspectRxe(Uint8Array.from(rxe.slice(0, 56)));
+
+  assert.deepEqual(issues, [
+    {
+      type: RxeIssue.TRUNCATED,
+      message:
+        "File is truncated, the header describes at least 60 bytes but the file has 56",
+    },
+  ]);
+});
+
+test("a file that isn't an executable is corrupt", () => {
+  const { issues } = inspectRxe(new Uint8Array(60));
+
+  assert.deepEqual(
+    issues.map(({ type }) => type),
+    [RxeIssue.CORRUPT]
+  );
+});
+
+test("headers that contradict themselves are corrupt", () => {
+  const issues = (changes) =>
+    inspectRxe(patch(changes)).issues.map(({ message }) => message);
+
+  assert.deepEqual(issues({ 36: 0x00 }), ["Program has no code"]);
+  assert.deepEqual(issues({ 24: 0x03 }), [
+    "Dynamic default data lies outside the default data",
+  ]);
+  assert.deepEqual(issues({ 20: 0x11 }), [
+    "Static dataspace is larger than the whole dataspace",
+  ]);
+});
+
+test("a dataspace larger than the brick's RAM is incompatible", () => {
+  const { issues } = inspectRxe(patch({ 18: 0x01, 19: 0x80 })); // 32769 bytes
+
+  assert.deepEqual(issues, [
+    {
+      type: RxeIssue.INCOMPATIBLE,
+      message: "Dataspace needs 32769 bytes, the brick has 32768",
+    },
+  ]);
+});
+
+test("format version 6 only runs on the enhanced firmware", () => {
+  const data = patch({ 15: 0x06 });
+
+  assert.deepEqual(
+    inspectRxe(data, { flavour: FirmwareFlavour.ENHANCED }).issues,
+    []
+  );
+  assert.deepEqual(inspectRxe(data, { flavour: FirmwareFlavour.LEGO }).issues, [
+    {
+      type: RxeIssue.INCOMPATIBLE,
+      message:
+        "File format version 6 doesn't run on the lego firmware, it runs version 5",
+    },
+  ]);
+
+  // Without a flavour the version isn't checked
+  assert.deepEqual(inspectRxe(data).issues, []);
+});
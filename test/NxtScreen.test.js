@@ -0,0 +1,127 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { inflateSync } from "node:zlib";
+import {
+  Nxt,
+  NxtVirtualCommunication,
+  NxtModule,
+  DisplayMap,
+  UiMap,
+  Button,
+  decodeFramebuffer,
+  bitmapToPng,
+} from "brickbridge";
+
+// Display memory with four pixels set: the top left, the bottom of the
+// first line at the right edge, and the top and bottom of the last line in
+// the middle
+const framebuffer = new Uint8Array(DisplayMap.SIZE);
+framebuffer[0] = 0x01;
+framebuffer[99] = 0x80;
+framebuffer[7 * 100 + 50] = 0x81;
+
+const blackPixels = [0 * 100 + 0, 7 * 100 + 99, 56 * 100 + 50, 63 * 100 + 50];
+
+// A 3x2 image:
+//   X.X
+//   .X.
+const bitmap = {
+  width: 3,
+  height: 2,
+  pixels: Uint8Array.of(1, 0, 1, 0, 1, 0),
+};
+
+// The image as a PNG file, CRCs and checksum worked out independently
+const png = Uint8Array.from([
+  ...[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], // signature
+  ...[0x00, 0x00, 0x00, 0x0d, 0x49, 0x48, 0x44, 0x52], // IHDR, 13 bytes
+  ...[0x00, 0x00, 0x00, 0x03, 0x00, 0x00, 0x00, 0x02], // 3x2
+  ...[0x01, 0x00, 0x00, 0x00, 0x00], // 1-bit grayscale
+  ...[0xb5, 0x0f, 0x5b, 0xb7],
+  ...[0x00, 0x00, 0x00, 0x0f, 0x49, 0x44, 0x41, 0x54], // IDAT, 15 bytes
+  ...[0x78, 0x01], // zlib header
+  ...[0x01, 0x04, 0x00, 0xfb, 0xff], // last stored block of 4 bytes
+  ...[0x00, 0x40, 0x00, 0xa0], // rows with filter type 0, white is 1
+  ...[0x01, 0x64, 0x00, 0xe1], // adler-32
+  ...[0x01, 0x04, 0x67, 0xb2],
+  ...[0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4e, 0x44], // IEND
+  ...[0xae, 0x42, 0x60, 0x82],
+]);
+
+const connect = async () => {
+  const brick = new NxtVirtualCommunication();
+  const nxt = new Nxt();
+  await nxt.connect(brick);
+
+  return { nxt, brick };
+};
+
+test("display memory is decoded column by column", () => {
+  const { width, height, pixels } = decodeFramebuffer(framebuffer);
+
+  assert.equal(width, 100);
+  assert.equal(height, 64);
+  assert.deepEqual(
+    pixels.reduce((black, pixel, i) => (pixel ? [...black, i] : black), []),
+    blackPixels
+  );
+});
+
+test("a bitmap is encoded as a PNG image", () => {
+  assert.deepEqual(bitmapToPng(bitmap), png);
+});
+
+test("a screen sized PNG image holds every row", () => {
+  const encoded = bitmapToPng(decodeFramebuffer(framebuffer));
+  const view = new DataView(encoded.buffer);
+
+  assert.equal(view.getUint32(16), 100);
+  assert.equal(view.getUint32(20), 64);
+
+  const rows = inflateSync(encoded.subarray(41, 41 + view.getUint32(33)));
+  assert.equal(rows.length, 64 * 14);
+  assert.equal(rows[1], 0x7f); // black pixel at the top left
+  assert.equal(rows[2], 0xff);
+});
+
+test("the screen is captured from the display module", async () => {
+  const { nxt, brick } = await connect();
+  brick.modules
+    .get(NxtModule.DISPLAY)
+    .ioMap.set(framebuffer, DisplayMap.NORMAL_OFFSET);
+
+  const { pixels } = await nxt.captureScreen();
+
+  assert.deepEqual(pixels, decodeFramebuffer(framebuffer).pixels);
+});
+
+test("a mirror emits the first frame and then only changes", async () => {
+  const { nxt, brick } = await connect();
+  const display = brick.modules.get(NxtModule.DISPLAY).ioMap;
+  const mirror = nxt.mirrorScreen({ interval: 10 });
+  const frames = [];
+  mirror.on("frame", (frame) => frames.push(frame));
+
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  display[DisplayMap.NORMAL_OFFSET] = 0x01;
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  mirror.stop();
+
+  assert.equal(frames.length, 2);
+  assert.equal(frames[0].pixels[0], 0);
+  assert.equal(frames[1].pixels[0], 1);
+});
+
+test("a button press is written to the UI module", async () => {
+  const { nxt, brick } = await connect();
+
+  await nxt.pressButton(Button.ENTER);
+
+  assert.equal(
+    brick.modules.get(NxtModule.UI).ioMap[UiMap.BUTTON_OFFSET],
+    Button.ENTER
+  );
+  await assert.rejects(nxt.pressButton(5), { message: "Invalid button" });
+});
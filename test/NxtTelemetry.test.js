@@ -0,0 +1,62 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Nxt, NxtVirtualCommunication } from "brickbridge";
+
+const connect = async () => {
+  const nxt = new Nxt();
+  await nxt.connect(new NxtVirtualCommunication());
+
+  return nxt;
+};
+
+const take = async (iterable, count) => {
+  const samples = [];
+
+  for await (const sample of iterable) {
+    samples.push(sample);
+
+    if (samples.length === count) {
+      break;
+    }
+  }
+
+  return samples;
+};
+
+test("breaking out of one loop keeps polling for the others", async () => {
+  const nxt = await connect();
+  const telemetry = nxt.startTelemetry(["battery"], { rate: 100 });
+  const recording = telemetry.record();
+
+  try {
+    const [first, second] = await Promise.all([
+      take(telemetry, 2),
+      take(telemetry, 5),
+    ]);
+
+    assert.equal(first.length, 2);
+    assert.equal(second.length, 5);
+    assert.equal(telemetry.stopped, false);
+
+    // A loop started after the break still gets samples
+    const [sample] = await take(telemetry, 1);
+    assert.equal(sample.battery, 8000);
+    assert.equal(telemetry.buffers.size, 0);
+  } finally {
+    telemetry.stop();
+  }
+
+  assert.ok(recording.samples.length >= 6);
+});
+
+test("stop ends every loop", async () => {
+  const nxt = await connect();
+  const telemetry = nxt.startTelemetry(["battery"], { rate: 100 });
+
+  setTimeout(() => telemetry.stop(), 50);
+
+  const samples = await take(telemetry, Infinity);
+  assert.ok(samples.length > 0);
+});
@@ -0,0 +1,786 @@
+// BrickBridge - Copyright (c) 2025 Roemer Peters - MIT License
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  Nxt,
+  NxtVirtualCommunication,
+  NxtStatus,
+  NxtStatusError,
+  NxtTimeoutError,
+  NxtTransportError,
+  InputPort,
+  SensorType,
+  SensorMode,
+  TouchSensor,
+  LightSensor,
+  SoundSensor,
+  UltrasonicSensor,
+  UltrasonicCommand,
+  registerI2cDriver,
+  createI2cSensor,
+  parseMelody,
+} from "brickbridge";
+
+/**
+ * Build a minimal executable the RXE check accepts
+ *
+ * @returns {Uint8Array}
+ */
+const createRxe = () => {
+  const data = new Uint8Array(38 + 2 * 4 + 4 + 4 + 3 * 2);
+  const view = new DataView(data.buffer);
+
+  data.set(Array.from("MindstormsNXT", (char) => char.charCodeAt(0)));
+  view.setUint16(14, 5); // format version
+  [2, 16, 8, 4, 2, 2, 0xffff, 0xffff, 0].forEach((word, i) =>
+    view.setUint16(16 + i * 2, word, true)
+  );
+  view.setUint16(34, 1, true); // clumps
+  view.setUint16(36, 3, true); // code words
+
+  return data;
+};
+
+const connect = async (options) => {
+  const brick = new NxtVirtualCommunication(options);
+  const nxt = new Nxt();
+  await nxt.connect(brick);
+
+  return { brick, nxt };
+};
+
+/**
+ * Wait the given time in ms
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("uploaded programs are listed and can be downloaded", async () => {
+  const { nxt } = await connect();
+  const rxe = createRxe();
+
+  await nxt.uploadProgram(new File([rxe], "Test.rxe"));
+
+  assert.deepEqual(await nxt.listFiles(), [
+    { name: "Test.rxe", size: rxe.length },
+  ]);
+
+  const downloaded = await nxt.downloadFile("Test.rxe");
+  assert.deepEqual(new Uint8Array(await downloaded.arrayBuffer()), rxe);
+});
+
+test("an injected file not found error fails delete", async () => {
+  const { brick, nxt } = await connect({
+    files: { "Keep.rxe": new Uint8Array(10) },
+  });
+
+  brick.injectError(0x85, NxtStatus.FILE_NOT_FOUND); // 135
+
+  await assert.rejects(nxt.deleteFile("Keep.rxe"), (error) => {
+    assert.ok(error instanceof NxtStatusError);
+    assert.equal(error.statusCode, 135);
+    assert.equal(error.code, "FILE_NOT_FOUND");
+    return true;
+  });
+  assert.ok(brick.files.has("Keep.rxe"));
+
+  // Only the next command fails
+  await nxt.deleteFile("Keep.rxe");
+  assert.ok(!brick.files.has("Keep.rxe"));
+});
+
+test("an injected no active program error fails stop", async () => {
+  const { brick, nxt } = await connect({ runningProgram: "Test.rxe" });
+
+  brick.injectError(0x01, NxtStatus.NO_ACTIVE_PROGRAM); // 236
+
+  await assert.rejects(nxt.stopProgram(), {
+    name: "NxtStatusError",
+    statusCode: 236,
+    code: "NO_ACTIVE_PROGRAM",
+  });
+  assert.equal(brick.runningProgram, "Test.rxe");
+});
+
+test("an upload without enough free flash keeps the old file", async () => {
+  const { brick, nxt } = await connect({
+    flashSize: 1000,
+    files: {
+      "keep.rxe": new Uint8Array(600),
+      "other.txt": new Uint8Array(300),
+    },
+  });
+
+  await assert.rejects(
+    nxt.uploadFile(new File([new Uint8Array(900)], "keep.rxe")),
+    /only 700 bytes are free/
+  );
+  assert.deepEqual((await nxt.listFiles()).map((file) => file.name).sort(), [
+    "keep.rxe",
+    "other.txt",
+  ]);
+
+  // The space of the old version counts towards the free flash
+  await nxt.uploadFile(new File([new Uint8Array(700)], "keep.rxe"));
+  assert.equal(brick.files.get("keep.rxe").length, 700);
+});
+
+test("a program is uploaded, run and waited for", async () => {
+  const { brick, nxt } = await connect({ programDuration: 60 });
+  const events = [];
+  nxt.on("programstart", (event) => events.push(["start", event]));
+  nxt.on("programstop", (event) => events.push(["stop", event]));
+
+  const { name, duration } = await nxt.runProgram(
+    new File([createRxe()], "Test.rxe"),
+    { pollInterval: 10 }
+  );
+
+  assert.equal(name, "Test.rxe");
+  // Measured from the reply, so it can end up a bit short of the brick's clock
+  assert.ok(duration >= 50);
+  assert.ok(brick.files.has("Test.rxe"));
+  assert.equal(brick.runningProgram, null);
+  assert.deepEqual(events, [
+    ["start", { name: "Test.rxe" }],
+    ["stop", { name: "Test.rxe", duration }],
+  ]);
+});
+
+test("a program still running after the timeout is stopped", async () => {
+  const { brick, nxt } = await connect({ files: { "Loop.rxe": createRxe() } });
+  const stops = [];
+  nxt.on("programstop", (event) => stops.push(event));
+
+  await assert.rejects(
+    nxt.runProgram("Loop.rxe", { timeout: 50, pollInterval: 10 }),
+    (error) => {
+      assert.ok(error instanceof NxtTimeoutError);
+      assert.equal(
+        error.message,
+        'Program "Loop.rxe" still running after 50 ms'
+      );
+      return true;
+    }
+  );
+  assert.equal(brick.runningProgram, null);
+  assert.equal(stops.length, 1);
+  assert.equal(stops[0].name, "Loop.rxe");
+});
+
+test("an aborted run stops the program", async () => {
+  const { brick, nxt } = await connect({ files: { "Loop.rxe": createRxe() } });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 30);
+
+  await assert.rejects(
+    nxt.runProgram("Loop.rxe", {
+      pollInterval: 10,
+      signal: controller.signal,
+    }),
+    { name: "AbortError" }
+  );
+  assert.equal(brick.runningProgram, null);
+});
+
+test("a program started without waiting emits programstop when stopped", async () => {
+  const { brick, nxt } = await connect({ files: { "Loop.rxe": createRxe() } });
+  const stops = [];
+  nxt.on("programstop", (event) => stops.push(event));
+
+  assert.deepEqual(await nxt.runProgram("Loop.rxe", { wait: false }), {
+    name: "Loop.rxe",
+    duration: null,
+  });
+  assert.equal(brick.runningProgram, "Loop.rxe");
+  assert.equal(stops.length, 0);
+
+  await nxt.stopProgram();
+
+  assert.equal(brick.runningProgram, null);
+  assert.equal(stops.length, 1);
+  assert.equal(stops[0].name, "Loop.rxe");
+  assert.ok(stops[0].duration >= 0);
+
+  // A program started on the brick itself isn't known by name
+  brick.runningProgram = "Menu.rxe";
+  await nxt.stopProgram();
+  assert.deepEqual(stops[1], { name: null, duration: null });
+});
+
+test("a touch sensor sets up its port and reads pressed", async () => {
+  const { brick, nxt } = await connect();
+  const touch = new TouchSensor(nxt, InputPort.S1);
+
+  assert.equal(await touch.isPressed(), false);
+  assert.equal(brick.inputs[0].type, SensorType.SWITCH);
+  assert.equal(brick.inputs[0].mode, SensorMode.BOOLEAN);
+
+  brick.setSensorValue(0, 100);
+  assert.equal(await touch.isPressed(), true);
+});
+
+test("a light sensor switches its floodlight", async () => {
+  const { brick, nxt } = await connect();
+  const light = new LightSensor(nxt, InputPort.S3);
+  brick.setSensorValue(2, 0);
+
+  assert.equal(await light.getLightLevel(), 100);
+  assert.equal(brick.inputs[2].type, SensorType.LIGHT_ACTIVE);
+
+  await light.setFloodlight(false);
+  assert.equal(brick.inputs[2].type, SensorType.LIGHT_INACTIVE);
+  assert.equal(brick.inputs[2].mode, SensorMode.PERCENT_FULL_SCALE);
+});
+
+test("a sound sensor reads a percentage in dB or dBA", async () => {
+  const { brick, nxt } = await connect();
+  brick.setSensorValue(1, 512);
+
+  assert.equal(await new SoundSensor(nxt, InputPort.S2).getSoundLevel(), 50);
+  assert.equal(brick.inputs[1].type, SensorType.SOUND_DBA);
+
+  await new SoundSensor(nxt, InputPort.S2, false).setup();
+  assert.equal(brick.inputs[1].type, SensorType.SOUND_DB);
+});
+
+test("input values are decoded", async () => {
+  const { brick, nxt } = await connect();
+  brick.setSensorValue(3, 300);
+
+  await nxt.setInputMode(
+    InputPort.S4,
+    SensorType.REFLECTION,
+    SensorMode.PERCENT_FULL_SCALE
+  );
+
+  assert.deepEqual(await nxt.getInputValues(InputPort.S4), {
+    port: InputPort.S4,
+    valid: true,
+    calibrated: false,
+    type: SensorType.REFLECTION,
+    mode: SensorMode.PERCENT_FULL_SCALE,
+    rawValue: 300,
+    normalizedValue: 300,
+    scaledValue: 71,
+    calibratedValue: 71,
+  });
+  assert.equal(await nxt.sensors[4].getRawValue(), 300);
+});
+
+test("transitions are counted until the scaled value is reset", async () => {
+  const { brick, nxt } = await connect();
+  const sensor = nxt.sensors[1];
+  await sensor.setMode(SensorType.SWITCH, SensorMode.TRANSITION_COUNT);
+
+  brick.setSensorValue(0, 100);
+  brick.setSensorValue(0, 1000);
+  brick.setSensorValue(0, 100);
+  assert.equal(await sensor.getScaledValue(), 3);
+
+  await sensor.resetScaledValue();
+  assert.equal(await sensor.getScaledValue(), 0);
+});
+
+test("a sensor that stays invalid fails", async () => {
+  const { brick, nxt } = await connect();
+  const getInputValues = brick._getInputValues;
+  brick.handlers.set(0x07, (command) => {
+    const reply = getInputValues.call(brick, command);
+    reply[4] = 0; // not valid
+    return reply;
+  });
+
+  await assert.rejects(
+    nxt.sensors[2].getValues({ retries: 2, retryDelay: 1 }),
+    { message: "Sensor did not return a valid reading" }
+  );
+});
+
+test("the ultrasonic sensor measures continuously or in single shots", async () => {
+  const { brick, nxt } = await connect();
+  const registers = brick.attachI2cDevice(InputPort.S4);
+  registers.set([42, 80, 255], 0x42);
+  const sonar = new UltrasonicSensor(nxt, InputPort.S4);
+
+  assert.equal(await sonar.getDistance(), 42);
+  assert.equal(brick.inputs[3].type, SensorType.LOWSPEED_9V);
+
+  assert.deepEqual(await sonar.singleShot(0), [42, 80, 255, 0, 0, 0, 0, 0]);
+  assert.equal(registers[0x41], UltrasonicCommand.SINGLE_SHOT);
+
+  // Switches back to continuous measurement
+  await sonar.getDistance();
+  assert.equal(registers[0x41], UltrasonicCommand.CONTINUOUS);
+});
+
+test("a transaction polls until the reply is ready", async () => {
+  const { brick, nxt } = await connect();
+  brick.attachI2cDevice(InputPort.S1).set([7, 8], 0x10);
+  await nxt.setInputMode(InputPort.S1, SensorType.LOWSPEED, SensorMode.RAW);
+  brick.injectError(0x0e, NxtStatus.PENDING_COMMUNICATION, 3);
+
+  const bus = nxt.getLowSpeedBus(InputPort.S1);
+  const reply = await bus.transaction(Uint8Array.of(0x02, 0x10), 2, {
+    pollInterval: 1,
+  });
+
+  assert.deepEqual(reply, Uint8Array.of(7, 8));
+  assert.equal(nxt.getLowSpeedBus(InputPort.S1), bus);
+});
+
+test("a reply that never gets ready times out", async () => {
+  const { brick, nxt } = await connect();
+  brick.attachI2cDevice(InputPort.S1);
+  await nxt.setInputMode(InputPort.S1, SensorType.LOWSPEED, SensorMode.RAW);
+  brick.injectError(0x0e, NxtStatus.PENDING_COMMUNICATION, Infinity);
+
+  await assert.rejects(
+    nxt.getLowSpeedBus(InputPort.S1).transaction(Uint8Array.of(0x02, 0x10), 1, {
+      timeout: 20,
+      pollInterval: 1,
+    }),
+    NxtTimeoutError
+  );
+});
+
+test("bus errors are retried", async () => {
+  const { brick, nxt } = await connect();
+  brick.attachI2cDevice(InputPort.S2)[0x10] = 9;
+  await nxt.setInputMode(InputPort.S2, SensorType.LOWSPEED, SensorMode.RAW);
+  const bus = nxt.getLowSpeedBus(InputPort.S2);
+
+  brick.injectError(0x0e, NxtStatus.BUS_ERROR, 2);
+  assert.deepEqual(
+    await bus.transaction(Uint8Array.of(0x02, 0x10), 1, { pollInterval: 1 }),
+    Uint8Array.of(9)
+  );
+
+  // Nothing answers on another address
+  await assert.rejects(
+    bus.transaction(Uint8Array.of(0x04, 0x10), 1, {
+      retries: 1,
+      pollInterval: 1,
+    }),
+    { statusCode: NxtStatus.BUS_ERROR }
+  );
+});
+
+test("transactions on a bus don't interleave", async () => {
+  const { brick, nxt } = await connect();
+  brick.attachI2cDevice(InputPort.S1).set([1, 2, 3], 0x42);
+  await nxt.setInputMode(InputPort.S1, SensorType.LOWSPEED, SensorMode.RAW);
+
+  const calls = [];
+  for (const method of ["lsWrite", "lsRead"]) {
+    const original = nxt[method].bind(nxt);
+    nxt[method] = (...args) => {
+      calls.push(method);
+      return original(...args);
+    };
+  }
+
+  const bus = nxt.getLowSpeedBus(InputPort.S1);
+  const replies = await Promise.all([
+    bus.transaction(Uint8Array.of(0x02, 0x42), 1),
+    bus.transaction(Uint8Array.of(0x02, 0x43), 2),
+  ]);
+
+  assert.deepEqual(replies, [Uint8Array.of(1), Uint8Array.of(2, 3)]);
+  assert.deepEqual(calls, ["lsWrite", "lsRead", "lsWrite", "lsRead"]);
+});
+
+test("drivers are registered by their register map", async () => {
+  const { brick, nxt } = await connect();
+  const registers = brick.attachI2cDevice(InputPort.S3);
+  registers.set(
+    Array.from("V1.0", (char) => char.charCodeAt(0)),
+    0x00
+  );
+  registers.set([0x2c, 0x01], 0x44);
+
+  registerI2cDriver("compass", {
+    address: 0x02,
+    registers: {
+      heading: {
+        register: 0x44,
+        length: 2,
+        decode: (bytes) => bytes[0] | (bytes[1] << 8),
+      },
+      mode: { register: 0x41, length: 1 },
+    },
+  });
+
+  const compass = createI2cSensor(nxt, InputPort.S3, "compass");
+  assert.equal(await compass.read("heading"), 300);
+  assert.equal(await compass.read("version"), "V1.0");
+
+  await compass.write("mode", 0x43);
+  assert.equal(registers[0x41], 0x43);
+
+  await assert.rejects(compass.read("speed"), {
+    message: 'Unknown register "speed"',
+  });
+  assert.throws(() => createI2cSensor(nxt, InputPort.S3, "gyro"), {
+    message: 'No I2C driver registered for "gyro"',
+  });
+});
+
+test("a file handle writes in chunks of 61 bytes", async () => {
+  const { brick, nxt } = await connect();
+  const data = Uint8Array.from({ length: 150 }, (_, i) => i);
+  const chunks = [];
+  const write = nxt._write.bind(nxt);
+  nxt._write = (handle, chunk, ...rest) => {
+    chunks.push(chunk.length);
+    return write(handle, chunk, ...rest);
+  };
+
+  const file = await nxt.openWrite("Data.bin", data.length);
+  await file.write(data.slice(0, 100));
+  assert.equal(file.remaining, 50);
+
+  await assert.rejects(file.write(new Uint8Array(51)), {
+    message: "Not enough space left in file",
+  });
+  await assert.rejects(file.read(), {
+    message: "File is not opened for reading",
+  });
+
+  await file.write(data.slice(100));
+  await file.close();
+  await file.close();
+
+  assert.deepEqual(chunks, [61, 39, 50]);
+  assert.deepEqual(brick.files.get("Data.bin"), data);
+  assert.equal(brick.handles.size, 0);
+  await assert.rejects(file.write(new Uint8Array(1)), {
+    message: "File is closed",
+  });
+});
+
+test("a short write fails with file full", async () => {
+  const { brick, nxt } = await connect();
+  const write = brick.handlers.get(0x83);
+  brick.handlers.set(0x83, function (command) {
+    const reply = write.call(this, command);
+    reply[4] -= 1; // the brick wrote one byte less
+    return reply;
+  });
+
+  const file = await nxt.openWrite("Data.bin", 10);
+
+  await assert.rejects(file.write(new Uint8Array(10)), (error) => {
+    assert.ok(error instanceof NxtStatusError);
+    assert.equal(error.code, "FILE_FULL");
+    return true;
+  });
+  assert.equal(file.position, 9);
+  await file.close();
+});
+
+test("data files are cut off at what is written and can be appended", async () => {
+  const { brick, nxt } = await connect();
+
+  const file = await nxt.openWriteData("Log.dat", 100);
+  assert.equal(file.mode, "writeData");
+  await file.write(new Uint8Array([1, 2, 3]));
+  await file.close();
+  assert.deepEqual(brick.files.get("Log.dat"), new Uint8Array([1, 2, 3]));
+
+  const append = await nxt.openAppendData("Log.dat");
+  assert.equal(append.mode, "appendData");
+  assert.equal(append.remaining, 97);
+  await append.write(new Uint8Array([4, 5]));
+  await append.close();
+  assert.deepEqual(brick.files.get("Log.dat"), new Uint8Array([1, 2, 3, 4, 5]));
+
+  await assert.rejects(nxt.openAppendData("Missing.dat"), {
+    code: "FILE_NOT_FOUND",
+  });
+});
+
+test("a file handle reads in chunks of 58 bytes", async () => {
+  const data = Uint8Array.from({ length: 130 }, (_, i) => i);
+  const { brick, nxt } = await connect({ files: { "Data.bin": data } });
+  const chunks = [];
+  const read = nxt._read.bind(nxt);
+  nxt._read = (handle, length) => {
+    chunks.push(length);
+    return read(handle, length);
+  };
+
+  const file = await nxt.openRead("Data.bin");
+  assert.equal(file.size, 130);
+  assert.deepEqual(await file.read(10), data.slice(0, 10));
+  assert.deepEqual(await file.read(), data.slice(10));
+  assert.equal(file.remaining, 0);
+  assert.deepEqual(await file.read(), new Uint8Array(0));
+
+  await assert.rejects(file.write(new Uint8Array(1)), {
+    message: "File is not opened for writing",
+  });
+  await file.close();
+
+  assert.deepEqual(chunks, [10, 58, 58, 4]);
+  assert.equal(brick.handles.size, 0);
+  await assert.rejects(file.read(), { message: "File is closed" });
+});
+
+test("a download closes its handle, also when reading fails", async () => {
+  const { brick, nxt } = await connect({
+    files: { "Data.bin": new Uint8Array(100) },
+  });
+
+  await assert.rejects(nxt.downloadFile("Missing.bin"), {
+    code: "FILE_NOT_FOUND",
+  });
+
+  brick.injectError(0x82, NxtStatus.ILLEGAL_HANDLE);
+  await assert.rejects(nxt.downloadFile("Data.bin"), {
+    code: "ILLEGAL_HANDLE",
+  });
+  assert.equal(brick.handles.size, 0);
+
+  const blob = await nxt.downloadFile("Data.bin");
+  assert.equal(blob.size, 100);
+  assert.equal(brick.handles.size, 0);
+});
+
+test("a read stream yields the file and closes its handle", async () => {
+  const data = Uint8Array.from({ length: 100 }, (_, i) => i);
+  const { brick, nxt } = await connect({ files: { "Data.bin": data } });
+
+  const stream = await nxt.openReadStream("Data.bin");
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  assert.deepEqual(
+    chunks.map((chunk) => chunk.length),
+    [58, 42]
+  );
+  assert.deepEqual(new Uint8Array(await new Blob(chunks).arrayBuffer()), data);
+  assert.equal(brick.handles.size, 0);
+
+  const cancelled = await nxt.openReadStream("Data.bin");
+  const reader = cancelled.getReader();
+  await reader.read();
+  assert.equal(brick.handles.size, 1);
+  await reader.cancel();
+  assert.equal(brick.handles.size, 0);
+});
+
+test("tones and sound files are played and stopped", async () => {
+  const { brick, nxt } = await connect({
+    files: { "Woops.rso": new Uint8Array(10) },
+  });
+
+  await nxt.playTone(440, 200);
+  assert.equal(brick.sound.type, "tone");
+  assert.equal(brick.sound.frequency, 440);
+  assert.equal(brick.sound.duration, 200);
+
+  await nxt.playSoundFile("Woops.rso", true);
+  assert.equal(brick.sound.name, "Woops.rso");
+  assert.equal(brick.sound.loop, true);
+
+  await nxt.stopSoundPlayback();
+  assert.equal(brick.sound, null);
+
+  await assert.rejects(nxt.playTone(100, 200), {
+    message: "Frequency must be between 200 and 14000 Hz",
+  });
+  await assert.rejects(nxt.playTone(440, 70000), {
+    message: "Duration must be between 0 and 65535 ms",
+  });
+  await assert.rejects(nxt.playSoundFile("Missing.rso"), {
+    code: "FILE_NOT_FOUND",
+  });
+  assert.equal(brick.soundLog.length, 2);
+});
+
+test("a melody is parsed into tones and rests", () => {
+  assert.deepEqual(parseMelody("A4 4, R 8, C5 4., Bb3 2"), [
+    { frequency: 440, duration: 500 },
+    { frequency: null, duration: 250 },
+    { frequency: 523, duration: 750 },
+    { frequency: 233, duration: 1000 },
+  ]);
+  assert.deepEqual(parseMelody([{ note: "A4", value: 8 }], { tempo: 60 }), [
+    { frequency: 440, duration: 500 },
+  ]);
+
+  assert.throws(() => parseMelody("H4 4"), { message: 'Invalid note "H4"' });
+  assert.throws(() => parseMelody("A4 0"), {
+    message: 'Invalid note value "0"',
+  });
+  assert.throws(() => parseMelody("C1 4"), {
+    message: "Frequency 33 Hz is outside the range of the brick, 200-14000 Hz",
+  });
+});
+
+test("melody tones start on schedule, however long a command takes", async () => {
+  const { brick, nxt } = await connect();
+
+  // Every command takes 50 ms, which mustn't push the next tones back
+  const playTone = nxt.playTone.bind(nxt);
+  nxt.playTone = async (...args) => {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return playTone(...args);
+  };
+
+  const startedAt = Date.now();
+  await nxt.playMelody("C4 4, R 4, E4 4, G4 4", { tempo: 600, gap: 20 });
+  const duration = Date.now() - startedAt;
+
+  assert.deepEqual(
+    brick.soundLog.map(({ frequency, duration }) => [frequency, duration]),
+    [
+      [262, 80],
+      [330, 80],
+      [392, 80],
+    ]
+  );
+
+  // The later tones are sent at 200 and 300 ms, however late the first one was
+  const starts = brick.soundLog.map((sound) => sound.startedAt - startedAt);
+  assert.ok(starts[1] >= 240 && starts[1] < 300);
+  assert.ok(starts[2] >= 340 && starts[2] < 400);
+
+  // Resolves after the last tone instead of when it is sent
+  assert.ok(duration >= 390 && duration < 480);
+});
+
+test("an aborted melody stops the tone that is playing", async () => {
+  const { brick, nxt } = await connect();
+  const controller = new AbortController();
+
+  const playing = nxt.playMelody("C4 4, E4 4, G4 4", {
+    tempo: 600,
+    signal: controller.signal,
+  });
+  setTimeout(() => controller.abort(), 150);
+
+  await assert.rejects(playing, { name: "AbortError" });
+  assert.equal(brick.soundLog.length, 2);
+  assert.equal(brick.sound, null);
+
+  controller.abort();
+  await assert.rejects(nxt.playMelody("C4 4", { signal: controller.signal }), {
+    name: "AbortError",
+  });
+  assert.equal(brick.soundLog.length, 2);
+});
+
+test("keep-alives are sent when half of the sleep timer has run out", async () => {
+  const { nxt } = await connect({ sleepTimeLimit: 100 });
+  const sentAt = [];
+  const keepAlive = nxt.keepAlive.bind(nxt);
+  nxt.keepAlive = () => {
+    sentAt.push(Date.now());
+    return keepAlive();
+  };
+
+  const monitor = nxt.startMonitoring({ batteryInterval: null });
+  await sleep(130);
+  nxt.stopMonitoring();
+
+  assert.equal(monitor.sleepTimeLimit, 100);
+  assert.equal(sentAt.length, 3);
+  assert.ok(sentAt[1] - sentAt[0] >= 45);
+  assert.ok(sentAt[2] - sentAt[1] >= 45);
+
+  await sleep(60);
+  assert.equal(sentAt.length, 3);
+});
+
+test("a brick that never sleeps gets a keep-alive once a minute", async () => {
+  const { nxt } = await connect({ sleepTimeLimit: 0 });
+  let sent = 0;
+  const keepAlive = nxt.keepAlive.bind(nxt);
+  nxt.keepAlive = () => {
+    sent++;
+    return keepAlive();
+  };
+
+  const monitor = nxt.startMonitoring({ batteryInterval: null });
+  await sleep(50);
+
+  assert.equal(sent, 1);
+  assert.equal(monitor.timers.size, 1);
+  nxt.stopMonitoring();
+  assert.equal(monitor.timers.size, 0);
+});
+
+test("a low battery is reported once until the voltage recovers", async () => {
+  const { brick, nxt } = await connect();
+  const levels = [6400, 6300, 7000, 6000];
+  const lowBattery = [];
+  nxt.on("lowbattery", (event) => lowBattery.push(event));
+
+  const samples = await new Promise((resolve) => {
+    const voltages = [];
+    nxt.on("battery", ({ voltage }) => {
+      voltages.push(voltage);
+      if (levels.length === 0) {
+        resolve(voltages);
+      } else {
+        brick.batteryLevel = levels.shift();
+      }
+    });
+
+    nxt.startMonitoring({ keepAlive: false, batteryInterval: 10 });
+  });
+  nxt.stopMonitoring();
+
+  assert.deepEqual(samples, [8000, 6400, 6300, 7000, 6000]);
+  assert.deepEqual(lowBattery, [
+    { voltage: 6400, threshold: 6500 },
+    { voltage: 6000, threshold: 6500 },
+  ]);
+});
+
+test("the monitor keeps going after a failed command", async () => {
+  const { brick, nxt } = await connect();
+  const errors = [];
+  const voltages = [];
+  nxt.on("monitorerror", (error) => errors.push(error));
+  nxt.on("battery", ({ voltage }) => voltages.push(voltage));
+
+  brick.injectError(0x0b, NxtStatus.BAD_ARGUMENTS);
+  nxt.startMonitoring({ keepAlive: false, batteryInterval: 10 });
+  await sleep(35);
+  nxt.stopMonitoring();
+
+  assert.equal(errors.length, 1);
+  assert.ok(errors[0] instanceof NxtStatusError);
+  assert.ok(voltages.length >= 2);
+});
+
+test("the monitor stops when the connection fails or is lost", async () => {
+  const { brick, nxt } = await connect();
+  const errors = [];
+  nxt.on("monitorerror", (error) => errors.push(error));
+
+  nxt.getBatteryLevel = async () => {
+    throw new NxtTransportError("Device lost");
+  };
+  const failed = nxt.startMonitoring({ keepAlive: false, batteryInterval: 10 });
+  await sleep(35);
+
+  assert.equal(errors.length, 1);
+  assert.equal(failed.running, false);
+  assert.equal(failed.timers.size, 0);
+
+  const lost = nxt.startMonitoring();
+  brick.unplug();
+
+  assert.equal(lost.running, false);
+  assert.equal(lost.timers.size, 0);
+  assert.equal(nxt.powerMonitor, null);
+});